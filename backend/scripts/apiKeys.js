@@ -0,0 +1,60 @@
+import dotenv from 'dotenv';
+import { ApiKeyStore } from '../src/serviceAccounts/apiKeyStore.js';
+
+dotenv.config();
+
+const usage = `Manage service-account API keys
+
+Usage:
+  npm run api-keys -- create <service> [description]
+  npm run api-keys -- list
+  npm run api-keys -- revoke <key-id>
+
+Keys are stored in API_KEYS_FILE (default: data/api-keys.json).`;
+
+const store = new ApiKeyStore({ filePath: process.env.API_KEYS_FILE || 'data/api-keys.json' });
+const [command, ...args] = process.argv.slice(2);
+
+try {
+  switch (command) {
+    case 'create': {
+      const [service, ...description] = args;
+      const { record, apiKey } = store.create(service, description.join(' '));
+      console.log(`Created key ${record.id} for service "${record.service}".`);
+      console.log('Send it in the X-API-Key header. It is shown only once:\n');
+      console.log(apiKey);
+      break;
+    }
+
+    case 'list': {
+      const keys = store.list();
+      if (!keys.length) {
+        console.log('No API keys.');
+        break;
+      }
+      for (const key of keys) {
+        const status = key.revokedAt ? `revoked ${key.revokedAt}` : 'active';
+        const description = key.description ? ` - ${key.description}` : '';
+        console.log(`${key.id}  ${key.service}  created ${key.createdAt}  ${status}${description}`);
+      }
+      break;
+    }
+
+    case 'revoke': {
+      const record = store.revoke(args[0]);
+      if (!record) {
+        console.error(`No API key with id "${args[0]}"`);
+        process.exit(1);
+      }
+      console.log(`Revoked key ${record.id} for service "${record.service}".`);
+      break;
+    }
+
+    default:
+      console.log(usage);
+      process.exit(command ? 1 : 0);
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
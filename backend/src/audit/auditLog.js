@@ -0,0 +1,173 @@
+import fs from 'node:fs';
+import { createHash } from 'node:crypto';
+import { tokenize, TokenType } from '../sql/tokenizer.js';
+
+export const AuditEvent = {
+  LOGIN: 'auth.login',
+  LOGIN_FAILED: 'auth.login_failed',
+  REFRESH: 'auth.refresh',
+  REFRESH_FAILED: 'auth.refresh_failed',
+  TOKEN_REJECTED: 'auth.token_rejected',
+  TOKEN_EXCHANGE_FAILED: 'auth.token_exchange_failed',
+  LOGOUT: 'auth.logout',
+  SERVICE_REQUEST: 'auth.service_request',
+  QUERY: 'query',
+};
+
+// How much of a query's SQL is logged: all of it, its text with literals
+// replaced by `?`, or none (the hash is always logged)
+export const SQL_TEXT_MODES = ['full', 'literals', 'none'];
+
+const REDACTED = '[REDACTED]';
+
+export const hashSql = (sql) => createHash('sha256').update(sql).digest('hex');
+
+/**
+ * Replace string and numeric literals with `?`, so the statement's shape is
+ * kept but values (names, e-mail addresses, ids...) are not
+ */
+export const redactLiterals = (sql) => {
+  let redacted = '';
+  let copied = 0;
+  for (const token of tokenize(sql)) {
+    if (token.type === TokenType.STRING || token.type === TokenType.NUMBER) {
+      redacted += `${sql.slice(copied, token.start)}?`;
+      copied = token.end;
+    }
+  }
+  return redacted + sql.slice(copied);
+};
+
+/**
+ * Structured audit log: one JSON object per line with `time` and `event`
+ * (see AuditEvent) plus the event's fields, written to `sink`
+ * (RotatingFileSink) and optionally echoed to stdout for log collectors.
+ *
+ * Fields listed in `redactFields` are replaced with "[REDACTED]" wherever
+ * they appear, and `sqlText` (one of SQL_TEXT_MODES) controls how much of a
+ * query's SQL is kept. Tokens and raw claims are never logged.
+ */
+export class AuditLog {
+  constructor({ sink, sqlText = 'full', redactFields = [], stdout = false }) {
+    this.sink = sink;
+    this.sqlText = sqlText;
+    this.redactFields = redactFields;
+    this.stdout = stdout;
+  }
+
+  record(event, fields = {}) {
+    const entry = { time: new Date().toISOString(), event, ...fields };
+    for (const field of this.redactFields) {
+      if (entry[field] !== undefined && entry[field] !== null) entry[field] = REDACTED;
+    }
+
+    const line = JSON.stringify(entry);
+    if (this.stdout) console.log(line);
+    this.sink.write(line);
+    return entry;
+  }
+
+  /**
+   * Record an HTTP request's authentication event, with who made it from where
+   */
+  recordRequest(event, req, fields = {}) {
+    return this.record(event, {
+      ...fields,
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || null,
+      path: req.originalUrl,
+    });
+  }
+
+  /**
+   * Record one query sent to Trino (or blocked before it got there).
+   * `source` says how it was submitted: `query` (/api/query), `async`
+   * (/api/queries and saved queries), `script` (a statement of an
+   * /api/scripts script), `schedule` or `metadata` (a metadata browser
+   * lookup, which is only recorded when blocked).
+   */
+  query({
+    principal,
+    service = null,
+    source,
+    sql,
+    startedAt,
+    trinoQueryId = null,
+    rowCount = 0,
+    processedBytes = null,
+    outcome,
+    error = null,
+    ...fields
+  }) {
+    return this.record(AuditEvent.QUERY, {
+      principal,
+      service,
+      source,
+      sqlHash: hashSql(sql),
+      sql: this.redactSql(sql),
+      trinoQueryId,
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      rows: rowCount,
+      bytes: processedBytes,
+      outcome,
+      error,
+      ...fields,
+    });
+  }
+
+  redactSql(sql) {
+    if (this.sqlText === 'none') return null;
+    return this.sqlText === 'literals' ? redactLiterals(sql) : sql;
+  }
+
+  /**
+   * Search the log, newest first, across rotated files. `principal` matches
+   * the `principal` field (or `service:<name>` the service), `event` either
+   * an exact event or a prefix such as `auth.`; `from` / `to` are ISO-8601
+   * timestamps bounding `time`.
+   */
+  async search({ principal, event, from, to, limit = 100 } = {}) {
+    await this.sink.flush();
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+    const items = [];
+
+    const matches = (entry) => {
+      if (principal) {
+        const who = entry.service ? [entry.principal, `service:${entry.service}`] : [entry.principal];
+        if (!who.includes(principal)) return false;
+      }
+      if (event && entry.event !== event && !(event.endsWith('.') && entry.event.startsWith(event))) return false;
+      return !toTime || Date.parse(entry.time) <= toTime;
+    };
+
+    for (const file of this.sink.files()) {
+      let content;
+      try {
+        content = await fs.promises.readFile(file, 'utf8');
+      } catch (error) {
+        // Rotation dropped the oldest file since the list was taken
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+      const lines = content.split('\n');
+      for (let index = lines.length - 1; index >= 0; index--) {
+        if (!lines[index].trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(lines[index]);
+        } catch {
+          continue;
+        }
+        // Lines are in time order, so nothing older can match
+        if (fromTime && Date.parse(entry.time) < fromTime) return items;
+        if (matches(entry)) {
+          items.push(entry);
+          if (items.length >= limit) return items;
+        }
+      }
+    }
+    return items;
+  }
+}
@@ -0,0 +1,69 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+/**
+ * Append-only JSON-lines file that rotates by size: once `filePath` would
+ * grow past `maxBytes` it becomes `filePath.1` (older files shift up to
+ * `filePath.<maxFiles>`, and the oldest is deleted) and a new file is started.
+ * Appends are serialized so lines never interleave or straddle a rotation.
+ */
+export class RotatingFileSink {
+  constructor({ filePath, maxBytes = DEFAULT_MAX_BYTES, maxFiles = DEFAULT_MAX_FILES }) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.writeChain = Promise.resolve();
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+  }
+
+  /**
+   * Queue one line for appending (a newline is added)
+   */
+  write(line) {
+    const data = `${line}\n`;
+    this.writeChain = this.writeChain
+      .then(async () => {
+        if (this.size > 0 && this.size + Buffer.byteLength(data) > this.maxBytes) {
+          await this.rotate();
+        }
+        await fs.promises.appendFile(this.filePath, data, { mode: 0o600 });
+        this.size += Buffer.byteLength(data);
+      })
+      .catch((error) => console.error('Failed to write audit log:', error.message));
+    return this.writeChain;
+  }
+
+  async rotate() {
+    await fs.promises.rm(`${this.filePath}.${this.maxFiles}`, { force: true });
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      await fs.promises.rename(`${this.filePath}.${index}`, `${this.filePath}.${index + 1}`).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+    await fs.promises.rename(this.filePath, `${this.filePath}.1`);
+    this.size = 0;
+  }
+
+  /**
+   * Resolves once every queued line has been written
+   */
+  flush() {
+    return this.writeChain;
+  }
+
+  /**
+   * Existing files, newest first: the current file, then `.1`, `.2`, ...
+   */
+  files() {
+    const candidates = [this.filePath];
+    for (let index = 1; index <= this.maxFiles; index++) {
+      candidates.push(`${this.filePath}.${index}`);
+    }
+    return candidates.filter((file) => fs.existsSync(file));
+  }
+}
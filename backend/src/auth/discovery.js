@@ -0,0 +1,107 @@
+const DEFAULT_CACHE_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_RETRY_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Fetches and caches an issuer's OpenID Connect discovery document
+ * (`/.well-known/openid-configuration`).
+ *
+ * The document is cached for `cacheTtlMs`. After a failed fetch the error is
+ * remembered for `retryIntervalMs` so an unreachable IdP isn't hit on every request.
+ */
+export class OidcDiscovery {
+  constructor({
+    issuer,
+    cacheTtlMs = DEFAULT_CACHE_TTL_MS,
+    retryIntervalMs = DEFAULT_RETRY_INTERVAL_MS,
+  }) {
+    if (!issuer) {
+      throw new Error('Issuer URL is required');
+    }
+    this.issuer = issuer;
+    this.cacheTtlMs = cacheTtlMs;
+    this.retryIntervalMs = retryIntervalMs;
+    this.metadata = null;
+    this.fetchedAt = 0;
+    this.failure = null;
+    this.pendingFetch = null;
+  }
+
+  get discoveryUrl() {
+    return `${this.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+  }
+
+  /**
+   * The provider metadata, fetched on first use and when the cache expires.
+   * Concurrent callers share one request.
+   */
+  async getMetadata() {
+    const now = Date.now();
+
+    if (this.metadata && now - this.fetchedAt < this.cacheTtlMs) {
+      return this.metadata;
+    }
+    if (this.failure && now - this.failure.at < this.retryIntervalMs) {
+      throw this.failure.error;
+    }
+
+    if (!this.pendingFetch) {
+      this.pendingFetch = this.fetchMetadata().finally(() => {
+        this.pendingFetch = null;
+      });
+    }
+    return this.pendingFetch;
+  }
+
+  async fetchMetadata() {
+    try {
+      const response = await fetch(this.discoveryUrl, {
+        headers: { 'Accept': 'application/json' },
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch OIDC discovery document (${response.status} ${response.statusText})`);
+      }
+
+      const metadata = await response.json();
+
+      // OIDC Discovery 1.0 §4.3: the document must be for the issuer we asked about
+      if (metadata.issuer !== this.issuer) {
+        throw new Error(`Discovery document issuer "${metadata.issuer}" does not match "${this.issuer}"`);
+      }
+
+      this.metadata = metadata;
+      this.fetchedAt = Date.now();
+      this.failure = null;
+      return metadata;
+    } catch (error) {
+      this.failure = { error, at: Date.now() };
+      throw error;
+    }
+  }
+
+  /**
+   * Provider endpoints, with explicitly configured URLs taking precedence over
+   * discovered ones. If discovery fails but the token and JWKS URLs were given
+   * explicitly, the explicit values are used on their own.
+   */
+  async getEndpoints(overrides = {}) {
+    let metadata = {};
+    try {
+      metadata = await this.getMetadata();
+    } catch (error) {
+      if (!overrides.tokenUrl || !overrides.jwksUrl) {
+        throw error;
+      }
+    }
+
+    return {
+      issuer: this.issuer,
+      authorizationUrl: overrides.authorizationUrl || metadata.authorization_endpoint,
+      tokenUrl: overrides.tokenUrl || metadata.token_endpoint,
+      jwksUrl: overrides.jwksUrl || metadata.jwks_uri,
+      userinfoUrl: overrides.userinfoUrl || metadata.userinfo_endpoint,
+      revocationUrl: overrides.revocationUrl || metadata.revocation_endpoint,
+      endSessionUrl: overrides.endSessionUrl || metadata.end_session_endpoint,
+    };
+  }
+}
@@ -0,0 +1,97 @@
+import { createPublicKey } from 'node:crypto';
+import { registry } from '../metrics/registry.js';
+
+const cacheLookups = registry.counter(
+  'jwks_cache_lookups_total',
+  'Signing key lookups answered from the cached key set (hit) or after re-fetching it (miss)',
+  ['result'],
+);
+
+const DEFAULT_CACHE_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_MIN_REFRESH_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Fetches and caches signing keys from an IdP's JWKS endpoint.
+ *
+ * Keys are cached for `cacheTtlMs`. When a token references a `kid` we don't
+ * know, the key set is re-fetched so rotated keys are picked up, but never more
+ * often than `minRefreshIntervalMs` so forged `kid`s can't hammer the IdP.
+ * `jwksUrl` may also be an async function, e.g. to take the URL from OIDC discovery.
+ */
+export class JwksClient {
+  constructor({
+    jwksUrl,
+    cacheTtlMs = DEFAULT_CACHE_TTL_MS,
+    minRefreshIntervalMs = DEFAULT_MIN_REFRESH_INTERVAL_MS,
+  }) {
+    if (!jwksUrl) {
+      throw new Error('JWKS URL is required');
+    }
+    this.jwksUrl = jwksUrl;
+    this.cacheTtlMs = cacheTtlMs;
+    this.minRefreshIntervalMs = minRefreshIntervalMs;
+    this.keys = new Map();
+    this.fetchedAt = 0;
+    this.pendingFetch = null;
+  }
+
+  /**
+   * Resolve the public key for a `kid`, refreshing the key set if needed
+   */
+  async getKey(kid) {
+    const now = Date.now();
+    const stale = now - this.fetchedAt > this.cacheTtlMs
+      || (!this.keys.has(kid) && now - this.fetchedAt > this.minRefreshIntervalMs);
+
+    cacheLookups.inc({ result: stale ? 'miss' : 'hit' });
+    if (stale) {
+      await this.refresh();
+    }
+
+    if (kid) {
+      return this.keys.get(kid) || null;
+    }
+
+    // Tokens without a kid are only acceptable when the IdP publishes a single key
+    return this.keys.size === 1 ? this.keys.values().next().value : null;
+  }
+
+  /**
+   * Re-fetch the key set. Concurrent callers share one request.
+   */
+  async refresh() {
+    if (!this.pendingFetch) {
+      this.pendingFetch = this.fetchKeys().finally(() => {
+        this.pendingFetch = null;
+      });
+    }
+    return this.pendingFetch;
+  }
+
+  async fetchKeys() {
+    const jwksUrl = typeof this.jwksUrl === 'function' ? await this.jwksUrl() : this.jwksUrl;
+    const response = await fetch(jwksUrl, {
+      headers: { 'Accept': 'application/json' },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch JWKS (${response.status} ${response.statusText})`);
+    }
+
+    const { keys = [] } = await response.json();
+    const parsed = new Map();
+
+    for (const jwk of keys) {
+      // Only keep keys meant for signature verification
+      if (jwk.use && jwk.use !== 'sig') continue;
+      try {
+        parsed.set(jwk.kid, { jwk, key: createPublicKey({ key: jwk, format: 'jwk' }) });
+      } catch (error) {
+        console.warn(`Skipping unusable JWK ${jwk.kid}: ${error.message}`);
+      }
+    }
+
+    this.keys = parsed;
+    this.fetchedAt = Date.now();
+  }
+}
@@ -0,0 +1,189 @@
+import { registry } from '../metrics/registry.js';
+
+const tokenRequests = registry.counter(
+  'oauth_token_requests_total',
+  'Requests to IdP token endpoints, by grant type and outcome (success, the IdP error code, http_<status> or network_error)',
+  ['grant_type', 'outcome'],
+);
+
+/**
+ * Raised when the IdP token endpoint rejects a request. `status` mirrors the
+ * IdP's HTTP status and `details` holds its raw response body.
+ */
+export class OAuthError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'OAuthError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// The OAuth error code (invalid_grant, ...) from an IdP error body, if any
+const errorCode = (body) => {
+  try {
+    const { error } = JSON.parse(body);
+    return typeof error === 'string' && error ? error : null;
+  } catch {
+    return null;
+  }
+};
+
+const postTokenRequest = async (tokenUrl, params, failureMessage) => {
+  const grantType = params.get('grant_type');
+  const countOutcome = (outcome) => tokenRequests.inc({ grant_type: grantType, outcome });
+
+  let tokenResponse;
+  try {
+    tokenResponse = await fetch(tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json',
+      },
+      body: params.toString(),
+    });
+  } catch (error) {
+    countOutcome('network_error');
+    throw error;
+  }
+
+  if (!tokenResponse.ok) {
+    const details = await tokenResponse.text();
+    countOutcome(errorCode(details) || `http_${tokenResponse.status}`);
+    throw new OAuthError(tokenResponse.status, failureMessage, details);
+  }
+
+  const tokens = await tokenResponse.json();
+
+  // Some providers (GitHub) report failures with a 200 and an error body
+  if (tokens.error) {
+    countOutcome(String(tokens.error));
+    throw new OAuthError(400, failureMessage, JSON.stringify(tokens));
+  }
+
+  countOutcome('success');
+  return {
+    accessToken: tokens.access_token,
+    idToken: tokens.id_token,
+    tokenType: tokens.token_type || 'Bearer',
+    expiresIn: tokens.expires_in,
+    refreshToken: tokens.refresh_token,
+  };
+};
+
+/**
+ * Exchange an authorization code (with its PKCE verifier) for tokens
+ */
+export const exchangeAuthorizationCode = ({ tokenUrl, clientId, clientSecret, code, codeVerifier, redirectUri }) => {
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: clientId,
+  });
+
+  // Providers such as Google and GitHub require the secret even with PKCE
+  if (clientSecret) {
+    params.append('client_secret', clientSecret);
+  }
+
+  // Add PKCE code verifier (required for public clients)
+  if (codeVerifier) {
+    params.append('code_verifier', codeVerifier);
+  }
+
+  return postTokenRequest(tokenUrl, params, 'Failed to exchange authorization code for tokens');
+};
+
+/**
+ * Use a refresh token to obtain fresh tokens. Some providers rotate the
+ * refresh token, so callers should keep the returned one when present.
+ */
+export const refreshTokens = ({ tokenUrl, clientId, clientSecret, refreshToken }) => {
+  const params = new URLSearchParams({
+    grant_type: 'refresh_token',
+    refresh_token: refreshToken,
+    client_id: clientId,
+  });
+
+  if (clientSecret) {
+    params.append('client_secret', clientSecret);
+  }
+
+  return postTokenRequest(tokenUrl, params, 'Failed to refresh access token');
+};
+
+/**
+ * Client credentials grant: a token for the (confidential) client itself,
+ * used to run queries for service accounts
+ */
+export const clientCredentialsGrant = ({ tokenUrl, clientId, clientSecret, scope }) => {
+  const params = new URLSearchParams({
+    grant_type: 'client_credentials',
+    client_id: clientId,
+    client_secret: clientSecret,
+  });
+
+  if (scope) {
+    params.append('scope', scope);
+  }
+
+  return postTokenRequest(tokenUrl, params, 'Failed to obtain client credentials token');
+};
+
+const TOKEN_TYPE_ACCESS_TOKEN = 'urn:ietf:params:oauth:token-type:access_token';
+
+/**
+ * RFC 8693 token exchange: trade a user's access token for one issued to
+ * `audience`, authenticating as the (confidential) client doing the exchange
+ */
+export const exchangeToken = ({ tokenUrl, clientId, clientSecret, subjectToken, audience }) => {
+  const params = new URLSearchParams({
+    grant_type: 'urn:ietf:params:oauth:grant-type:token-exchange',
+    subject_token: subjectToken,
+    subject_token_type: TOKEN_TYPE_ACCESS_TOKEN,
+    requested_token_type: TOKEN_TYPE_ACCESS_TOKEN,
+    audience,
+    client_id: clientId,
+    client_secret: clientSecret,
+  });
+
+  return postTokenRequest(tokenUrl, params, 'Failed to exchange token');
+};
+
+/**
+ * Revoke a token at the provider's RFC 7009 revocation endpoint
+ */
+export const revokeToken = async ({ revocationUrl, clientId, clientSecret, token, tokenTypeHint = 'refresh_token' }) => {
+  const params = new URLSearchParams({ token, token_type_hint: tokenTypeHint, client_id: clientId });
+  if (clientSecret) {
+    params.append('client_secret', clientSecret);
+  }
+
+  const response = await fetch(revocationUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params.toString(),
+  });
+
+  if (!response.ok) {
+    throw new OAuthError(response.status, 'Failed to revoke token', await response.text());
+  }
+};
+
+/**
+ * URL of the provider's OIDC RP-initiated logout (end_session_endpoint),
+ * so the browser can end the SSO session and come back to the app
+ */
+export const buildEndSessionUrl = ({ endSessionUrl, clientId, idTokenHint, postLogoutRedirectUri }) => {
+  const url = new URL(endSessionUrl);
+  url.searchParams.set('client_id', clientId);
+  if (idTokenHint) {
+    url.searchParams.set('id_token_hint', idTokenHint);
+  }
+  if (postLogoutRedirectUri) {
+    url.searchParams.set('post_logout_redirect_uri', postLogoutRedirectUri);
+  }
+  return url.toString();
+};
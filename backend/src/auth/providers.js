@@ -0,0 +1,311 @@
+import { createHash } from 'node:crypto';
+import { OidcDiscovery } from './discovery.js';
+import { TokenVerifier, TokenVerificationError, decodeClaims } from './tokenVerifier.js';
+
+const USERINFO_CACHE_TTL_MS = 60 * 1000;
+const USERINFO_CACHE_MAX_ENTRIES = 1000;
+
+/**
+ * Built-in provider presets. `type: 'oidc'` providers publish a discovery
+ * document and sign JWTs; `type: 'oauth2'` providers (GitHub) issue opaque
+ * access tokens that can only be checked against their user API.
+ * `offlineScope` is what to add to the scope to get a refresh token that
+ * outlives the SSO session (see delegationScope); presets without one can't
+ * grant it.
+ */
+export const PROVIDER_PRESETS = {
+  keycloak: {
+    name: 'Keycloak',
+    type: 'oidc',
+    scope: 'openid profile email',
+    offlineScope: 'offline_access',
+    principalField: 'preferred_username',
+  },
+  auth0: {
+    name: 'Auth0',
+    type: 'oidc',
+    // Auth0 only issues refresh tokens for the offline_access scope
+    scope: 'openid profile email offline_access',
+    offlineScope: 'offline_access',
+    principalField: 'email',
+  },
+  google: {
+    name: 'Google',
+    type: 'oidc',
+    issuer: 'https://accounts.google.com',
+    scope: 'openid email profile',
+    // Offline access comes from the authorization parameters below
+    offlineScope: '',
+    principalField: 'email',
+    // Google only returns a refresh token for offline access, and only on
+    // the first consent unless consent is prompted for again
+    authorizationParams: { access_type: 'offline', prompt: 'consent' },
+  },
+  github: {
+    name: 'GitHub',
+    type: 'oauth2',
+    authorizationUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    userinfoUrl: 'https://api.github.com/user',
+    scope: 'read:user user:email',
+    principalField: 'login',
+  },
+  generic: {
+    name: 'OpenID Connect',
+    type: 'oidc',
+    scope: 'openid profile email',
+    offlineScope: 'offline_access',
+    principalField: 'sub',
+  },
+};
+
+// The primary provider also reads the original, unprefixed variable names
+const LEGACY_NAMES = { CLIENT_ID: 'PUBLIC_CLIENT_ID' };
+
+const withScope = (scope, extra) => [...new Set(`${scope} ${extra}`.split(/\s+/).filter(Boolean))].join(' ');
+
+const readSetting = (id, name, primary) => {
+  const prefixed = process.env[`OAUTH2_${id.toUpperCase()}_${name}`];
+  if (prefixed || !primary) return prefixed || undefined;
+  return process.env[`OAUTH2_${LEGACY_NAMES[name] || name}`] || undefined;
+};
+
+/**
+ * One configured identity provider: its preset merged with OAUTH2_<ID>_*
+ * settings. Knows its endpoints, how to verify its tokens and which claim
+ * names the user.
+ */
+export class OAuthProvider {
+  constructor(id, { primary = false } = {}) {
+    const preset = PROVIDER_PRESETS[id];
+    if (!preset) {
+      throw new Error(`Unknown OAuth provider "${id}" (expected one of ${Object.keys(PROVIDER_PRESETS).join(', ')})`);
+    }
+    const setting = (name) => readSetting(id, name, primary);
+
+    this.id = id;
+    this.name = setting('NAME') || preset.name;
+    this.type = preset.type;
+    this.issuer = setting('ISSUER_URL') || preset.issuer;
+    this.clientId = setting('CLIENT_ID');
+    this.clientSecret = setting('CLIENT_SECRET');
+    // Confidential client Trino itself uses; needed for token exchange
+    this.trinoClientId = setting('TRINO_CLIENT_ID');
+    this.trinoClientSecret = setting('TRINO_CLIENT_SECRET');
+    this.scope = setting('SCOPE') || preset.scope;
+    // Requested only when a user lets a schedule run on their behalf, so
+    // ordinary logins never hand the browser a long-lived offline token
+    this.delegationScope = setting('DELEGATION_SCOPE')
+      || (preset.offlineScope === undefined ? null : withScope(this.scope, preset.offlineScope));
+    this.principalField = setting('PRINCIPAL_FIELD') || preset.principalField;
+    this.authorizationParams = preset.authorizationParams || {};
+    this.endpointOverrides = {
+      authorizationUrl: setting('AUTHORIZATION_URL') || preset.authorizationUrl,
+      tokenUrl: setting('TOKEN_URL') || preset.tokenUrl,
+      jwksUrl: setting('JWKS_URL'),
+      userinfoUrl: setting('USERINFO_URL') || preset.userinfoUrl,
+      revocationUrl: setting('REVOCATION_URL'),
+      endSessionUrl: setting('END_SESSION_URL'),
+    };
+
+    if (!this.clientId) {
+      throw new Error(`OAuth provider "${id}" needs a client id (OAUTH2_${id.toUpperCase()}_CLIENT_ID)`);
+    }
+
+    if (this.type === 'oidc') {
+      if (!this.issuer) {
+        throw new Error(`OAuth provider "${id}" needs an issuer (OAUTH2_${id.toUpperCase()}_ISSUER_URL)`);
+      }
+      this.discovery = new OidcDiscovery({ issuer: this.issuer });
+      this.verifier = new TokenVerifier({
+        issuer: this.issuer,
+        jwksUrl: async () => (await this.getEndpoints()).jwksUrl,
+        // Tokens for the Trino client are accepted too, as Trino itself does
+        audiences: [this.clientId, this.trinoClientId],
+        clockSkewSeconds: Number(process.env.OAUTH2_CLOCK_SKEW_SECONDS || 60),
+      });
+    } else {
+      this.userinfoCache = new Map();
+    }
+  }
+
+  /**
+   * Token endpoint settings: endpoints plus client credentials
+   */
+  async getConfig() {
+    return {
+      ...(await this.getEndpoints()),
+      clientId: this.clientId,
+      clientSecret: this.clientSecret,
+    };
+  }
+
+  async getEndpoints() {
+    if (this.discovery) {
+      return this.discovery.getEndpoints(this.endpointOverrides);
+    }
+    return { issuer: null, ...this.endpointOverrides };
+  }
+
+  /**
+   * Check the provider can be reached, for readiness checks: OIDC providers
+   * must serve their discovery document; for others any HTTP answer from the
+   * token endpoint will do. Throws if the provider is unreachable.
+   */
+  async probe({ timeoutMs }) {
+    const url = this.discovery ? this.discovery.discoveryUrl : this.endpointOverrides.tokenUrl;
+    const response = await fetch(url, {
+      method: this.discovery ? 'GET' : 'HEAD',
+      headers: { 'Accept': 'application/json' },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (this.discovery && !response.ok) {
+      throw new Error(`${this.name} discovery returned ${response.status}`);
+    }
+  }
+
+  /**
+   * Verify a token issued by this provider and return its claims
+   */
+  async verify(token) {
+    if (this.verifier) {
+      return this.verifier.verify(token);
+    }
+    return this.fetchUserinfo(token);
+  }
+
+  // Opaque access tokens are checked by calling the provider's user API with
+  // them; results are cached briefly so every request doesn't do a round trip
+  async fetchUserinfo(token) {
+    const key = createHash('sha256').update(token).digest('base64url');
+    const cached = this.userinfoCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.claims;
+    }
+
+    let response;
+    try {
+      response = await fetch(this.endpointOverrides.userinfoUrl, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Accept': 'application/json',
+          // GitHub's API rejects requests without a User-Agent
+          'User-Agent': 'trino-oauth-demo',
+        },
+      });
+    } catch (error) {
+      throw new TokenVerificationError('userinfo_unavailable', `Unable to reach ${this.name}: ${error.message}`, 503);
+    }
+
+    if (response.status === 401) {
+      throw new TokenVerificationError('invalid_token', `Token was rejected by ${this.name}`);
+    }
+    if (!response.ok) {
+      throw new TokenVerificationError('userinfo_unavailable', `${this.name} user lookup failed (${response.status})`, 503);
+    }
+
+    const user = await response.json();
+    const claims = { ...user, sub: String(user.sub ?? user.id) };
+
+    if (this.userinfoCache.size >= USERINFO_CACHE_MAX_ENTRIES) {
+      this.userinfoCache.delete(this.userinfoCache.keys().next().value);
+    }
+    this.userinfoCache.set(key, { claims, expiresAt: Date.now() + USERINFO_CACHE_TTL_MS });
+    return claims;
+  }
+
+  /**
+   * Pick the Trino user from verified claims, using this provider's principal field.
+   * IMPORTANT: Use the same principal field as Trino's config
+   */
+  getPrincipal(claims) {
+    return claims[this.principalField] || claims.email || claims.sub;
+  }
+
+  /**
+   * Settings the frontend needs to send users to this provider
+   */
+  async describe() {
+    const { authorizationUrl, endSessionUrl } = await this.getEndpoints();
+    return {
+      id: this.id,
+      name: this.name,
+      type: this.type,
+      issuer: this.issuer || null,
+      authorizationUrl,
+      endSessionUrl: endSessionUrl || null,
+      clientId: this.clientId,
+      scope: this.scope,
+      delegationScope: this.delegationScope,
+      authorizationParams: this.authorizationParams,
+    };
+  }
+}
+
+/**
+ * The providers users may log in with. The first one is the default.
+ */
+export class ProviderRegistry {
+  constructor(providers) {
+    this.providers = new Map(providers.map((provider) => [provider.id, provider]));
+    this.defaultProvider = providers[0];
+  }
+
+  /**
+   * Provider by id (the default one when no id is given), or null
+   */
+  get(id) {
+    if (!id) return this.defaultProvider;
+    return this.providers.get(id) || null;
+  }
+
+  list() {
+    return [...this.providers.values()];
+  }
+
+  /**
+   * Verify a bearer token from any configured provider.
+   * JWTs are routed by their issuer; opaque tokens are tried against the
+   * providers that issue them. Resolves to `{ provider, claims }`.
+   */
+  async verify(token) {
+    const unverified = decodeClaims(token);
+
+    if (unverified?.iss) {
+      const provider = this.list().find((candidate) => candidate.issuer === unverified.iss);
+      if (!provider) {
+        throw new TokenVerificationError('invalid_issuer', `Token issuer "${unverified.iss}" is not trusted`);
+      }
+      return { provider, claims: await provider.verify(token) };
+    }
+
+    const opaqueProviders = this.list().filter((provider) => provider.type === 'oauth2');
+    if (!opaqueProviders.length) {
+      throw new TokenVerificationError('malformed_token', 'Token is not a well-formed JWT');
+    }
+
+    let lastError;
+    for (const provider of opaqueProviders) {
+      try {
+        return { provider, claims: await provider.verify(token) };
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+}
+
+/**
+ * Build the registry from OAUTH2_PROVIDERS (comma-separated preset ids,
+ * default "keycloak"). The first provider also accepts the unprefixed
+ * OAUTH2_* variables (OAUTH2_ISSUER_URL, OAUTH2_PUBLIC_CLIENT_ID, ...).
+ */
+export const createProviderRegistry = () => {
+  const ids = (process.env.OAUTH2_PROVIDERS || 'keycloak')
+    .split(',')
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  return new ProviderRegistry(ids.map((id, index) => new OAuthProvider(id, { primary: index === 0 })));
+};
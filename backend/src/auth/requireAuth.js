@@ -0,0 +1,134 @@
+import { TokenVerificationError } from './tokenVerifier.js';
+import { AuditEvent } from '../audit/auditLog.js';
+
+/**
+ * Group memberships from verified claims, read from OAUTH2_GROUPS_CLAIM.
+ * Dotted paths reach nested claims, e.g. Keycloak's `realm_access.roles`.
+ */
+export const getGroups = (claims) => {
+  const claimPath = process.env.OAUTH2_GROUPS_CLAIM || 'groups';
+  const value = claimPath.split('.').reduce((node, key) => node?.[key], claims);
+
+  if (Array.isArray(value)) return value.map(String);
+  if (typeof value === 'string') return [value];
+  return [];
+};
+
+/**
+ * Profile returned to the frontend for the signed-in user
+ */
+export const getUserInfo = (claims, provider) => ({
+  sub: claims.sub,
+  email: claims.email,
+  name: claims.name || claims.preferred_username || claims.login || claims.email,
+  picture: claims.picture || claims.avatar_url,
+  principal: provider.getPrincipal(claims),
+  groups: getGroups(claims),
+  provider: provider.id,
+});
+
+/**
+ * Express middleware that requires a bearer token verified by one of the
+ * configured providers (see ProviderRegistry).
+ *
+ * With a SessionManager (BFF mode), requests without an Authorization header
+ * may instead authenticate with the session cookie; their token is looked up
+ * (and refreshed) server-side and state-changing requests must pass the CSRF check.
+ *
+ * With ServiceAccounts, non-interactive callers may send an `X-API-Key`
+ * header instead; they run as the service principal and `req.auth.service`
+ * holds `{ name, apiKeyId }`.
+ *
+ * On success `req.auth` holds `{ token, claims, principal, groups, provider, session }`. On failure the
+ * request is answered with 401 (or 503 if the IdP keys can't be loaded) and
+ * never reaches the route handler; rejected credentials are recorded in the
+ * AuditLog, if one is given.
+ */
+export const requireAuth = (providers, sessions = null, serviceAccounts = null, audit = null) => async (req, res, next) => {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    return authenticateServiceAccount(serviceAccounts, apiKey, req, res, next, audit);
+  }
+
+  const authHeader = req.headers.authorization;
+  const session = !authHeader && sessions ? sessions.fromRequest(req) : null;
+
+  if (session && !sessions.verifyCsrf(req, session)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Missing or invalid CSRF token',
+      code: 'csrf_failed',
+    });
+  }
+
+  if (!session && (!authHeader || !authHeader.startsWith('Bearer '))) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Missing or invalid Authorization header',
+    });
+  }
+
+  try {
+    const token = session ? await sessions.getToken(session) : authHeader.substring(7);
+    const { provider, claims } = await providers.verify(token);
+    const principal = provider.getPrincipal(claims);
+
+    if (!principal) {
+      throw new TokenVerificationError('missing_principal', 'Token has no usable principal claim');
+    }
+
+    req.auth = { token, claims, principal, groups: getGroups(claims), provider, session };
+    next();
+  } catch (error) {
+    rejectToken(error, req, res, next, audit);
+  }
+};
+
+const rejectToken = (error, req, res, next, audit) => {
+  if (!(error instanceof TokenVerificationError)) {
+    return next(error);
+  }
+
+  audit?.recordRequest(AuditEvent.TOKEN_REJECTED, req, { code: error.code, reason: error.message });
+  if (error.status === 401) {
+    res.set('WWW-Authenticate', `Bearer error="invalid_token", error_description="${error.message.replace(/"/g, "'")}"`);
+  }
+  res.status(error.status).json({
+    error: error.status === 401 ? 'Unauthorized' : 'Service Unavailable',
+    message: error.message,
+    code: error.code,
+  });
+};
+
+const authenticateServiceAccount = async (serviceAccounts, apiKey, req, res, next, audit) => {
+  try {
+    const identity = serviceAccounts ? await serviceAccounts.authenticate(apiKey) : null;
+    if (!identity) {
+      audit?.recordRequest(AuditEvent.TOKEN_REJECTED, req, { code: 'invalid_api_key', reason: 'Invalid or revoked API key' });
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: serviceAccounts ? 'Invalid or revoked API key' : 'API keys are not enabled',
+        code: 'invalid_api_key',
+      });
+    }
+
+    const { service, apiKeyId, token, claims, principal } = identity;
+    audit?.recordRequest(AuditEvent.SERVICE_REQUEST, req, { principal, service, apiKeyId, method: req.method });
+
+    req.auth = {
+      token,
+      // The client credentials token is already issued for Trino
+      trinoToken: token,
+      claims,
+      principal,
+      groups: [],
+      provider: serviceAccounts.provider,
+      session: null,
+      service: { name: service, apiKeyId },
+    };
+    next();
+  } catch (error) {
+    rejectToken(error, req, res, next, audit);
+  }
+};
@@ -0,0 +1,139 @@
+import { OAuthError, exchangeToken } from './oauthClient.js';
+import { decodeClaims } from './tokenVerifier.js';
+import { AuditEvent } from '../audit/auditLog.js';
+
+const DEFAULT_MARGIN_MS = 30 * 1000;
+const DEFAULT_LIFETIME_MS = 60 * 1000;
+const MAX_CACHE_ENTRIES = 1000;
+
+/**
+ * Obtains Trino-audience tokens for users via OAuth 2.0 Token Exchange
+ * (RFC 8693): the user's access token is exchanged at the issuing provider's
+ * token endpoint with the confidential Trino client's credentials.
+ *
+ * Exchanged tokens are cached per user until shortly before they expire (or
+ * the user logs out), and concurrent requests for the same user share one
+ * exchange.
+ */
+export class TrinoTokenExchange {
+  constructor({ marginMs = DEFAULT_MARGIN_MS } = {}) {
+    this.marginMs = marginMs;
+    this.cache = new Map();
+    this.pending = new Map();
+  }
+
+  /**
+   * Whether tokens from this provider can be exchanged (it has a Trino client)
+   */
+  supports(provider) {
+    return Boolean(provider.trinoClientId && provider.trinoClientSecret);
+  }
+
+  /**
+   * A token for Trino on behalf of the authenticated user (`req.auth`)
+   */
+  async getToken({ token, claims, provider }) {
+    const key = this.keyFor(provider, claims.sub);
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt - this.marginMs > Date.now()) {
+      return cached.token;
+    }
+
+    if (!this.pending.has(key)) {
+      const exchanging = this.exchange(provider, token)
+        .then((entry) => {
+          // Not if the user logged out while the exchange was in flight
+          if (this.pending.get(key) === exchanging) this.remember(key, entry);
+          return entry.token;
+        })
+        .finally(() => {
+          if (this.pending.get(key) === exchanging) this.pending.delete(key);
+        });
+      this.pending.set(key, exchanging);
+    }
+    return this.pending.get(key);
+  }
+
+  async exchange(provider, subjectToken) {
+    const { tokenUrl } = await provider.getEndpoints();
+    const tokens = await exchangeToken({
+      tokenUrl,
+      clientId: provider.trinoClientId,
+      clientSecret: provider.trinoClientSecret,
+      subjectToken,
+      audience: provider.trinoClientId,
+    });
+
+    const exp = decodeClaims(tokens.accessToken)?.exp;
+    const expiresAt = typeof exp === 'number'
+      ? exp * 1000
+      : Date.now() + (tokens.expiresIn ? tokens.expiresIn * 1000 : DEFAULT_LIFETIME_MS);
+    return { token: tokens.accessToken, expiresAt };
+  }
+
+  /**
+   * Drop a user's cached token when they log out, so it stops being used for them
+   */
+  forget(provider, sub) {
+    const key = this.keyFor(provider, sub);
+    this.cache.delete(key);
+    this.pending.delete(key);
+  }
+
+  keyFor(provider, sub) {
+    return `${provider.id}:${sub}`;
+  }
+
+  remember(key, entry) {
+    this.cache.delete(key);
+    if (this.cache.size >= MAX_CACHE_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, entry);
+  }
+}
+
+/**
+ * Express middleware that sets `req.auth.trinoToken`, the bearer token
+ * forwarded to Trino. Without an exchange (or for providers without a Trino
+ * client) it is the caller's own token. Failed exchanges are recorded in the
+ * AuditLog, if one is given. Must run after requireAuth.
+ */
+export const requireTrinoToken = (tokenExchange = null, audit = null) => async (req, res, next) => {
+  // Service accounts already hold a token issued for Trino
+  if (req.auth.trinoToken) {
+    return next();
+  }
+
+  if (!tokenExchange || !tokenExchange.supports(req.auth.provider)) {
+    req.auth.trinoToken = req.auth.token;
+    return next();
+  }
+
+  try {
+    req.auth.trinoToken = await tokenExchange.getToken(req.auth);
+    next();
+  } catch (error) {
+    audit?.recordRequest(AuditEvent.TOKEN_EXCHANGE_FAILED, req, {
+      principal: req.auth.principal,
+      provider: req.auth.provider.id,
+      status: error.status ?? null,
+      reason: error.message,
+    });
+
+    if (error instanceof OAuthError) {
+      return res.status(502).json({
+        error: 'Token Exchange Failed',
+        message: 'The identity provider refused to issue a Trino token for this user',
+        code: 'token_exchange_failed',
+      });
+    }
+
+    console.error('Token exchange failed:', error.message);
+    res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Unable to reach the identity provider for token exchange',
+      code: 'idp_unavailable',
+    });
+  }
+};
@@ -0,0 +1,152 @@
+import { verify as verifySignature, constants } from 'node:crypto';
+import { JwksClient } from './jwks.js';
+
+const DEFAULT_CLOCK_SKEW_SECONDS = 60;
+
+// JWS algorithms we accept, mapped to the node:crypto verify options they need.
+// `none` and the HMAC family are deliberately absent: the IdP signs with asymmetric keys.
+const ALGORITHMS = {
+  RS256: { digest: 'sha256' },
+  RS384: { digest: 'sha384' },
+  RS512: { digest: 'sha512' },
+  PS256: { digest: 'sha256', padding: constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+  PS384: { digest: 'sha384', padding: constants.RSA_PKCS1_PSS_PADDING, saltLength: 48 },
+  PS512: { digest: 'sha512', padding: constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 },
+  ES256: { digest: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { digest: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { digest: 'sha512', dsaEncoding: 'ieee-p1363' },
+};
+
+/**
+ * Raised when a bearer token fails verification. `code` is a stable,
+ * machine-readable reason; `status` is the HTTP status to answer with.
+ */
+export class TokenVerificationError extends Error {
+  constructor(code, message, status = 401) {
+    super(message);
+    this.name = 'TokenVerificationError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const decodeSegment = (segment) => {
+  const json = Buffer.from(segment, 'base64url').toString('utf8');
+  return JSON.parse(json);
+};
+
+/**
+ * Read a JWT's claims WITHOUT verifying it, or null if it isn't a JWT.
+ * Only for tokens the backend received straight from the IdP, e.g. to
+ * schedule a refresh before `exp`.
+ */
+export const decodeClaims = (token) => {
+  try {
+    return decodeSegment(token.split('.')[1]);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Verifies JWTs issued by the configured IdP: signature against the JWKS,
+ * then issuer, audience / authorized party and time-based claims.
+ */
+export class TokenVerifier {
+  constructor({
+    issuer,
+    jwksUrl,
+    audiences,
+    clockSkewSeconds = DEFAULT_CLOCK_SKEW_SECONDS,
+    jwksClient,
+  }) {
+    this.issuer = issuer;
+    this.audiences = audiences.filter(Boolean);
+    this.clockSkewSeconds = clockSkewSeconds;
+    this.jwksClient = jwksClient || new JwksClient({ jwksUrl });
+  }
+
+  /**
+   * Verify a compact JWT and return its claims
+   */
+  async verify(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+      throw new TokenVerificationError('malformed_token', 'Token is not a well-formed JWT');
+    }
+
+    let header;
+    let claims;
+    try {
+      header = decodeSegment(parts[0]);
+      claims = decodeSegment(parts[1]);
+    } catch {
+      throw new TokenVerificationError('malformed_token', 'Token header or payload is not valid JSON');
+    }
+
+    await this.verifySignature(header, parts);
+    this.verifyClaims(claims);
+
+    return claims;
+  }
+
+  async verifySignature(header, [encodedHeader, encodedPayload, encodedSignature]) {
+    // Own properties only, so names like "constructor" aren't found on the prototype
+    const algorithm = Object.hasOwn(ALGORITHMS, header.alg) ? ALGORITHMS[header.alg] : null;
+    if (!algorithm) {
+      throw new TokenVerificationError('unsupported_algorithm', `Token algorithm "${header.alg}" is not accepted`);
+    }
+
+    let entry;
+    try {
+      entry = await this.jwksClient.getKey(header.kid);
+    } catch (error) {
+      throw new TokenVerificationError('jwks_unavailable', `Unable to load signing keys: ${error.message}`, 503);
+    }
+
+    if (!entry) {
+      throw new TokenVerificationError('unknown_key', `No signing key found for kid "${header.kid}"`);
+    }
+
+    if (entry.jwk.alg && entry.jwk.alg !== header.alg) {
+      throw new TokenVerificationError('unsupported_algorithm', `Key "${header.kid}" is not used with ${header.alg}`);
+    }
+
+    const { digest, ...keyOptions } = algorithm;
+    const valid = verifySignature(
+      digest,
+      Buffer.from(`${encodedHeader}.${encodedPayload}`),
+      { key: entry.key, ...keyOptions },
+      Buffer.from(encodedSignature, 'base64url')
+    );
+
+    if (!valid) {
+      throw new TokenVerificationError('invalid_signature', 'Token signature is invalid');
+    }
+  }
+
+  verifyClaims(claims) {
+    const now = Math.floor(Date.now() / 1000);
+
+    if (this.issuer && claims.iss !== this.issuer) {
+      throw new TokenVerificationError('invalid_issuer', `Token issuer "${claims.iss}" is not trusted`);
+    }
+
+    const tokenAudiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud].filter(Boolean);
+    const audienceMatches = tokenAudiences.some((aud) => this.audiences.includes(aud));
+    const azpMatches = claims.azp && this.audiences.includes(claims.azp);
+    if (!audienceMatches && !azpMatches) {
+      throw new TokenVerificationError('invalid_audience', 'Token was not issued for this application');
+    }
+
+    if (typeof claims.exp !== 'number') {
+      throw new TokenVerificationError('missing_expiry', 'Token has no expiry (exp) claim');
+    }
+    if (now - this.clockSkewSeconds >= claims.exp) {
+      throw new TokenVerificationError('token_expired', 'Token has expired');
+    }
+    if (typeof claims.nbf === 'number' && now + this.clockSkewSeconds < claims.nbf) {
+      throw new TokenVerificationError('token_not_yet_valid', 'Token is not valid yet (nbf)');
+    }
+  }
+}
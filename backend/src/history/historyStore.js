@@ -0,0 +1,107 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+
+const DEFAULT_MAX_ENTRIES_PER_USER = 1000;
+
+// Service accounts' API keys may share one client-credentials principal, so
+// each service keeps a history of its own
+const ownerKey = (principal, service) => JSON.stringify([principal, service ?? null]);
+
+/**
+ * Per-user query history persisted as a JSON-lines file.
+ *
+ * The file is append-only; on startup it is read back into memory, keeping
+ * the newest `maxEntriesPerUser` records for each user or service account for
+ * lookups.
+ */
+export class HistoryStore {
+  constructor({ filePath, maxEntriesPerUser = DEFAULT_MAX_ENTRIES_PER_USER }) {
+    this.filePath = filePath;
+    this.maxEntriesPerUser = maxEntriesPerUser;
+    this.entriesByUser = new Map();
+    this.writeChain = Promise.resolve();
+    this.load();
+  }
+
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (!fs.existsSync(this.filePath)) return;
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        this.index(JSON.parse(line));
+      } catch {
+        console.warn('Skipping corrupt history line');
+      }
+    }
+  }
+
+  index(record) {
+    const key = ownerKey(record.principal, record.service);
+    const entries = this.entriesByUser.get(key) || [];
+    entries.push(record);
+    if (entries.length > this.maxEntriesPerUser) {
+      entries.splice(0, entries.length - this.maxEntriesPerUser);
+    }
+    this.entriesByUser.set(key, entries);
+  }
+
+  /**
+   * Record one query execution; `service` names the service account that ran it, if any
+   */
+  record({ principal, service = null, sql, startedAt, rowCount = 0, status, error = null, trinoQueryId = null }) {
+    const record = {
+      id: randomUUID(),
+      principal,
+      service,
+      sql,
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      rowCount,
+      status,
+      error,
+      trinoQueryId,
+    };
+
+    this.index(record);
+
+    // Serialize appends so concurrent writes never interleave within a line
+    this.writeChain = this.writeChain
+      .then(() => fs.promises.appendFile(this.filePath, `${JSON.stringify(record)}\n`))
+      .catch((err) => console.error('Failed to write query history:', err.message));
+
+    return record;
+  }
+
+  /**
+   * Search the history of `caller` (`req.auth`), newest first.
+   * `search` matches SQL text and error messages case-insensitively.
+   */
+  find({ principal, service }, { search, status, from, to, limit = 50, offset = 0 } = {}) {
+    const needle = search?.toLowerCase();
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+
+    const matches = (this.entriesByUser.get(ownerKey(principal, service?.name)) || [])
+      .filter((record) => {
+        const startedAt = Date.parse(record.startedAt);
+        if (status && record.status !== status) return false;
+        if (fromTime && startedAt < fromTime) return false;
+        if (toTime && startedAt > toTime) return false;
+        if (needle) {
+          const haystack = `${record.sql}\n${record.error || ''}`.toLowerCase();
+          if (!haystack.includes(needle)) return false;
+        }
+        return true;
+      })
+      .reverse();
+
+    return {
+      total: matches.length,
+      items: matches.slice(offset, offset + limit),
+    };
+  }
+}
@@ -0,0 +1,33 @@
+import { registry } from './registry.js';
+
+const requestsTotal = registry.counter(
+  'http_requests_total',
+  'HTTP requests handled, by route and status',
+  ['method', 'route', 'status'],
+);
+
+const requestDuration = registry.histogram(
+  'http_request_duration_seconds',
+  'Time to send the response (streamed results count until the last row)',
+  ['method', 'route'],
+);
+
+// A router's own root route is mounted at its base URL: `/api/queries`, not `/api/queries/`
+const routePattern = (req) => (req.baseUrl && req.route.path === '/' ? req.baseUrl : `${req.baseUrl}${req.route.path}`);
+
+/**
+ * Express middleware that records every request once its response finishes.
+ * Requests are labelled with the route pattern that handled them (e.g.
+ * `/api/queries/:id`) rather than the URL, so ids don't create new series;
+ * requests no route matched share the `unmatched` label.
+ */
+export const httpMetrics = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = req.route ? routePattern(req) : 'unmatched';
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    requestsTotal.inc({ method: req.method, route, status: res.statusCode });
+    requestDuration.observe({ method: req.method, route }, seconds);
+  });
+  next();
+};
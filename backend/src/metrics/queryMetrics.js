@@ -0,0 +1,57 @@
+import { registry } from './registry.js';
+
+const queriesInFlight = registry.gauge(
+  'trino_queries_in_flight',
+  'Queries currently running on Trino',
+  ['source'],
+);
+
+const queriesTotal = registry.counter(
+  'trino_queries_total',
+  'Queries that finished, failed or were canceled',
+  ['source', 'outcome'],
+);
+
+const queryDuration = registry.histogram(
+  'trino_query_duration_seconds',
+  'Time from submitting a query to its last row',
+  ['source', 'outcome'],
+  [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600],
+);
+
+const queryRows = registry.histogram(
+  'trino_query_rows',
+  'Rows returned per query',
+  ['source'],
+  [0, 1, 10, 100, 1000, 10000, 100000, 1000000],
+);
+
+const trinoErrors = registry.counter(
+  'trino_errors_total',
+  'Queries that Trino failed, by Trino error name',
+  ['error_name'],
+);
+
+/**
+ * Count a query as in flight until the returned `finish({ outcome, rowCount,
+ * errorName })` is called, which records its outcome, duration and row
+ * count. `source` is `query`, `async`, `script` or `schedule`, as in the
+ * audit log; `errorName` is the Trino error's name (e.g. SYNTAX_ERROR) if it
+ * failed.
+ * Calling `finish` again has no effect.
+ */
+export const trackQuery = (source) => {
+  const startedAt = Date.now();
+  let finished = false;
+  queriesInFlight.inc({ source });
+
+  return ({ outcome, rowCount = 0, errorName = null }) => {
+    if (finished) return;
+    finished = true;
+    queriesInFlight.dec({ source });
+    queriesTotal.inc({ source, outcome });
+    queryDuration.observe({ source, outcome }, (Date.now() - startedAt) / 1000);
+    queryRows.observe({ source }, rowCount);
+    if (errorName) trinoErrors.inc({ error_name: errorName });
+  };
+};
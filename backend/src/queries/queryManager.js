@@ -0,0 +1,262 @@
+import { randomUUID } from 'node:crypto';
+import { createTrinoClient, describeColumns, describeStats, queryInfoUrl } from '../trino/client.js';
+import { describeQueryError } from '../trino/errors.js';
+import { trackQuery } from '../metrics/queryMetrics.js';
+
+const DEFAULT_PAGE_SIZE = 1000;
+const DEFAULT_MAX_RESULT_ROWS = 100000;
+const DEFAULT_ABANDON_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_RETENTION_MS = 15 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 30 * 1000;
+
+export const QueryState = {
+  QUEUED: 'QUEUED',
+  RUNNING: 'RUNNING',
+  FINISHED: 'FINISHED',
+  FAILED: 'FAILED',
+  CANCELED: 'CANCELED',
+};
+
+const TERMINAL_STATES = new Set([QueryState.FINISHED, QueryState.FAILED, QueryState.CANCELED]);
+
+/**
+ * Whether a query or script was submitted by `caller` (`req.auth`): the same
+ * user, or the same service account (whose API keys may share one
+ * client-credentials principal, so the service name has to match too)
+ */
+export const isSubmittedBy = (entry, { principal, service }) =>
+  entry.owner === principal && (entry.service ?? null) === (service?.name ?? null);
+
+/**
+ * Tracks queries submitted through the async lifecycle API.
+ *
+ * Each query is drained from Trino in the background and its rows are kept in
+ * memory (up to `maxResultRows`) so clients can page through them. Queries are
+ * owned by whoever submitted them (see isSubmittedBy). A query nobody has polled for
+ * `abandonTimeoutMs` is cancelled in Trino, and finished queries are evicted
+ * after `retentionMs`. `onComplete(entry)` is called once per query when it
+ * reaches a terminal state.
+ */
+export class QueryManager {
+  constructor({
+    pageSize = DEFAULT_PAGE_SIZE,
+    maxResultRows = DEFAULT_MAX_RESULT_ROWS,
+    abandonTimeoutMs = DEFAULT_ABANDON_TIMEOUT_MS,
+    retentionMs = DEFAULT_RETENTION_MS,
+    onComplete = null,
+  } = {}) {
+    this.pageSize = pageSize;
+    this.onComplete = onComplete;
+    this.maxResultRows = maxResultRows;
+    this.abandonTimeoutMs = abandonTimeoutMs;
+    this.retentionMs = retentionMs;
+    this.queries = new Map();
+
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  /**
+   * Submit a query for background execution and return its record.
+   * `service` names the service account submitting it, if any, and
+   * `settings` (see parseSessionSettings) its session settings. A quota
+   * `lease` is finished with the row count once the query completes.
+   * Statements of a script pass the script's `client`, so they share its
+   * Trino session, and `source: 'script'`. The record's `completion`
+   * resolves once the query reaches a terminal state.
+   */
+  submit({ sql, token, client = null, principal, service = null, settings = null, lease = null, source = 'async' }) {
+    const now = Date.now();
+    const entry = {
+      id: randomUUID(),
+      owner: principal,
+      service,
+      source,
+      sql,
+      state: QueryState.QUEUED,
+      trinoQueryId: null,
+      infoUri: null,
+      columns: null,
+      rows: [],
+      stats: null,
+      error: null,
+      truncated: false,
+      createdAt: now,
+      finishedAt: null,
+      lastAccessedAt: now,
+      lease,
+      client: client || createTrinoClient({ token, user: principal, service, settings }),
+    };
+
+    this.queries.set(entry.id, entry);
+    entry.completion = this.run(entry);
+    return entry;
+  }
+
+  /**
+   * Look up a query for `caller` (`req.auth`), enforcing ownership. Other
+   * callers' queries are reported as missing so their ids can't be probed.
+   */
+  get(id, caller) {
+    const entry = this.queries.get(id);
+    if (!entry || !isSubmittedBy(entry, caller)) {
+      return null;
+    }
+    entry.lastAccessedAt = Date.now();
+    return entry;
+  }
+
+  async run(entry) {
+    const finishMetrics = trackQuery(entry.source);
+    try {
+      const iterator = await entry.client.query(entry.sql);
+
+      for await (const queryResult of iterator) {
+        entry.trinoQueryId = queryResult.id;
+
+        // A query cancelled before its first page had no id to cancel in Trino yet
+        if (entry.state === QueryState.CANCELED) {
+          await this.cancelInTrino(entry);
+          break;
+        }
+
+        entry.infoUri = queryResult.infoUri || entry.infoUri;
+        entry.stats = queryResult.stats || entry.stats;
+        entry.columns = entry.columns || describeColumns(queryResult.columns);
+        entry.state = QueryState.RUNNING;
+
+        if (queryResult.error) {
+          this.fail(entry, queryResult.error);
+          return;
+        }
+
+        if (queryResult.data?.length) {
+          const room = this.maxResultRows - entry.rows.length;
+          entry.rows.push(...queryResult.data.slice(0, room));
+
+          if (queryResult.data.length > room) {
+            // Stop pulling from Trino once the retention limit is reached
+            entry.truncated = true;
+            await this.cancelInTrino(entry);
+            break;
+          }
+        }
+      }
+
+      if (entry.state !== QueryState.CANCELED) {
+        entry.state = QueryState.FINISHED;
+        entry.finishedAt = Date.now();
+      }
+    } catch (error) {
+      if (entry.state !== QueryState.CANCELED) {
+        this.fail(entry, error);
+      }
+    } finally {
+      // The client holds the user's bearer token; drop it once we're done with Trino
+      entry.client = null;
+      entry.lease?.finish(entry.rows.length);
+      entry.lease = null;
+      finishMetrics({ outcome: entry.state, rowCount: entry.rows.length, errorName: entry.error?.errorName ?? null });
+      try {
+        this.onComplete?.(entry);
+      } catch (error) {
+        console.error(`onComplete failed for query ${entry.id}:`, error.message);
+      }
+    }
+  }
+
+  fail(entry, error) {
+    console.error(`Query ${entry.id} (${entry.trinoQueryId}) failed:`, error.message);
+    entry.state = QueryState.FAILED;
+    entry.error = error;
+    entry.finishedAt = Date.now();
+  }
+
+  /**
+   * Cancel a query. Cancelling a query that already completed is a no-op.
+   */
+  async cancel(entry) {
+    if (TERMINAL_STATES.has(entry.state)) {
+      return entry;
+    }
+
+    entry.state = QueryState.CANCELED;
+    entry.finishedAt = Date.now();
+    await this.cancelInTrino(entry);
+    return entry;
+  }
+
+  async cancelInTrino(entry) {
+    if (!entry.client || !entry.trinoQueryId) return;
+    try {
+      await entry.client.cancel(entry.trinoQueryId);
+    } catch (error) {
+      console.error(`Failed to cancel Trino query ${entry.trinoQueryId}:`, error.message);
+    }
+  }
+
+  /**
+   * Cancel abandoned queries and evict expired ones
+   */
+  sweep() {
+    const now = Date.now();
+    for (const entry of this.queries.values()) {
+      if (!TERMINAL_STATES.has(entry.state) && now - entry.lastAccessedAt > this.abandonTimeoutMs) {
+        console.log(`Cancelling abandoned query ${entry.id} (${entry.trinoQueryId})`);
+        this.cancel(entry);
+      } else if (TERMINAL_STATES.has(entry.state) && now - entry.finishedAt > this.retentionMs) {
+        this.queries.delete(entry.id);
+      }
+    }
+  }
+
+  /**
+   * Public view of a query's state and progress
+   */
+  describe(entry) {
+    return {
+      id: entry.id,
+      state: entry.state,
+      trinoQueryId: entry.trinoQueryId,
+      infoUri: queryInfoUrl(entry.trinoQueryId, entry.infoUri),
+      progress: entry.stats?.progressPercentage ?? null,
+      stats: describeStats(entry.stats),
+      columns: entry.columns,
+      rowCount: entry.rows.length,
+      pageSize: this.pageSize,
+      pageCount: Math.ceil(entry.rows.length / this.pageSize),
+      truncated: entry.truncated,
+      error: entry.error && describeQueryError(entry.error, entry.trinoQueryId).body,
+      createdAt: new Date(entry.createdAt).toISOString(),
+      finishedAt: entry.finishedAt ? new Date(entry.finishedAt).toISOString() : null,
+    };
+  }
+
+  /**
+   * One page of buffered results. A page is only handed out once it is full
+   * or the query has completed, so a page never changes after it's been read.
+   * `hasMore` tells the client whether to keep polling.
+   */
+  getPage(entry, page) {
+    const start = page * this.pageSize;
+    const terminal = TERMINAL_STATES.has(entry.state);
+    const ready = terminal || entry.rows.length >= start + this.pageSize;
+    const data = ready ? entry.rows.slice(start, start + this.pageSize) : [];
+
+    return {
+      id: entry.id,
+      state: entry.state,
+      page,
+      pageSize: this.pageSize,
+      columns: entry.columns,
+      data,
+      ready,
+      nextPage: ready ? page + 1 : page,
+      hasMore: !terminal || entry.rows.length > start + this.pageSize,
+      // Progress so far, so clients paging through results needn't also poll the status
+      trinoQueryId: entry.trinoQueryId,
+      infoUri: queryInfoUrl(entry.trinoQueryId, entry.infoUri),
+      stats: describeStats(entry.stats),
+    };
+  }
+}
@@ -0,0 +1,187 @@
+import { randomUUID } from 'node:crypto';
+import { createTrinoClient } from '../trino/client.js';
+import { TrinoSession } from '../trino/session.js';
+import { QueryState, isSubmittedBy } from './queryManager.js';
+
+const DEFAULT_ABANDON_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_RETENTION_MS = 15 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 30 * 1000;
+
+// States of a script's statements besides those of the query that runs them
+export const StatementState = {
+  PENDING: 'PENDING',
+  SKIPPED: 'SKIPPED',
+};
+
+const TERMINAL_STATES = new Set([QueryState.FINISHED, QueryState.FAILED, QueryState.CANCELED]);
+
+/**
+ * Runs multi-statement scripts: the statements run one after another, each
+ * as a query of the QueryManager (so its results are paged through
+ * /api/queries), on one Trino client whose session (see TrinoSession)
+ * carries `USE`, session properties and prepared statements over to the
+ * next statement.
+ *
+ * With `stopOnError` the statements after a failed one are skipped;
+ * otherwise they still run. A script ends FAILED if any statement failed.
+ * Scripts are owned by whoever submitted them (see isSubmittedBy) and are cancelled
+ * when abandoned or evicted once finished, like queries.
+ */
+export class ScriptManager {
+  constructor({
+    queryManager,
+    abandonTimeoutMs = DEFAULT_ABANDON_TIMEOUT_MS,
+    retentionMs = DEFAULT_RETENTION_MS,
+  }) {
+    this.queryManager = queryManager;
+    this.abandonTimeoutMs = abandonTimeoutMs;
+    this.retentionMs = retentionMs;
+    this.scripts = new Map();
+
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  /**
+   * Start running `statements` (from splitStatements) and return the
+   * script's record. The session starts out with `settings` (see
+   * parseSessionSettings). A quota `lease` is finished with the total row
+   * count once the script completes.
+   */
+  submit({ statements, token, principal, service = null, settings = null, lease = null, stopOnError = true }) {
+    const now = Date.now();
+    const client = createTrinoClient({ token, user: principal, service, settings });
+    const script = {
+      id: randomUUID(),
+      owner: principal,
+      service,
+      stopOnError,
+      state: QueryState.RUNNING,
+      statements: statements.map(({ sql, start, end }) => ({ sql, start, end, state: StatementState.PENDING, entry: null })),
+      current: null,
+      session: new TrinoSession(client),
+      createdAt: now,
+      finishedAt: null,
+      lastAccessedAt: now,
+      lease,
+      client,
+    };
+
+    this.scripts.set(script.id, script);
+    this.run(script);
+    return script;
+  }
+
+  /**
+   * Look up a script for `caller` (`req.auth`), enforcing ownership. Polling
+   * a script also keeps its running statement from being treated as abandoned.
+   */
+  get(id, caller) {
+    const script = this.scripts.get(id);
+    if (!script || !isSubmittedBy(script, caller)) {
+      return null;
+    }
+    script.lastAccessedAt = Date.now();
+    if (script.current) {
+      script.current.lastAccessedAt = script.lastAccessedAt;
+    }
+    return script;
+  }
+
+  async run(script) {
+    let rowCount = 0;
+    let failed = false;
+    try {
+      for (const statement of script.statements) {
+        if (script.state === QueryState.CANCELED || (failed && script.stopOnError)) {
+          statement.state = StatementState.SKIPPED;
+          continue;
+        }
+
+        script.session.apply();
+        const entry = this.queryManager.submit({
+          sql: statement.sql,
+          client: script.client,
+          principal: script.owner,
+          service: script.service,
+          source: 'script',
+        });
+        statement.entry = entry;
+        script.current = entry;
+
+        await entry.completion;
+        script.session.update(statement.sql);
+        rowCount += entry.rows.length;
+        failed = failed || entry.state === QueryState.FAILED;
+      }
+    } catch (error) {
+      console.error(`Script ${script.id} failed:`, error.message);
+      failed = true;
+    } finally {
+      // The client holds the user's bearer token; drop it once we're done with Trino
+      script.client = null;
+      script.current = null;
+      if (script.state !== QueryState.CANCELED) {
+        script.state = failed ? QueryState.FAILED : QueryState.FINISHED;
+      }
+      script.finishedAt = script.finishedAt || Date.now();
+      script.lease?.finish(rowCount);
+      script.lease = null;
+    }
+  }
+
+  /**
+   * Cancel a script: its running statement is cancelled in Trino and the
+   * rest are skipped. Cancelling a completed script is a no-op.
+   */
+  async cancel(script) {
+    if (TERMINAL_STATES.has(script.state)) {
+      return script;
+    }
+
+    script.state = QueryState.CANCELED;
+    script.finishedAt = Date.now();
+    if (script.current) {
+      await this.queryManager.cancel(script.current);
+    }
+    return script;
+  }
+
+  /**
+   * Cancel abandoned scripts and evict expired ones
+   */
+  sweep() {
+    const now = Date.now();
+    for (const script of this.scripts.values()) {
+      if (!TERMINAL_STATES.has(script.state) && now - script.lastAccessedAt > this.abandonTimeoutMs) {
+        console.log(`Cancelling abandoned script ${script.id}`);
+        this.cancel(script);
+      } else if (TERMINAL_STATES.has(script.state) && now - script.finishedAt > this.retentionMs) {
+        this.scripts.delete(script.id);
+      }
+    }
+  }
+
+  /**
+   * Public view of a script: its session and each statement's state, with
+   * the status of the query that ran it (see QueryManager.describe)
+   */
+  describe(script) {
+    return {
+      id: script.id,
+      state: script.state,
+      stopOnError: script.stopOnError,
+      session: script.session.describe(),
+      statements: script.statements.map((statement, index) => ({
+        index,
+        sql: statement.sql,
+        start: statement.start,
+        end: statement.end,
+        state: statement.entry?.state ?? statement.state,
+        query: statement.entry && this.queryManager.describe(statement.entry),
+      })),
+      createdAt: new Date(script.createdAt).toISOString(),
+      finishedAt: script.finishedAt ? new Date(script.finishedAt).toISOString() : null,
+    };
+  }
+}
@@ -0,0 +1,153 @@
+const WINDOW_MS = 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+// A slot frees up whenever one of the user's queries finishes; suggest polling soon
+const CONCURRENCY_RETRY_AFTER_SECONDS = 5;
+
+export const QUOTA_NAMES = ['requestsPerMinute', 'maxConcurrentQueries', 'maxRowsPerDay'];
+
+const utcDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+const nextUtcMidnight = (time) => {
+  const date = new Date(time);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+};
+
+/**
+ * Validate a limits object (from defaults or a group override). 0 means
+ * unlimited; omitted quotas are left to the defaults.
+ */
+export const parseLimits = (limits, label) => {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    throw new Error(`${label} must be an object`);
+  }
+  for (const [name, value] of Object.entries(limits)) {
+    if (!QUOTA_NAMES.includes(name)) {
+      throw new Error(`${label}: unknown quota "${name}" (expected ${QUOTA_NAMES.join(', ')})`);
+    }
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${label}.${name} must be a non-negative integer (0 for unlimited)`);
+    }
+  }
+  return limits;
+};
+
+/**
+ * Validate group overrides: an object mapping group names to limits
+ */
+export const parseGroupOverrides = (overrides) => {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('QUOTA_GROUP_OVERRIDES must be a JSON object mapping groups to limits');
+  }
+  for (const [group, limits] of Object.entries(overrides)) {
+    parseLimits(limits, `QUOTA_GROUP_OVERRIDES.${group}`);
+  }
+  return overrides;
+};
+
+// 0 (unlimited) beats any number; otherwise the larger limit wins
+const moreGenerous = (a, b) => (a === 0 || b === 0 ? 0 : Math.max(a, b));
+
+/**
+ * Per-principal query quotas: requests per minute (sliding window), queries
+ * running at once, and result rows per UTC day. Limits come from `defaults`;
+ * `groupOverrides` (group name → limits) raise or lower them for members,
+ * and a user in several overridden groups gets the most generous of each.
+ *
+ * `admit()` is called as a query is submitted. It either rejects it with the
+ * quota that was hit and when to retry, or counts the request and hands out a
+ * lease holding one concurrency slot; `lease.finish(rowCount)` frees the slot
+ * and adds the query's rows to today's total. The row quota is checked when a
+ * query is admitted, so the query that crosses it still completes.
+ */
+export class QuotaManager {
+  constructor({ defaults, groupOverrides = {} }) {
+    this.defaults = defaults;
+    this.groupOverrides = groupOverrides;
+    this.usage = new Map();
+
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  /**
+   * Effective limits for a user in the given groups
+   */
+  limitsFor(groups = []) {
+    const overrides = groups.map((group) => this.groupOverrides[group]).filter(Boolean);
+    if (!overrides.length) return { ...this.defaults };
+
+    return Object.fromEntries(QUOTA_NAMES.map((name) => {
+      const values = overrides.map((override) => override[name] ?? this.defaults[name]);
+      return [name, values.reduce(moreGenerous)];
+    }));
+  }
+
+  usageFor(principal, now) {
+    let usage = this.usage.get(principal);
+    if (!usage) {
+      usage = { requests: [], running: 0, day: utcDay(now), rows: 0 };
+      this.usage.set(principal, usage);
+    }
+    if (usage.day !== utcDay(now)) {
+      usage.day = utcDay(now);
+      usage.rows = 0;
+    }
+    usage.requests = usage.requests.filter((time) => now - time < WINDOW_MS);
+    return usage;
+  }
+
+  /**
+   * Admit a query for `principal`: `{ allowed: true, lease }`, or
+   * `{ allowed: false, quota, limit, retryAfterSeconds }`
+   */
+  admit(principal, groups) {
+    const now = Date.now();
+    const limits = this.limitsFor(groups);
+    const usage = this.usageFor(principal, now);
+
+    const reject = (quota, retryAt) => ({
+      allowed: false,
+      quota,
+      limit: limits[quota],
+      retryAfterSeconds: Math.max(1, Math.ceil((retryAt - now) / 1000)),
+    });
+
+    if (limits.requestsPerMinute && usage.requests.length >= limits.requestsPerMinute) {
+      return reject('requestsPerMinute', usage.requests[0] + WINDOW_MS);
+    }
+    if (limits.maxRowsPerDay && usage.rows >= limits.maxRowsPerDay) {
+      return reject('maxRowsPerDay', nextUtcMidnight(now));
+    }
+    if (limits.maxConcurrentQueries && usage.running >= limits.maxConcurrentQueries) {
+      return reject('maxConcurrentQueries', now + CONCURRENCY_RETRY_AFTER_SECONDS * 1000);
+    }
+
+    usage.requests.push(now);
+    usage.running += 1;
+
+    let finished = false;
+    const lease = {
+      finish: (rowCount = 0) => {
+        if (finished) return;
+        finished = true;
+        const current = this.usageFor(principal, Date.now());
+        current.running = Math.max(0, current.running - 1);
+        current.rows += rowCount;
+      },
+    };
+    return { allowed: true, lease };
+  }
+
+  /**
+   * Forget principals with nothing running, no recent requests and no rows today
+   */
+  sweep() {
+    const now = Date.now();
+    for (const [principal, usage] of this.usage) {
+      const idle = usage.running === 0 && usage.requests.every((time) => now - time >= WINDOW_MS);
+      if (idle && (usage.day !== utcDay(now) || usage.rows === 0)) {
+        this.usage.delete(principal);
+      }
+    }
+  }
+}
@@ -0,0 +1,53 @@
+import { getGroups } from '../auth/requireAuth.js';
+
+const queries = (count) => `${count} ${count === 1 ? 'query' : 'queries'}`;
+
+const DESCRIBE_QUOTA = {
+  requestsPerMinute: (limit) => `You can start at most ${queries(limit)} per minute.`,
+  maxConcurrentQueries: (limit) => `You can run at most ${queries(limit)} at the same time.`,
+  maxRowsPerDay: (limit) => `You have used today's allowance of ${limit} result rows.`,
+};
+
+/**
+ * Express middleware that admits a query submission under the caller's
+ * quotas (see QuotaManager), answering 429 with `Retry-After` when one is
+ * exhausted. Service accounts are limited per service, users per principal.
+ *
+ * Admitted requests get `req.quotaLease`. It is finished when the response
+ * closes, unless the handler takes it over with `detach()` to finish it when
+ * a background query completes, or a streamed response (which closes first
+ * when the client goes away) has counted its rows. Must run after requireAuth.
+ */
+export const requireQueryQuota = (quotas) => (req, res, next) => {
+  const { principal, claims, service } = req.auth;
+  const subject = service ? `service:${service.name}` : principal;
+  const decision = quotas.admit(subject, service ? [] : getGroups(claims));
+
+  if (!decision.allowed) {
+    const { quota, limit, retryAfterSeconds } = decision;
+    console.warn(`Quota ${quota} (${limit}) exceeded by ${subject}; retry in ${retryAfterSeconds}s`);
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({
+      error: 'Too Many Requests',
+      message: DESCRIBE_QUOTA[quota](limit),
+      code: 'quota_exceeded',
+      quota,
+      limit,
+      retryAfterSeconds,
+    });
+  }
+
+  const { lease } = decision;
+  let detached = false;
+  req.quotaLease = {
+    finish: lease.finish,
+    detach: () => {
+      detached = true;
+      return lease;
+    },
+  };
+  res.on('close', () => {
+    if (!detached) lease.finish();
+  });
+  next();
+};
@@ -0,0 +1,67 @@
+import express from 'express';
+
+const MAX_LIMIT = 1000;
+
+/**
+ * Read access to the audit log for administrators: members of `adminGroups`
+ * or principals listed in `adminUsers`. Entries can be filtered by `user`
+ * (a principal, or `service:<name>`), `event` (exact, or a prefix ending in
+ * "." such as `auth.`) and a `from` / `to` time window, newest first.
+ * Expects `req.auth` to be populated by requireAuth.
+ */
+export const createAuditRouter = (auditLog, { adminGroups = [], adminUsers = [] }) => {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    const { principal, groups, service } = req.auth;
+    const isAdmin = !service && (adminUsers.includes(principal) || groups.some((group) => adminGroups.includes(group)));
+    if (!isAdmin) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only administrators can read the audit log',
+      });
+    }
+    next();
+  });
+
+  router.get('/', async (req, res) => {
+    const { user, event, from, to } = req.query;
+    const limit = Math.min(Number(req.query.limit ?? 100), MAX_LIMIT);
+
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'limit must be a positive integer',
+      });
+    }
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `${name} must be an ISO-8601 timestamp`,
+        });
+      }
+    }
+
+    try {
+      const items = await auditLog.search({
+        principal: typeof user === 'string' && user ? user : undefined,
+        event: typeof event === 'string' && event ? event : undefined,
+        from,
+        to,
+        limit,
+      });
+
+      res.json({ items, limit });
+    } catch (error) {
+      console.error('Error searching the audit log:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An error occurred while searching the audit log',
+      });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,57 @@
+import express from 'express';
+import { fetchServerInfo } from '../trino/client.js';
+
+const settle = async (probe) => {
+  try {
+    return { status: 'ok', ...(await probe()) };
+  } catch (error) {
+    let message = error.name === 'TimeoutError' ? 'Timed out' : error.message;
+    // fetch() hides why a connection failed (ECONNREFUSED, ENOTFOUND...) in `cause`
+    if (error.cause?.code) message += ` (${error.cause.code})`;
+    return { status: 'failed', error: message };
+  }
+};
+
+/**
+ * Health checks for orchestrators.
+ *
+ * - `GET /live` (and `GET /`): the process is up and serving requests. It
+ *   checks nothing else, so a Trino or IdP outage doesn't get the backend
+ *   restarted.
+ * - `GET /ready`: the backend can do useful work: Trino's coordinator answers
+ *   /v1/info and has finished starting, and every identity provider can be
+ *   reached. Answers 503 with the failed checks otherwise.
+ *
+ * Each probe gives up after `timeoutMs`.
+ */
+export const createHealthRouter = ({ providers, timeoutMs }) => {
+  const router = express.Router();
+
+  const live = (req, res) => {
+    res.json({ status: 'ok', message: 'Backend is running' });
+  };
+  router.get('/', live);
+  router.get('/live', live);
+
+  router.get('/ready', async (req, res) => {
+    const probes = {
+      trino: async () => {
+        const info = await fetchServerInfo({ timeoutMs });
+        if (info.starting) throw new Error('Trino is still starting');
+        return { version: info.nodeVersion?.version ?? null };
+      },
+    };
+    for (const provider of providers.list()) {
+      probes[`idp:${provider.id}`] = () => provider.probe({ timeoutMs });
+    }
+
+    const names = Object.keys(probes);
+    const results = await Promise.all(names.map((name) => settle(probes[name])));
+    const checks = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+    const ready = results.every((result) => result.status === 'ok');
+
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+  });
+
+  return router;
+};
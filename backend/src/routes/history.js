@@ -0,0 +1,54 @@
+import express from 'express';
+
+const MAX_LIMIT = 200;
+const STATUSES = new Set(['FINISHED', 'FAILED', 'CANCELED']);
+
+/**
+ * Read access to the caller's own query history.
+ * Expects `req.auth` to be populated by requireAuth.
+ */
+export const createHistoryRouter = (historyStore) => {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    const { q, status, from, to } = req.query;
+    const limit = Math.min(Number(req.query.limit ?? 50), MAX_LIMIT);
+    const offset = Number(req.query.offset ?? 0);
+
+    if (!Number.isInteger(limit) || limit < 1 || !Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'limit and offset must be non-negative integers',
+      });
+    }
+
+    if (status && !STATUSES.has(status)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `status must be one of ${[...STATUSES].join(', ')}`,
+      });
+    }
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `${name} must be an ISO-8601 timestamp`,
+        });
+      }
+    }
+
+    const result = historyStore.find(req.auth, {
+      search: typeof q === 'string' && q.trim() ? q.trim() : undefined,
+      status,
+      from,
+      to,
+      limit,
+      offset,
+    });
+
+    res.json({ ...result, limit, offset });
+  });
+
+  return router;
+};
@@ -0,0 +1,68 @@
+import express from 'express';
+import { createTrinoClient, executeQuery, quoteIdentifier } from '../trino/client.js';
+import { describeQueryError } from '../trino/errors.js';
+
+// Trino error names that mean the catalog, schema or table in the path doesn't exist
+const NOT_FOUND_ERRORS = new Set(['CATALOG_NOT_FOUND', 'SCHEMA_NOT_FOUND', 'TABLE_NOT_FOUND', 'NOT_FOUND']);
+
+/**
+ * Catalog / schema / table / column listings for the metadata browser.
+ *
+ * Every lookup runs in Trino as the caller (with their token), so results are
+ * filtered by Trino's access control rules exactly like their own queries,
+ * and its SHOW statement must pass `checkStatement` (see
+ * createStatementCheck) like theirs too, so blocked catalogs can't be browsed.
+ * Catalogs `sqlPolicy` blocks are left out of the catalog list as well.
+ * Expects `req.auth` to be populated by requireAuth and requireTrinoToken.
+ */
+export const createMetadataRouter = ({ checkStatement, sqlPolicy }) => {
+  const router = express.Router();
+
+  const runAsCaller = async (req, sql) => {
+    const { trinoToken, principal, service } = req.auth;
+    const client = createTrinoClient({ token: trinoToken, user: principal, service: service?.name });
+    return executeQuery(client, sql);
+  };
+
+  const handle = (buildSql, mapRow, keepItem = () => true) => async (req, res) => {
+    const sql = buildSql(req.params);
+    if (!checkStatement(sql, req, res, 'metadata')) return;
+
+    try {
+      const { rows } = await runAsCaller(req, sql);
+      res.json({ items: rows.map(mapRow).filter(keepItem) });
+    } catch (error) {
+      const { status, body } = describeQueryError(error);
+      if (NOT_FOUND_ERRORS.has(body.errorName)) {
+        return res.status(404).json({ ...body, error: 'Not Found', code: 'not_found' });
+      }
+
+      console.error('Error loading metadata:', error);
+      res.status(status).json(body);
+    }
+  };
+
+  router.get('/', handle(
+    () => 'SHOW CATALOGS',
+    ([name]) => ({ name }),
+    ({ name }) => !sqlPolicy.isCatalogBlocked(name)
+  ));
+
+  router.get('/:catalog/schemas', handle(
+    ({ catalog }) => `SHOW SCHEMAS FROM ${quoteIdentifier(catalog)}`,
+    ([name]) => ({ name })
+  ));
+
+  router.get('/:catalog/schemas/:schema/tables', handle(
+    ({ catalog, schema }) => `SHOW TABLES FROM ${quoteIdentifier(catalog)}.${quoteIdentifier(schema)}`,
+    ([name]) => ({ name })
+  ));
+
+  router.get('/:catalog/schemas/:schema/tables/:table/columns', handle(
+    ({ catalog, schema, table }) =>
+      `SHOW COLUMNS FROM ${[catalog, schema, table].map(quoteIdentifier).join('.')}`,
+    ([name, type, extra, comment]) => ({ name, type, extra: extra || null, comment: comment || null })
+  ));
+
+  return router;
+};
@@ -0,0 +1,93 @@
+import express from 'express';
+
+const MAX_QUERY_LENGTH = 10000;
+
+/**
+ * Resource-style query lifecycle API: submit, poll, page through results, cancel.
+ * Submissions pass through `admitQuery` (requireQueryQuota), may pick their
+ * session settings (see createSessionSettingsReader) and must pass
+ * `checkStatement` (see createStatementCheck); polling doesn't.
+ * Expects `req.auth` to be populated by requireAuth and requireTrinoToken.
+ */
+export const createQueriesRouter = (queryManager, { admitQuery, checkStatement, readSessionSettings }) => {
+  const router = express.Router();
+
+  // Resolve :id to a query owned by the caller, or answer 404
+  router.param('id', (req, res, next, id) => {
+    const entry = queryManager.get(id, req.auth);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Query ${id} not found`,
+      });
+    }
+    req.queryEntry = entry;
+    next();
+  });
+
+  router.post('/', admitQuery, (req, res) => {
+    const { query } = req.body;
+
+    if (!query || typeof query !== 'string') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Query string is required',
+      });
+    }
+
+    if (query.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Query exceeds maximum length of ${MAX_QUERY_LENGTH} characters`,
+      });
+    }
+
+    const settings = readSessionSettings(req, res);
+    if (!settings) return;
+
+    if (!checkStatement(query, req, res, 'async', settings)) return;
+
+    const { trinoToken, principal, service } = req.auth;
+    const entry = queryManager.submit({
+      sql: query,
+      token: trinoToken,
+      principal,
+      service: service?.name,
+      settings,
+      lease: req.quotaLease.detach(),
+    });
+
+    res.status(201)
+      .location(`${req.baseUrl}/${entry.id}`)
+      .json(queryManager.describe(entry));
+  });
+
+  router.get('/:id', (req, res) => {
+    res.json(queryManager.describe(req.queryEntry));
+  });
+
+  router.get('/:id/results', (req, res) => {
+    const page = Number(req.query.page ?? 0);
+
+    if (!Number.isInteger(page) || page < 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'page must be a non-negative integer',
+      });
+    }
+
+    res.json(queryManager.getPage(req.queryEntry, page));
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      await queryManager.cancel(req.queryEntry);
+    } catch (error) {
+      // The query is marked cancelled either way; only telling Trino failed
+      console.error(`Error cancelling query ${req.queryEntry.id}:`, error.message);
+    }
+    res.json(queryManager.describe(req.queryEntry));
+  });
+
+  return router;
+};
@@ -0,0 +1,127 @@
+import express from 'express';
+import { ParameterError } from '../sql/parameters.js';
+import { parseSavedQuery, bindSavedQuery } from '../savedQueries/savedQuery.js';
+
+/**
+ * CRUD for saved, parameterized queries plus a `run` action that binds
+ * parameter values and submits the query through the async query lifecycle
+ * (subject to `admitQuery`, i.e. requireQueryQuota, and `checkStatement`).
+ * Expects `req.auth` to be populated by requireAuth and requireTrinoToken.
+ */
+export const createSavedQueriesRouter = (savedQueryStore, queryManager, { admitQuery, checkStatement }) => {
+  const router = express.Router();
+
+  const present = (query, caller) => ({ ...query, canEdit: savedQueryStore.isOwner(query, caller) });
+
+  const badRequest = (res, error) => res.status(400).json({
+    error: 'Bad Request',
+    message: error.message,
+  });
+
+  // Invalid fields are the caller's fault; anything else (e.g. the store failing to write) is ours
+  const handleError = (res, error, action) => {
+    if (error instanceof ParameterError) return badRequest(res, error);
+    console.error(`Error ${action} saved query:`, error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: `An error occurred while ${action} the saved query`,
+    });
+  };
+
+  // Resolve :id to a saved query the caller can see, or answer 404
+  router.param('id', (req, res, next, id) => {
+    const savedQuery = savedQueryStore.get(id, req.auth);
+    if (!savedQuery) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Saved query ${id} not found`,
+      });
+    }
+    req.savedQuery = savedQuery;
+    next();
+  });
+
+  // Only the owner may change or delete a saved query
+  const requireOwner = (req, res, next) => {
+    if (!savedQueryStore.isOwner(req.savedQuery, req.auth)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the owner can modify this saved query',
+      });
+    }
+    next();
+  };
+
+  router.get('/', (req, res) => {
+    res.json({ items: savedQueryStore.list(req.auth).map((query) => present(query, req.auth)) });
+  });
+
+  router.post('/', async (req, res) => {
+    try {
+      const fields = parseSavedQuery(req.body, req.auth);
+      const savedQuery = await savedQueryStore.create(fields, req.auth);
+      res.status(201)
+        .location(`${req.baseUrl}/${savedQuery.id}`)
+        .json(present(savedQuery, req.auth));
+    } catch (error) {
+      handleError(res, error, 'saving');
+    }
+  });
+
+  router.get('/:id', (req, res) => {
+    res.json(present(req.savedQuery, req.auth));
+  });
+
+  router.put('/:id', requireOwner, async (req, res) => {
+    try {
+      const fields = parseSavedQuery(req.body, req.auth);
+      const savedQuery = await savedQueryStore.update(req.savedQuery.id, fields);
+      res.json(present(savedQuery, req.auth));
+    } catch (error) {
+      handleError(res, error, 'updating');
+    }
+  });
+
+  router.delete('/:id', requireOwner, async (req, res) => {
+    try {
+      await savedQueryStore.remove(req.savedQuery.id);
+      res.status(204).end();
+    } catch (error) {
+      handleError(res, error, 'deleting');
+    }
+  });
+
+  router.post('/:id/run', admitQuery, (req, res) => {
+    const values = req.body?.values ?? {};
+    if (typeof values !== 'object' || Array.isArray(values)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'values must be an object of parameter names to values',
+      });
+    }
+
+    let sql;
+    try {
+      sql = bindSavedQuery(req.savedQuery, values);
+    } catch (error) {
+      if (error instanceof ParameterError) return badRequest(res, error);
+      throw error;
+    }
+    if (!checkStatement(sql, req, res, 'async')) return;
+
+    const { trinoToken, principal, service } = req.auth;
+    const entry = queryManager.submit({
+      sql,
+      token: trinoToken,
+      principal,
+      service: service?.name,
+      lease: req.quotaLease.detach(),
+    });
+
+    res.status(201)
+      .location(`/api/queries/${entry.id}`)
+      .json(queryManager.describe(entry));
+  });
+
+  return router;
+};
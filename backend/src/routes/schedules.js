@@ -0,0 +1,207 @@
+import path from 'node:path';
+import express from 'express';
+import { ParameterError } from '../sql/parameters.js';
+import { parseSchedule } from '../schedules/schedule.js';
+import { isSessionBoundRefreshToken } from '../schedules/credentials.js';
+import { OAuthError, exchangeAuthorizationCode } from '../auth/oauthClient.js';
+import { TokenVerificationError } from '../auth/tokenVerifier.js';
+
+/**
+ * Manage scheduled queries and fetch their past runs' result snapshots.
+ * Schedules are private to whoever created them. Users' schedules run on
+ * their behalf with a delegated offline refresh token (see
+ * isSessionBoundRefreshToken), never the one of their login: the SPA gets it
+ * by sending the user through the provider again with the provider's
+ * `delegationScope` and hands the authorization code to
+ * `POST /:id/delegation`, so the token stays on the backend. API clients may
+ * send a `refreshToken` of their own with the schedule instead. Schedules
+ * created with an API key run as the service account.
+ * Expects `req.auth` to be populated by requireAuth.
+ */
+export const createSchedulesRouter = (scheduler, savedQueryStore) => {
+  const router = express.Router();
+
+  const badRequest = (res, message) => res.status(400).json({
+    error: 'Bad Request',
+    message,
+  });
+
+  // Invalid fields are answered in parseRequest; anything else (e.g. the store failing to write) is ours
+  const serverError = (res, error, action) => {
+    console.error(`Error ${action} schedule:`, error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: `An error occurred while ${action} the schedule`,
+    });
+  };
+
+  // Resolve :id to one of the caller's schedules, or answer 404
+  router.param('id', (req, res, next, id) => {
+    const schedule = scheduler.store.get(id, req.auth);
+    if (!schedule) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Schedule ${id} not found`,
+      });
+    }
+    req.schedule = schedule;
+    next();
+  });
+
+  /**
+   * Validated schedule fields plus who it runs as, or null after answering 400.
+   * Users who send no refresh token keep the stored delegation, or get none
+   * on a new schedule until they grant one.
+   */
+  const parseRequest = (req, res, existing = null) => {
+    let fields;
+    try {
+      fields = parseSchedule(req.body);
+    } catch (error) {
+      if (error instanceof ParameterError) {
+        badRequest(res, error.message);
+        return null;
+      }
+      throw error;
+    }
+
+    if (fields.savedQueryId && !savedQueryStore.get(fields.savedQueryId, req.auth)) {
+      badRequest(res, `Saved query ${fields.savedQueryId} not found`);
+      return null;
+    }
+
+    const { service, provider } = req.auth;
+    if (service) {
+      return { ...fields, runAs: 'service', delegation: null };
+    }
+
+    const { refreshToken } = req.body;
+    if (refreshToken !== undefined && refreshToken !== null) {
+      if (typeof refreshToken !== 'string' || !refreshToken || isSessionBoundRefreshToken(refreshToken)) {
+        badRequest(res, 'refreshToken must be an offline refresh token (requested with the offline_access scope)');
+        return null;
+      }
+      return { ...fields, runAs: 'user', delegation: { providerId: provider.id, refreshToken } };
+    }
+    return existing ? { ...fields, runAs: 'user' } : { ...fields, runAs: 'user', delegation: null };
+  };
+
+  router.get('/', (req, res) => {
+    res.json({ items: scheduler.store.list(req.auth).map((schedule) => scheduler.describe(schedule)) });
+  });
+
+  router.post('/', async (req, res) => {
+    try {
+      const fields = parseRequest(req, res);
+      if (!fields) return;
+
+      const schedule = await scheduler.create(fields, req.auth);
+      res.status(201)
+        .location(`${req.baseUrl}/${schedule.id}`)
+        .json(scheduler.describe(schedule));
+    } catch (error) {
+      serverError(res, error, 'saving');
+    }
+  });
+
+  router.get('/:id', (req, res) => {
+    res.json(scheduler.describe(req.schedule));
+  });
+
+  router.put('/:id', async (req, res) => {
+    try {
+      const fields = parseRequest(req, res, req.schedule);
+      if (!fields) return;
+
+      const schedule = await scheduler.update(req.schedule, fields);
+      res.json(scheduler.describe(schedule));
+    } catch (error) {
+      serverError(res, error, 'updating');
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      await scheduler.remove(req.schedule);
+      res.status(204).end();
+    } catch (error) {
+      serverError(res, error, 'deleting');
+    }
+  });
+
+  // Redeem the authorization code of a login the user made with the
+  // provider's delegationScope, and let the schedule run with its refresh token
+  router.post('/:id/delegation', async (req, res) => {
+    const { principal, service, provider } = req.auth;
+    if (service) {
+      return badRequest(res, 'Schedules created with an API key run as the service account');
+    }
+    const { code, codeVerifier, redirectUri } = req.body || {};
+    if (typeof code !== 'string' || !code) {
+      return badRequest(res, 'Authorization code is required');
+    }
+
+    try {
+      const tokens = await exchangeAuthorizationCode({ ...(await provider.getConfig()), code, codeVerifier, redirectUri });
+      const claims = await provider.verify(tokens.accessToken);
+      if (provider.getPrincipal(claims) !== principal) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Offline access was granted by a different user',
+        });
+      }
+      if (!tokens.refreshToken || isSessionBoundRefreshToken(tokens.refreshToken)) {
+        return badRequest(res, `${provider.name} did not grant offline access (the offline_access scope)`);
+      }
+
+      const schedule = await scheduler.delegate(req.schedule, { providerId: provider.id, refreshToken: tokens.refreshToken });
+      res.json(scheduler.describe(schedule));
+    } catch (error) {
+      if (error instanceof OAuthError || error instanceof TokenVerificationError) {
+        // A rejected code is a bad request, not the caller's own login failing
+        return res.status(error.status >= 500 ? error.status : 400).json({
+          error: 'Token Exchange Failed',
+          message: error.message,
+        });
+      }
+      serverError(res, error, 'delegating');
+    }
+  });
+
+  router.post('/:id/run', (req, res) => {
+    if (scheduler.isRunning(req.schedule)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'This schedule is already running',
+      });
+    }
+
+    const run = scheduler.runNow(req.schedule);
+    res.status(202)
+      .location(`${req.baseUrl}/${req.schedule.id}/runs`)
+      .json(run);
+  });
+
+  // Kept runs, newest first
+  router.get('/:id/runs', (req, res) => {
+    res.json({ items: [...req.schedule.runs].reverse() });
+  });
+
+  router.get('/:id/runs/:runId/snapshot', (req, res) => {
+    const run = req.schedule.runs.find(({ id }) => id === req.params.runId);
+    if (!run?.snapshot) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `No snapshot for run ${req.params.runId}`,
+      });
+    }
+
+    const { format } = run.snapshot;
+    const fileName = `${req.schedule.name.replace(/[^\w.-]+/g, '_')}-${run.startedAt.replace(/[:.]/g, '-')}.${format}`;
+    res.attachment(fileName);
+    res.type(scheduler.snapshots.contentType(format));
+    res.sendFile(path.resolve(scheduler.snapshots.filePath(req.schedule.id, run.id, format)));
+  });
+
+  return router;
+};
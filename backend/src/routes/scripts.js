@@ -0,0 +1,106 @@
+import express from 'express';
+import { splitStatements } from '../sql/tokenizer.js';
+
+const MAX_SCRIPT_LENGTH = 10000;
+const MAX_STATEMENTS = 100;
+
+/**
+ * Multi-statement scripts: submit, poll, cancel. The script is split on
+ * semicolons outside strings and comments, and each statement's results
+ * are paged through /api/queries/:queryId/results. Submissions pass through
+ * `admitQuery` (one quota admission per script), may pick the session's
+ * initial settings (see createSessionSettingsReader) and every statement
+ * must pass `checkStatement`.
+ * Expects `req.auth` to be populated by requireAuth and requireTrinoToken.
+ */
+export const createScriptsRouter = (scriptManager, { admitQuery, checkStatement, readSessionSettings }) => {
+  const router = express.Router();
+
+  // Resolve :id to a script owned by the caller, or answer 404
+  router.param('id', (req, res, next, id) => {
+    const script = scriptManager.get(id, req.auth);
+    if (!script) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Script ${id} not found`,
+      });
+    }
+    req.script = script;
+    next();
+  });
+
+  router.post('/', admitQuery, (req, res) => {
+    const { script, stopOnError = true } = req.body;
+
+    if (!script || typeof script !== 'string') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Script string is required',
+      });
+    }
+
+    if (script.length > MAX_SCRIPT_LENGTH) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Script exceeds maximum length of ${MAX_SCRIPT_LENGTH} characters`,
+      });
+    }
+
+    if (typeof stopOnError !== 'boolean') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'stopOnError must be a boolean',
+      });
+    }
+
+    const statements = splitStatements(script);
+    if (!statements.length) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Script contains no statements',
+      });
+    }
+    if (statements.length > MAX_STATEMENTS) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Script exceeds the maximum of ${MAX_STATEMENTS} statements`,
+      });
+    }
+
+    const settings = readSessionSettings(req, res);
+    if (!settings) return;
+
+    if (!checkStatement(script, req, res, 'script', settings)) return;
+
+    const { trinoToken, principal, service } = req.auth;
+    const created = scriptManager.submit({
+      statements,
+      token: trinoToken,
+      principal,
+      service: service?.name,
+      settings,
+      lease: req.quotaLease.detach(),
+      stopOnError,
+    });
+
+    res.status(201)
+      .location(`${req.baseUrl}/${created.id}`)
+      .json(scriptManager.describe(created));
+  });
+
+  router.get('/:id', (req, res) => {
+    res.json(scriptManager.describe(req.script));
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      await scriptManager.cancel(req.script);
+    } catch (error) {
+      // The script is marked cancelled either way; only telling Trino failed
+      console.error(`Error cancelling script ${req.script.id}:`, error.message);
+    }
+    res.json(scriptManager.describe(req.script));
+  });
+
+  return router;
+};
@@ -0,0 +1,39 @@
+import express from 'express';
+import { createTrinoClient, executeQuery } from '../trino/client.js';
+import { describeQueryError } from '../trino/errors.js';
+
+/**
+ * What queries may set in their session settings (see parseSessionSettings):
+ * the default catalog and schema, and the session properties in
+ * `allowedProperties` with their type, default and description.
+ *
+ * The properties are read with `SHOW SESSION` as the caller, so only those
+ * Trino knows about (e.g. of catalogs they can see) are listed.
+ * Expects `req.auth` to be populated by requireAuth and requireTrinoToken.
+ */
+export const createSessionPropertiesRouter = ({ allowedProperties, defaults }) => {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    if (!allowedProperties.length) {
+      return res.json({ defaults, properties: [] });
+    }
+
+    try {
+      const { trinoToken, principal, service } = req.auth;
+      const client = createTrinoClient({ token: trinoToken, user: principal, service: service?.name });
+      const { rows } = await executeQuery(client, 'SHOW SESSION');
+
+      const properties = rows
+        .filter(([name]) => allowedProperties.includes(name))
+        .map(([name, , defaultValue, type, description]) => ({ name, type, default: defaultValue, description }));
+      res.json({ defaults, properties });
+    } catch (error) {
+      console.error('Error loading session properties:', error);
+      const { status, body } = describeQueryError(error);
+      res.status(status).json(body);
+    }
+  });
+
+  return router;
+};
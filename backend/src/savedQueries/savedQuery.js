@@ -0,0 +1,153 @@
+import {
+  ParameterError,
+  PARAMETER_TYPES,
+  findNamedPlaceholders,
+  renderLiteral,
+  replaceNamedPlaceholders,
+} from '../sql/parameters.js';
+
+const MAX_SQL_LENGTH = 10000;
+const MAX_PARAMETERS = 20;
+const PARAMETER_NAME_PATTERN = /^[A-Za-z_]\w*$/;
+const VISIBILITIES = new Set(['private', 'shared']);
+
+export const requireString = (value, field, { max, optional = false } = {}) => {
+  if (value === undefined || value === null || value === '') {
+    if (optional) return null;
+    throw new ParameterError(`${field} is required`);
+  }
+  if (typeof value !== 'string') {
+    throw new ParameterError(`${field} must be a string`);
+  }
+  if (max && value.length > max) {
+    throw new ParameterError(`${field} exceeds maximum length of ${max} characters`);
+  }
+  return value;
+};
+
+const parseParameter = (definition, index) => {
+  const field = `parameters[${index}]`;
+  if (!definition || typeof definition !== 'object') {
+    throw new ParameterError(`${field} must be an object`);
+  }
+
+  const name = requireString(definition.name, `${field}.name`, { max: 64 });
+  if (!PARAMETER_NAME_PATTERN.test(name)) {
+    throw new ParameterError(`${field}.name must be a valid identifier`);
+  }
+  if (!PARAMETER_TYPES[definition.type]) {
+    throw new ParameterError(`${field}.type must be one of ${Object.keys(PARAMETER_TYPES).join(', ')}`);
+  }
+
+  const parameter = {
+    name,
+    type: definition.type,
+    label: requireString(definition.label, `${field}.label`, { max: 200, optional: true }),
+    required: definition.required !== false,
+    default: definition.default ?? null,
+  };
+
+  if (parameter.default !== null) {
+    try {
+      renderLiteral(parameter.type, parameter.default);
+    } catch (error) {
+      throw new ParameterError(`${field}.default: ${error.message}`);
+    }
+  }
+
+  return parameter;
+};
+
+/**
+ * Validate a saved query payload and return the fields to store.
+ * Every `:placeholder` in the SQL must have exactly one matching definition.
+ */
+export const parseSavedQuery = (body, { groups }) => {
+  const name = requireString(body.name, 'name', { max: 200 });
+  const description = requireString(body.description, 'description', { max: 2000, optional: true });
+  const sql = requireString(body.sql, 'sql', { max: MAX_SQL_LENGTH });
+
+  const visibility = body.visibility ?? 'private';
+  if (!VISIBILITIES.has(visibility)) {
+    throw new ParameterError('visibility must be "private" or "shared"');
+  }
+
+  let group = null;
+  if (visibility === 'shared') {
+    group = requireString(body.group, 'group', { max: 200 });
+    if (!groups.includes(group)) {
+      throw new ParameterError(`You can only share queries with a group you belong to ("${group}" is not one of them)`);
+    }
+  }
+
+  const definitions = body.parameters ?? [];
+  if (!Array.isArray(definitions) || definitions.length > MAX_PARAMETERS) {
+    throw new ParameterError(`parameters must be an array of at most ${MAX_PARAMETERS} definitions`);
+  }
+  const parameters = definitions.map(parseParameter);
+
+  const defined = new Set();
+  for (const { name: parameterName } of parameters) {
+    if (defined.has(parameterName)) {
+      throw new ParameterError(`Parameter "${parameterName}" is defined more than once`);
+    }
+    defined.add(parameterName);
+  }
+
+  const used = new Set(findNamedPlaceholders(sql).map((placeholder) => placeholder.name));
+  for (const placeholder of used) {
+    if (!defined.has(placeholder)) {
+      throw new ParameterError(`Placeholder ":${placeholder}" has no parameter definition`);
+    }
+  }
+  for (const parameterName of defined) {
+    if (!used.has(parameterName)) {
+      throw new ParameterError(`Parameter "${parameterName}" is not used in the SQL`);
+    }
+  }
+
+  return { name, description, sql, parameters, visibility, group };
+};
+
+/**
+ * Resolve run-time values for a saved query's parameters, applying defaults
+ * and checking required ones. Returns values keyed by parameter name.
+ */
+export const resolveParameterValues = (savedQuery, values = {}) => {
+  // Names such as `constructor` or `__proto__` are valid parameter names, so
+  // neither the lookup nor the result may go through Object.prototype
+  const given = values ?? {};
+  const resolved = Object.create(null);
+
+  for (const parameter of savedQuery.parameters) {
+    let value = Object.hasOwn(given, parameter.name) ? given[parameter.name] : undefined;
+    if (value === undefined || value === '') {
+      value = parameter.default;
+    }
+    if (value === null || value === undefined) {
+      if (parameter.required) {
+        throw new ParameterError(`Parameter "${parameter.name}" is required`);
+      }
+      value = null;
+    }
+    resolved[parameter.name] = value;
+  }
+
+  return resolved;
+};
+
+/**
+ * Produce runnable SQL by substituting typed literals for each placeholder
+ */
+export const bindSavedQuery = (savedQuery, values) => {
+  const resolved = resolveParameterValues(savedQuery, values);
+  const types = Object.fromEntries(savedQuery.parameters.map((p) => [p.name, p.type]));
+
+  return replaceNamedPlaceholders(savedQuery.sql, (name) => {
+    try {
+      return renderLiteral(types[name], resolved[name]);
+    } catch (error) {
+      throw new ParameterError(`Parameter "${name}": ${error.message}`);
+    }
+  });
+};
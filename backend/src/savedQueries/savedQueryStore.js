@@ -0,0 +1,96 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Saved queries persisted as a single JSON document.
+ * Every change rewrites the file via a temp file + rename so it is never half-written.
+ */
+export class SavedQueryStore {
+  constructor({ filePath }) {
+    this.filePath = filePath;
+    this.queries = new Map();
+    this.writeChain = Promise.resolve();
+    this.load();
+  }
+
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (!fs.existsSync(this.filePath)) return;
+
+    const { queries = [] } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    for (const query of queries) {
+      this.queries.set(query.id, query);
+    }
+  }
+
+  persist() {
+    const snapshot = JSON.stringify({ queries: [...this.queries.values()] }, null, 2);
+    const tempPath = `${this.filePath}.tmp`;
+
+    const write = this.writeChain.then(async () => {
+      await fs.promises.writeFile(tempPath, snapshot);
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+    // A failed write rejects for its caller but doesn't stop the ones queued after it
+    this.writeChain = write.catch(() => {});
+
+    return write;
+  }
+
+  /**
+   * Saved queries belong to whoever created them: a user, or a service
+   * account (whose keys may share one client-credentials principal, so the
+   * service name has to match too)
+   */
+  isOwner(query, { principal, service }) {
+    return query.owner === principal && (query.service ?? null) === (service?.name ?? null);
+  }
+
+  /**
+   * Whether a caller may see (and run) a saved query: owners always can,
+   * others only when it is shared with one of their groups
+   */
+  canRead(query, caller) {
+    if (this.isOwner(query, caller)) return true;
+    return query.visibility === 'shared' && caller.groups.includes(query.group);
+  }
+
+  list(caller) {
+    return [...this.queries.values()]
+      .filter((query) => this.canRead(query, caller))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  get(id, caller) {
+    const query = this.queries.get(id);
+    return query && this.canRead(query, caller) ? query : null;
+  }
+
+  async create(fields, { principal, service }) {
+    const now = new Date().toISOString();
+    const query = {
+      id: randomUUID(),
+      ...fields,
+      owner: principal,
+      service: service?.name ?? null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.queries.set(query.id, query);
+    await this.persist();
+    return query;
+  }
+
+  async update(id, fields) {
+    const query = { ...this.queries.get(id), ...fields, updatedAt: new Date().toISOString() };
+    this.queries.set(id, query);
+    await this.persist();
+    return query;
+  }
+
+  async remove(id) {
+    this.queries.delete(id);
+    await this.persist();
+  }
+}
@@ -0,0 +1,92 @@
+import { OAuthError, refreshTokens } from '../auth/oauthClient.js';
+import { TokenVerificationError, decodeClaims } from '../auth/tokenVerifier.js';
+import { getGroups } from '../auth/requireAuth.js';
+import { ScheduleRunError } from './schedule.js';
+
+/**
+ * Whether a refresh token is known to be tied to the user's SSO session, so
+ * it stops working when that session idles out, expires or is logged out.
+ * Keycloak's refresh tokens say so in `typ` ("Refresh", as opposed to
+ * "Offline" for the offline_access scope); opaque tokens can't be told apart.
+ */
+export const isSessionBoundRefreshToken = (refreshToken) => decodeClaims(refreshToken)?.typ === 'Refresh';
+
+/**
+ * Works out who a scheduled run executes as and the token it sends to Trino.
+ *
+ * - `runAs: 'service'` (schedules created with an API key) uses the
+ *   service-account token, tagged with the creating service's name
+ * - `runAs: 'user'` uses the owner's delegated refresh token, saved with the
+ *   schedule. Each run redeems it for a fresh access token (exchanged for a
+ *   Trino token when token exchange is on); a rotated refresh token is
+ *   returned as `refreshToken` for the caller to store.
+ *
+ * Resolves to `{ token, principal, groups, service, refreshToken }`.
+ */
+export class ScheduleCredentials {
+  constructor({ providers, serviceAccounts = null, tokenExchange = null }) {
+    this.providers = providers;
+    this.serviceAccounts = serviceAccounts;
+    this.tokenExchange = tokenExchange;
+  }
+
+  async resolve(schedule) {
+    return schedule.runAs === 'service' ? this.forService(schedule) : this.forUser(schedule);
+  }
+
+  async forService(schedule) {
+    if (!this.serviceAccounts) {
+      throw new ScheduleRunError('Service accounts are disabled (SERVICE_ACCOUNTS_ENABLED)', { retryable: false });
+    }
+
+    const { token, claims } = await this.serviceAccounts.getToken();
+    return {
+      token,
+      principal: this.serviceAccounts.provider.getPrincipal(claims),
+      groups: [],
+      service: schedule.service,
+      refreshToken: null,
+    };
+  }
+
+  async forUser(schedule) {
+    const { providerId, refreshToken } = schedule.delegation || {};
+    const provider = providerId && this.providers.get(providerId);
+    if (!provider || !refreshToken) {
+      throw new ScheduleRunError('The schedule has no delegated credentials; grant it offline access to let it run', { retryable: false });
+    }
+
+    let tokens;
+    let claims;
+    try {
+      tokens = await refreshTokens({ ...(await provider.getConfig()), refreshToken });
+      claims = await provider.verify(tokens.accessToken);
+    } catch (error) {
+      // The provider being down (its token endpoint or its signing keys) is worth retrying
+      if ((error instanceof OAuthError || error instanceof TokenVerificationError) && error.status < 500) {
+        throw new ScheduleRunError(
+          `The owner's delegated login is no longer valid (${error.message}); grant the schedule offline access again to renew it`,
+          { retryable: false },
+        );
+      }
+      throw new ScheduleRunError(`Unable to refresh the owner's token: ${error.message}`);
+    }
+
+    const principal = provider.getPrincipal(claims);
+    if (principal !== schedule.owner) {
+      throw new ScheduleRunError(`The delegated token belongs to ${principal}, not the schedule's owner`, { retryable: false });
+    }
+
+    const token = this.tokenExchange?.supports(provider)
+      ? await this.tokenExchange.getToken({ token: tokens.accessToken, claims, provider })
+      : tokens.accessToken;
+
+    return {
+      token,
+      principal,
+      groups: getGroups(claims),
+      service: null,
+      refreshToken: tokens.refreshToken || refreshToken,
+    };
+  }
+}
@@ -0,0 +1,147 @@
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  // 7 is accepted as Sunday, as in most crons
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 },
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+// Give up looking for a matching day after this many (covers leap years)
+const MAX_SEARCH_DAYS = 8 * 366;
+
+const parseValue = (text, field) => {
+  const index = field.names?.indexOf(text.toUpperCase()) ?? -1;
+  if (index !== -1) return index + field.nameOffset;
+
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid ${field.name} value "${text}"`);
+  }
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} value ${value} is outside ${field.min}-${field.max}`);
+  }
+  return value;
+};
+
+/**
+ * Parse one field (`*`, `5`, `1-5`, `0-59/15`, `MON-FRI`, `0,30`...) into the
+ * set of values it matches
+ */
+const parseField = (text, field) => {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in ${field.name} "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      [start, end] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      [start, end] = [parseValue(from, field), parseValue(to, field)];
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range "${range}"`);
+      }
+    } else {
+      start = parseValue(range, field);
+      // `5/15` means "from 5, every 15"
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a standard five-field cron expression (minute hour day-of-month
+ * month day-of-week) or one of the @hourly / @daily / @weekly / @monthly /
+ * @yearly macros. Throws an Error describing the first invalid field.
+ */
+export const parseCron = (expression) => {
+  const text = String(expression ?? '').trim();
+  const fields = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('A cron expression needs five fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) => parseField(field, FIELDS[index]));
+  if (daysOfWeek.delete(7)) daysOfWeek.add(0);
+
+  return {
+    expression: text,
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    dayOfMonthRestricted: !fields[2].startsWith('*'),
+    dayOfWeekRestricted: !fields[4].startsWith('*'),
+  };
+};
+
+const matchesDay = (cron, date) => {
+  const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+  // When both day fields are restricted, a day matching either one runs (as in Vixie cron)
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return dayOfMonth || dayOfWeek;
+  if (cron.dayOfMonthRestricted) return dayOfMonth;
+  if (cron.dayOfWeekRestricted) return dayOfWeek;
+  return true;
+};
+
+/**
+ * The first time after `after` (a Date) that a parsed cron expression
+ * matches, in the server's local time zone, or null if it never does
+ * (e.g. `0 0 30 2 *`)
+ */
+export const nextRunAfter = (cron, after = new Date()) => {
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  let days = 0;
+  while (days < MAX_SEARCH_DAYS) {
+    if (!cron.months.has(date.getMonth() + 1) || !matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      days += 1;
+      continue;
+    }
+    if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      if (date.getHours() === 0) days += 1;
+      continue;
+    }
+    if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      if (date.getMinutes() === 0 && date.getHours() === 0) days += 1;
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+};
@@ -0,0 +1,100 @@
+import { ParameterError } from '../sql/parameters.js';
+import { requireString } from '../savedQueries/savedQuery.js';
+import { parseCron, nextRunAfter } from './cron.js';
+
+const MAX_SQL_LENGTH = 10000;
+const FORMATS = new Set(['csv', 'json']);
+const MAX_RETRIES = 5;
+const MAX_RETRY_DELAY_SECONDS = 3600;
+const MAX_HISTORY_SIZE = 100;
+
+export const RunState = {
+  RUNNING: 'RUNNING',
+  FINISHED: 'FINISHED',
+  FAILED: 'FAILED',
+};
+
+/**
+ * A scheduled run failed. `retryable` is false when trying again can't help,
+ * e.g. the owner's delegated refresh token has been revoked.
+ */
+export class ScheduleRunError extends Error {
+  constructor(message, { retryable = true } = {}) {
+    super(message);
+    this.name = 'ScheduleRunError';
+    this.retryable = retryable;
+  }
+}
+
+const optionalInteger = (value, field, { min, max, fallback }) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new ParameterError(`${field} must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+};
+
+/**
+ * Validate a schedule payload and return the fields to store. A schedule
+ * runs either its own `sql` or a saved query (`savedQueryId`, with `values`
+ * for its parameters, bound at run time).
+ */
+export const parseSchedule = (body) => {
+  const name = requireString(body.name, 'name', { max: 200 });
+  const description = requireString(body.description, 'description', { max: 2000, optional: true });
+
+  const sql = requireString(body.sql, 'sql', { max: MAX_SQL_LENGTH, optional: true });
+  const savedQueryId = requireString(body.savedQueryId, 'savedQueryId', { max: 100, optional: true });
+  if (Boolean(sql) === Boolean(savedQueryId)) {
+    throw new ParameterError('A schedule needs either sql or savedQueryId');
+  }
+
+  const values = body.values ?? {};
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    throw new ParameterError('values must be an object keyed by parameter name');
+  }
+
+  const cron = requireString(body.cron, 'cron', { max: 200 });
+  let parsed;
+  try {
+    parsed = parseCron(cron);
+  } catch (error) {
+    throw new ParameterError(`cron: ${error.message}`);
+  }
+  if (!nextRunAfter(parsed)) {
+    throw new ParameterError(`cron: "${cron}" never matches a date`);
+  }
+
+  const format = body.format ?? 'csv';
+  if (!FORMATS.has(format)) {
+    throw new ParameterError('format must be "csv" or "json"');
+  }
+
+  return {
+    name,
+    description,
+    sql,
+    savedQueryId,
+    values: savedQueryId ? values : {},
+    cron: parsed.expression,
+    format,
+    enabled: body.enabled !== false,
+    maxRetries: optionalInteger(body.maxRetries, 'maxRetries', { min: 0, max: MAX_RETRIES, fallback: 2 }),
+    retryDelaySeconds: optionalInteger(body.retryDelaySeconds, 'retryDelaySeconds', {
+      min: 0,
+      max: MAX_RETRY_DELAY_SECONDS,
+      fallback: 60,
+    }),
+    // null keeps the server-wide default (SCHEDULE_HISTORY_SIZE)
+    historySize: optionalInteger(body.historySize, 'historySize', { min: 1, max: MAX_HISTORY_SIZE, fallback: null }),
+  };
+};
+
+/**
+ * When a schedule should next run, as an ISO timestamp (null if disabled)
+ */
+export const nextRunTime = (schedule, after = new Date()) => {
+  if (!schedule.enabled) return null;
+  return nextRunAfter(parseCron(schedule.cron), after)?.toISOString() ?? null;
+};
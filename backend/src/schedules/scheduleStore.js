@@ -0,0 +1,100 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Schedules and their recent runs persisted as a single JSON document.
+ * Schedules that run on a user's behalf hold that user's refresh token, so
+ * the file is written with owner-only permissions via a temp file + rename.
+ */
+export class ScheduleStore {
+  constructor({ filePath }) {
+    this.filePath = filePath;
+    this.schedules = new Map();
+    this.writeChain = Promise.resolve();
+    this.load();
+  }
+
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (!fs.existsSync(this.filePath)) return;
+
+    const { schedules = [] } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    for (const schedule of schedules) {
+      this.schedules.set(schedule.id, schedule);
+    }
+  }
+
+  persist() {
+    const snapshot = JSON.stringify({ schedules: [...this.schedules.values()] }, null, 2);
+    const tempPath = `${this.filePath}.tmp`;
+
+    const write = this.writeChain.then(async () => {
+      await fs.promises.writeFile(tempPath, snapshot, { mode: 0o600 });
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+    // A failed write rejects for its caller but doesn't stop the ones queued after it
+    this.writeChain = write.catch(() => {});
+
+    return write;
+  }
+
+  /**
+   * Schedules belong to whoever created them: a user, or a service account
+   * (whose keys may share one client-credentials principal, so the service
+   * name has to match too)
+   */
+  isOwner(schedule, { principal, service }) {
+    return schedule.owner === principal && (schedule.service ?? null) === (service?.name ?? null);
+  }
+
+  all() {
+    return [...this.schedules.values()];
+  }
+
+  list(caller) {
+    return this.all()
+      .filter((schedule) => this.isOwner(schedule, caller))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * A schedule by id regardless of owner, for the scheduler itself
+   */
+  find(id) {
+    return this.schedules.get(id) || null;
+  }
+
+  get(id, caller) {
+    const schedule = this.schedules.get(id);
+    return schedule && this.isOwner(schedule, caller) ? schedule : null;
+  }
+
+  async create(fields, { principal, service }) {
+    const now = new Date().toISOString();
+    const schedule = {
+      id: randomUUID(),
+      ...fields,
+      owner: principal,
+      service: service?.name ?? null,
+      createdAt: now,
+      updatedAt: now,
+      runs: [],
+    };
+    this.schedules.set(schedule.id, schedule);
+    await this.persist();
+    return schedule;
+  }
+
+  async update(id, fields) {
+    const schedule = { ...this.schedules.get(id), ...fields, updatedAt: new Date().toISOString() };
+    this.schedules.set(id, schedule);
+    await this.persist();
+    return schedule;
+  }
+
+  async remove(id) {
+    this.schedules.delete(id);
+    await this.persist();
+  }
+}
@@ -0,0 +1,375 @@
+import { randomUUID } from 'node:crypto';
+import { createTrinoClient, describeColumns, TrinoQueryError } from '../trino/client.js';
+import { bindSavedQuery } from '../savedQueries/savedQuery.js';
+import { ParameterError } from '../sql/parameters.js';
+import { StatementPolicyError } from '../sql/statementPolicy.js';
+import { trackQuery } from '../metrics/queryMetrics.js';
+import { RunState, ScheduleRunError, nextRunTime } from './schedule.js';
+
+const DEFAULT_HISTORY_SIZE = 20;
+const DEFAULT_MAX_RESULT_ROWS = 100000;
+// Wake up at least this often so clock changes can't delay runs for long
+const MAX_TIMER_DELAY_MS = 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => {
+  setTimeout(resolve, ms).unref();
+});
+
+// Trino rejected the query itself (syntax, missing table, access denied...)
+const isUserError = (error) => error instanceof TrinoQueryError && error.trinoError.errorType === 'USER_ERROR';
+
+/**
+ * Runs schedules when their cron expression comes due and keeps a result
+ * snapshot and outcome for each of their most recent runs.
+ *
+ * A single timer is armed for the earliest due schedule. Runs that are missed
+ * while the server is down are skipped, and a schedule still running when it
+ * comes due again skips that occurrence. A failed run is retried up to the
+ * schedule's `maxRetries` times, `retryDelaySeconds` apart, unless retrying
+ * can't help (a rejected query or revoked credentials). Only the newest
+ * `historySize` runs (per schedule, or `SCHEDULE_HISTORY_SIZE`) and their
+ * snapshots are kept. Each attempt's query is recorded in the AuditLog.
+ */
+export class Scheduler {
+  constructor({
+    store,
+    snapshots,
+    credentials,
+    savedQueryStore,
+    sqlPolicy,
+    audit = null,
+    historySize = DEFAULT_HISTORY_SIZE,
+    maxResultRows = DEFAULT_MAX_RESULT_ROWS,
+  }) {
+    this.store = store;
+    this.snapshots = snapshots;
+    this.credentials = credentials;
+    this.savedQueryStore = savedQueryStore;
+    this.sqlPolicy = sqlPolicy;
+    this.audit = audit;
+    this.historySize = historySize;
+    this.maxResultRows = maxResultRows;
+    this.running = new Set();
+    this.timer = null;
+  }
+
+  /**
+   * Recompute next run times (runs in progress when the server stopped are
+   * marked failed) and start the timer
+   */
+  start() {
+    const now = new Date().toISOString();
+    for (const schedule of this.store.all()) {
+      for (const run of schedule.runs.filter(({ state }) => state === RunState.RUNNING)) {
+        Object.assign(run, { state: RunState.FAILED, finishedAt: now, error: 'Interrupted by a server restart' });
+      }
+      schedule.nextRunAt = nextRunTime(schedule);
+    }
+    this.persistInBackground();
+    this.arm();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Bookkeeping nobody waits for (next run times, run progress): a failed
+  // write is logged, and the next one writes the same state again
+  persistInBackground() {
+    this.store.persist().catch((error) => console.error('Failed to write schedules:', error.message));
+  }
+
+  arm() {
+    clearTimeout(this.timer);
+
+    const dueTimes = this.store.all()
+      .filter((schedule) => schedule.enabled && schedule.nextRunAt)
+      .map((schedule) => Date.parse(schedule.nextRunAt));
+    const delay = dueTimes.length ? Math.min(...dueTimes) - Date.now() : MAX_TIMER_DELAY_MS;
+
+    this.timer = setTimeout(() => this.tick(), Math.min(Math.max(delay, 0), MAX_TIMER_DELAY_MS));
+    this.timer.unref();
+  }
+
+  tick() {
+    const now = Date.now();
+    for (const schedule of this.store.all()) {
+      if (!schedule.enabled || !schedule.nextRunAt || Date.parse(schedule.nextRunAt) > now) continue;
+
+      if (this.running.has(schedule.id)) {
+        console.warn(`Schedule ${schedule.id} (${schedule.name}) is still running; skipping the run due at ${schedule.nextRunAt}`);
+        schedule.nextRunAt = nextRunTime(schedule);
+        this.persistInBackground();
+      } else {
+        this.trigger(schedule, 'schedule');
+      }
+    }
+    this.arm();
+  }
+
+  async create(fields, caller) {
+    const schedule = await this.store.create({ ...fields, nextRunAt: nextRunTime(fields) }, caller);
+    this.arm();
+    return schedule;
+  }
+
+  async update(schedule, fields) {
+    const updated = await this.store.update(schedule.id, {
+      ...fields,
+      nextRunAt: nextRunTime({ ...schedule, ...fields }),
+    });
+    this.arm();
+    return updated;
+  }
+
+  async remove(schedule) {
+    await this.store.remove(schedule.id);
+    await this.snapshots.removeAll(schedule.id);
+    this.arm();
+  }
+
+  isRunning(schedule) {
+    return this.running.has(schedule.id);
+  }
+
+  /**
+   * Let a user's schedule run with a newly granted delegated refresh token
+   * (`{ providerId, refreshToken }`)
+   */
+  async delegate(schedule, delegation) {
+    return this.store.update(schedule.id, { delegation });
+  }
+
+  /**
+   * Whether a schedule runs with exactly this refresh token
+   */
+  isDelegatedRefreshToken(refreshToken) {
+    return this.store.all().some((schedule) => schedule.delegation?.refreshToken === refreshToken);
+  }
+
+  /**
+   * Start a run now, outside the cron schedule. Returns the run record; the
+   * run continues in the background.
+   */
+  runNow(schedule) {
+    return this.trigger(schedule, 'manual');
+  }
+
+  trigger(schedule, trigger) {
+    const run = {
+      id: randomUUID(),
+      trigger,
+      state: RunState.RUNNING,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      attempts: 0,
+      principal: null,
+      trinoQueryId: null,
+      rowCount: 0,
+      truncated: false,
+      snapshot: null,
+      error: null,
+    };
+
+    this.running.add(schedule.id);
+    schedule.runs.push(run);
+    if (trigger === 'schedule') {
+      schedule.nextRunAt = nextRunTime(schedule);
+    }
+    this.persistInBackground();
+
+    this.perform(schedule.id, run).catch((error) => {
+      // Only bookkeeping after the run (history trimming, snapshot removal) gets here
+      console.error(`Schedule ${schedule.id} (${schedule.name}) run ${run.id} failed:`, error);
+      this.running.delete(schedule.id);
+      if (run.state === RunState.RUNNING) {
+        Object.assign(run, { state: RunState.FAILED, error: error.message });
+      }
+      run.finishedAt = run.finishedAt || new Date().toISOString();
+    });
+    return run;
+  }
+
+  async perform(scheduleId, run) {
+    try {
+      while (this.store.find(scheduleId)) {
+        const schedule = this.store.find(scheduleId);
+        run.attempts += 1;
+        try {
+          await this.attempt(schedule, run);
+          run.state = RunState.FINISHED;
+          run.error = null;
+          break;
+        } catch (error) {
+          run.error = error.message;
+          const retryable = error instanceof ScheduleRunError ? error.retryable : !isUserError(error);
+          if (!retryable || run.attempts > schedule.maxRetries) {
+            run.state = RunState.FAILED;
+            console.error(`Schedule ${scheduleId} (${schedule.name}) failed after ${run.attempts} attempt(s):`, error.message);
+            break;
+          }
+
+          console.warn(`Schedule ${scheduleId} (${schedule.name}) attempt ${run.attempts} failed, retrying in ${schedule.retryDelaySeconds}s:`, error.message);
+          this.persistInBackground();
+          await sleep(schedule.retryDelaySeconds * 1000);
+        }
+      }
+    } finally {
+      if (run.state === RunState.RUNNING) {
+        // The schedule was deleted before or between attempts
+        Object.assign(run, { state: RunState.FAILED, error: run.error || 'The schedule was deleted' });
+      }
+      run.finishedAt = new Date().toISOString();
+      this.running.delete(scheduleId);
+
+      const schedule = this.store.find(scheduleId);
+      if (schedule) {
+        await this.trimHistory(schedule);
+        await this.store.persist();
+      } else {
+        // Deleted while running: don't leave its snapshot behind
+        await this.snapshots.removeAll(scheduleId);
+      }
+    }
+  }
+
+  async attempt(schedule, run) {
+    const redeemed = schedule.delegation?.refreshToken;
+    const { token, principal, groups, service, refreshToken } = await this.credentials.resolve(schedule);
+    const current = this.store.find(schedule.id);
+    // Refresh tokens may rotate; the old one may no longer work. The schedule
+    // may have been saved (or granted access anew) while the token was redeemed,
+    // so the rotated one goes on what is stored now
+    if (refreshToken && refreshToken !== redeemed && current?.delegation?.refreshToken === redeemed) {
+      current.delegation = { ...current.delegation, refreshToken };
+      await this.store.persist();
+    }
+    run.principal = principal;
+
+    // Shaped like req.auth, which the saved query store checks ownership against
+    const sql = this.resolveSql(schedule, { principal, groups, service: service && { name: service } });
+    const startedAt = Date.now();
+    const audit = (fields) => this.audit?.query({
+      principal,
+      service,
+      source: 'schedule',
+      sql,
+      startedAt,
+      trinoQueryId: run.trinoQueryId,
+      scheduleId: schedule.id,
+      runId: run.id,
+      ...fields,
+    });
+
+    try {
+      this.sqlPolicy.check(sql, { groups });
+    } catch (error) {
+      if (error instanceof StatementPolicyError) {
+        audit({ outcome: 'BLOCKED', error: error.message, statementType: error.statementType, policy: error.policy });
+        throw new ScheduleRunError(error.message, { retryable: false });
+      }
+      throw error;
+    }
+
+    const client = createTrinoClient({ token, user: principal, service });
+    const finishMetrics = trackQuery('schedule');
+    let result;
+    try {
+      result = await this.fetchResult(client, sql, run);
+    } catch (error) {
+      finishMetrics({ outcome: 'FAILED', errorName: error.trinoError?.errorName ?? null });
+      audit({ outcome: 'FAILED', error: error.message });
+      throw error;
+    }
+    finishMetrics({ outcome: 'FINISHED', rowCount: result.rows.length });
+    audit({ outcome: 'FINISHED', rowCount: result.rows.length, processedBytes: result.stats?.processedBytes ?? null });
+
+    run.snapshot = await this.snapshots.write(schedule.id, run.id, schedule.format, result);
+    run.rowCount = result.rows.length;
+    run.truncated = result.truncated;
+  }
+
+  /**
+   * The SQL to run: the schedule's own, or its saved query bound to the
+   * schedule's parameter values (as the run's principal sees it now)
+   */
+  resolveSql(schedule, caller) {
+    if (!schedule.savedQueryId) return schedule.sql;
+
+    const savedQuery = this.savedQueryStore.get(schedule.savedQueryId, caller);
+    if (!savedQuery) {
+      throw new ScheduleRunError(`Saved query ${schedule.savedQueryId} no longer exists or is not visible to ${caller.principal}`, { retryable: false });
+    }
+    try {
+      return bindSavedQuery(savedQuery, schedule.values);
+    } catch (error) {
+      if (error instanceof ParameterError) {
+        throw new ScheduleRunError(error.message, { retryable: false });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run the query to completion, keeping at most `maxResultRows` rows
+   */
+  async fetchResult(client, sql, run) {
+    const iterator = await client.query(sql);
+    const rows = [];
+    let columns = null;
+    let stats = null;
+    let truncated = false;
+
+    for await (const queryResult of iterator) {
+      run.trinoQueryId = queryResult.id;
+      stats = queryResult.stats || stats;
+      if (queryResult.error) {
+        throw new TrinoQueryError(queryResult.id, queryResult.error);
+      }
+      columns = columns || describeColumns(queryResult.columns);
+
+      if (queryResult.data?.length) {
+        const room = this.maxResultRows - rows.length;
+        rows.push(...queryResult.data.slice(0, room));
+        if (queryResult.data.length > room) {
+          truncated = true;
+          await client.cancel(queryResult.id).catch((error) => {
+            console.error(`Failed to cancel Trino query ${queryResult.id}:`, error.message);
+          });
+          break;
+        }
+      }
+    }
+
+    return { columns: columns || [], rows, truncated, stats };
+  }
+
+  async trimHistory(schedule) {
+    const limit = schedule.historySize ?? this.historySize;
+    const finished = schedule.runs.filter(({ state }) => state !== RunState.RUNNING);
+    const expired = new Set(finished.slice(0, Math.max(finished.length - limit, 0)));
+    if (!expired.size) return;
+
+    schedule.runs = schedule.runs.filter((run) => !expired.has(run));
+    for (const run of expired) {
+      if (run.snapshot) {
+        await this.snapshots.remove(schedule.id, run.id, run.snapshot.format);
+      }
+    }
+  }
+
+  /**
+   * Public view of a schedule: never includes the delegated refresh token
+   */
+  describe(schedule) {
+    const { delegation, runs, ...fields } = schedule;
+    return {
+      ...fields,
+      delegated: Boolean(delegation),
+      running: this.running.has(schedule.id),
+      runCount: runs.length,
+      lastRun: runs.at(-1) ?? null,
+    };
+  }
+}
@@ -0,0 +1,62 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) => [
+  columns.map(({ name }) => csvCell(name)).join(','),
+  ...rows.map((row) => row.map(csvCell).join(',')),
+].join('\r\n') + '\r\n';
+
+/**
+ * Result snapshots of scheduled runs, one file per run under
+ * `<dir>/<schedule id>/<run id>.<csv|json>`. CSV snapshots have a header row
+ * (nested values are written as JSON); JSON ones mirror the /api/query
+ * response: `{ columns, data, rowCount, truncated }`.
+ */
+export class SnapshotStore {
+  constructor({ dir }) {
+    this.dir = dir;
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  filePath(scheduleId, runId, format) {
+    return path.join(this.dir, scheduleId, `${runId}.${format}`);
+  }
+
+  contentType(format) {
+    return CONTENT_TYPES[format];
+  }
+
+  /**
+   * Write a run's result and return `{ format, bytes }`
+   */
+  async write(scheduleId, runId, format, { columns, rows, truncated }) {
+    const content = format === 'csv'
+      ? toCsv(columns, rows)
+      : JSON.stringify({ columns, data: rows, rowCount: rows.length, truncated });
+
+    const filePath = this.filePath(scheduleId, runId, format);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(`${filePath}.tmp`, content);
+    await fs.promises.rename(`${filePath}.tmp`, filePath);
+    return { format, bytes: Buffer.byteLength(content) };
+  }
+
+  async remove(scheduleId, runId, format) {
+    await fs.promises.rm(this.filePath(scheduleId, runId, format), { force: true });
+  }
+
+  async removeAll(scheduleId) {
+    await fs.promises.rm(path.join(this.dir, scheduleId), { recursive: true, force: true });
+  }
+}
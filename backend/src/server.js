@@ -2,11 +2,65 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import morgan from 'morgan';
-import { Trino } from 'trino-client';
+import { TokenVerificationError, decodeClaims } from './auth/tokenVerifier.js';
+import { createProviderRegistry } from './auth/providers.js';
+import { TrinoTokenExchange, requireTrinoToken } from './auth/tokenExchange.js';
+import { requireAuth, getUserInfo } from './auth/requireAuth.js';
+import {
+  OAuthError,
+  exchangeAuthorizationCode,
+  refreshTokens,
+  revokeToken,
+  buildEndSessionUrl,
+} from './auth/oauthClient.js';
+import {
+  createTrinoClient,
+  describeColumns,
+  describeStats,
+  executeQuery,
+  preparedQuery,
+  queryInfoUrl,
+  TrinoQueryError,
+} from './trino/client.js';
+import { describeQueryError } from './trino/errors.js';
+import { ParameterError, parsePositionalParameters } from './sql/parameters.js';
+import { QueryManager } from './queries/queryManager.js';
+import { createQueriesRouter } from './routes/queries.js';
+import { ScriptManager } from './queries/scriptManager.js';
+import { createScriptsRouter } from './routes/scripts.js';
+import { createMetadataRouter } from './routes/metadata.js';
+import { createSessionPropertiesRouter } from './routes/sessionProperties.js';
+import { createSessionSettingsReader, parseAllowedSessionProperties } from './trino/sessionSettings.js';
+import { HistoryStore } from './history/historyStore.js';
+import { createHistoryRouter } from './routes/history.js';
+import { SavedQueryStore } from './savedQueries/savedQueryStore.js';
+import { createSavedQueriesRouter } from './routes/savedQueries.js';
+import { SessionManager } from './sessions/sessionManager.js';
+import { MemorySessionStore, FileSessionStore } from './sessions/sessionStore.js';
+import { ApiKeyStore } from './serviceAccounts/apiKeyStore.js';
+import { ServiceAccounts } from './serviceAccounts/serviceAccounts.js';
+import { ScheduleStore } from './schedules/scheduleStore.js';
+import { SnapshotStore } from './schedules/snapshotStore.js';
+import { ScheduleCredentials } from './schedules/credentials.js';
+import { Scheduler } from './schedules/scheduler.js';
+import { createSchedulesRouter } from './routes/schedules.js';
+import { QuotaManager, parseLimits, parseGroupOverrides } from './quotas/quotaManager.js';
+import { requireQueryQuota } from './quotas/requireQueryQuota.js';
+import { StatementPolicy, parseStatementKinds, parseGroupAllowlists } from './sql/statementPolicy.js';
+import { createStatementCheck } from './sql/checkStatementPolicy.js';
+import { AuditLog, AuditEvent, SQL_TEXT_MODES } from './audit/auditLog.js';
+import { RotatingFileSink } from './audit/rotatingFileSink.js';
+import { createAuditRouter } from './routes/audit.js';
+import { createHealthRouter } from './routes/health.js';
+import { registry as metricsRegistry, CONTENT_TYPE as METRICS_CONTENT_TYPE } from './metrics/registry.js';
+import { httpMetrics } from './metrics/httpMetrics.js';
+import { trackQuery } from './metrics/queryMetrics.js';
 
 dotenv.config();
 
-const requiredEnvVars = ['OAUTH2_PUBLIC_CLIENT_ID', 'OAUTH2_TOKEN_URL', 'TRINO_HOST'];
+const requiredEnvVars = [
+  'TRINO_HOST',
+];
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
 if (missingVars.length > 0) {
   console.error(`Missing required environment variables: ${missingVars.join(', ')}`);
@@ -21,24 +75,295 @@ const TRINO_PORT = process.env.TRINO_PORT || '8080';
 
 app.use(cors({
   origin: FRONTEND_ORIGIN,
-  credentials: true
+  credentials: true,
+  // Lets the frontend tell users when a rate-limited request may be retried
+  exposedHeaders: ['Retry-After'],
 }));
 app.use(express.json());
 app.use(morgan('dev'));
+app.use(httpMetrics);
+
+// Identity providers users can log in with (OAUTH2_PROVIDERS). Endpoints come
+// from each issuer's OIDC discovery document; explicitly set *_URL variables
+// take precedence
+let providers;
+try {
+  providers = createProviderRegistry();
+} catch (error) {
+  console.error(`Invalid OAuth provider configuration: ${error.message}`);
+  process.exit(1);
+}
 
-// OAuth configuration
-const getOAuthConfig = () => {
-  return {
-    tokenUrl: process.env.OAUTH2_TOKEN_URL,
-    clientId: process.env.OAUTH2_PUBLIC_CLIENT_ID || 'query-app',
-  };
+const csv = (value) => (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+
+// Audit log of logins, token refreshes and failures, and every query, as JSON
+// lines in a size-rotated file (optionally echoed to stdout)
+const AUDIT_SQL_TEXT = process.env.AUDIT_SQL_TEXT || 'full';
+const auditFileLimits = {
+  maxBytes: Number(process.env.AUDIT_LOG_MAX_BYTES || 10 * 1024 * 1024),
+  maxFiles: Number(process.env.AUDIT_LOG_MAX_FILES || 5),
+};
+if (!SQL_TEXT_MODES.includes(AUDIT_SQL_TEXT)) {
+  console.error(`Invalid AUDIT_SQL_TEXT "${AUDIT_SQL_TEXT}" (expected ${SQL_TEXT_MODES.join(', ')})`);
+  process.exit(1);
+}
+if (Object.values(auditFileLimits).some((limit) => !Number.isInteger(limit) || limit < 1)) {
+  console.error('AUDIT_LOG_MAX_BYTES and AUDIT_LOG_MAX_FILES must be positive integers');
+  process.exit(1);
+}
+
+const audit = new AuditLog({
+  sink: new RotatingFileSink({ filePath: process.env.AUDIT_LOG_FILE || 'data/audit.jsonl', ...auditFileLimits }),
+  sqlText: AUDIT_SQL_TEXT,
+  redactFields: csv(process.env.AUDIT_REDACT_FIELDS),
+  stdout: process.env.AUDIT_LOG_STDOUT === 'true',
+});
+
+// Who tokens the backend just received from the IdP itself belong to
+const principalFromTokens = (provider, tokens) => {
+  const claims = decodeClaims(tokens.accessToken) || decodeClaims(tokens.idToken);
+  return claims ? provider.getPrincipal(claims) : null;
 };
 
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', message: 'Backend is running' });
+// AUTH_MODE=bff keeps tokens in a server-side session behind an httpOnly
+// cookie instead of handing them to the browser
+const BFF_MODE = process.env.AUTH_MODE === 'bff';
+
+const sessionManager = BFF_MODE
+  ? new SessionManager({
+    store: process.env.SESSION_STORE === 'file'
+      ? new FileSessionStore({ filePath: process.env.SESSION_FILE || 'data/sessions.json' })
+      : new MemorySessionStore(),
+    refresh: async (refreshToken, providerId) => {
+      const provider = providers.get(providerId);
+      try {
+        const tokens = await refreshTokens({ ...(await provider.getConfig()), refreshToken });
+        audit.record(AuditEvent.REFRESH, { principal: principalFromTokens(provider, tokens), provider: providerId, mode: 'bff' });
+        return tokens;
+      } catch (error) {
+        audit.record(AuditEvent.REFRESH_FAILED, { provider: providerId, mode: 'bff', status: error.status ?? null, reason: error.message });
+        throw error;
+      }
+    },
+    cookieName: process.env.SESSION_COOKIE_NAME || 'trino_demo_session',
+    ttlMs: Number(process.env.SESSION_TTL_MINUTES || 480) * 60 * 1000,
+    cookieOptions: {
+      sameSite: process.env.SESSION_COOKIE_SAMESITE || 'lax',
+      secure: process.env.SESSION_COOKIE_SECURE === 'true',
+    },
+  })
+  : null;
+
+// SERVICE_ACCOUNTS_ENABLED=true lets batch jobs and internal services call the
+// API with an X-API-Key header (keys are managed with `npm run api-keys`). They
+// run under the client-credentials identity of a confidential client, by
+// default the Trino client of the default provider.
+const createServiceAccounts = () => {
+  const provider = providers.defaultProvider;
+  const clientId = process.env.SERVICE_ACCOUNT_CLIENT_ID || provider.trinoClientId;
+  const clientSecret = process.env.SERVICE_ACCOUNT_CLIENT_SECRET || provider.trinoClientSecret;
+  if (!clientId || !clientSecret) {
+    console.error('Service accounts need a confidential client: set SERVICE_ACCOUNT_CLIENT_ID and SERVICE_ACCOUNT_CLIENT_SECRET');
+    process.exit(1);
+  }
+
+  return new ServiceAccounts({
+    keyStore: new ApiKeyStore({ filePath: process.env.API_KEYS_FILE || 'data/api-keys.json' }),
+    provider,
+    clientId,
+    clientSecret,
+    scope: process.env.SERVICE_ACCOUNT_SCOPE,
+  });
+};
+
+const serviceAccounts = process.env.SERVICE_ACCOUNTS_ENABLED === 'true' ? createServiceAccounts() : null;
+
+const authenticate = requireAuth(providers, sessionManager, serviceAccounts, audit);
+
+// TRINO_TOKEN_MODE=exchange swaps the user's access token for one issued to the
+// Trino client (RFC 8693) before calling Trino; "forward" sends it unchanged
+const TRINO_TOKEN_MODE = process.env.TRINO_TOKEN_MODE || 'forward';
+if (!['forward', 'exchange'].includes(TRINO_TOKEN_MODE)) {
+  console.error(`Invalid TRINO_TOKEN_MODE "${TRINO_TOKEN_MODE}" (expected forward or exchange)`);
+  process.exit(1);
+}
+
+const trinoTokenExchange = TRINO_TOKEN_MODE === 'exchange' ? new TrinoTokenExchange() : null;
+if (trinoTokenExchange) {
+  for (const provider of providers.list().filter((candidate) => !trinoTokenExchange.supports(candidate))) {
+    console.warn(`No Trino client configured for ${provider.id}; its tokens are forwarded to Trino unchanged`);
+  }
+}
+const withTrinoToken = requireTrinoToken(trinoTokenExchange, audit);
+
+// Per-user query quotas (0 = unlimited), optionally raised or lowered for
+// groups with QUOTA_GROUP_OVERRIDES, e.g. {"analysts": {"maxRowsPerDay": 0}}
+let quotas;
+try {
+  quotas = new QuotaManager({
+    defaults: parseLimits({
+      requestsPerMinute: Number(process.env.QUOTA_REQUESTS_PER_MINUTE ?? 30),
+      maxConcurrentQueries: Number(process.env.QUOTA_MAX_CONCURRENT_QUERIES ?? 3),
+      maxRowsPerDay: Number(process.env.QUOTA_MAX_ROWS_PER_DAY ?? 1000000),
+    }, 'Quota defaults'),
+    groupOverrides: parseGroupOverrides(JSON.parse(process.env.QUOTA_GROUP_OVERRIDES || '{}')),
+  });
+} catch (error) {
+  console.error(`Invalid quota configuration: ${error.message}`);
+  process.exit(1);
+}
+const admitQuery = requireQueryQuota(quotas);
+
+// Session properties queries may set along with their catalog, schema, time
+// zone and client tags; anything else (e.g. resource limits) stays as Trino configures it
+let allowedSessionProperties;
+try {
+  allowedSessionProperties = parseAllowedSessionProperties(
+    process.env.SESSION_PROPERTIES_ALLOWED ?? 'query_max_run_time,query_max_execution_time,join_distribution_type,join_reordering_strategy',
+  );
+} catch (error) {
+  console.error(`Invalid SESSION_PROPERTIES_ALLOWED: ${error.message}`);
+  process.exit(1);
+}
+const readSessionSettings = createSessionSettingsReader({ allowedProperties: allowedSessionProperties });
+
+// Guardrails checked before SQL is sent to Trino: read-only mode, the
+// statement kinds users may run (per group with SQL_GROUP_STATEMENT_ALLOWLISTS,
+// e.g. {"data-engineers": ["*"]}), catalogs no query may touch and the
+// session properties SET SESSION may change
+let sqlPolicy;
+try {
+  sqlPolicy = new StatementPolicy({
+    readOnly: process.env.SQL_READ_ONLY === 'true',
+    allowedStatements: parseStatementKinds(process.env.SQL_ALLOWED_STATEMENTS || '*', 'SQL_ALLOWED_STATEMENTS'),
+    groupAllowlists: parseGroupAllowlists(JSON.parse(process.env.SQL_GROUP_STATEMENT_ALLOWLISTS || '{}')),
+    blockedCatalogs: csv(process.env.SQL_BLOCKED_CATALOGS),
+    allowedSessionProperties,
+    defaults: {
+      catalog: process.env.TRINO_CATALOG || 'tpch',
+      schema: process.env.TRINO_SCHEMA || 'sf1',
+    },
+  });
+} catch (error) {
+  console.error(`Invalid SQL policy configuration: ${error.message}`);
+  process.exit(1);
+}
+const checkStatement = createStatementCheck(sqlPolicy, audit);
+
+const historyStore = new HistoryStore({
+  filePath: process.env.HISTORY_FILE || 'data/history.jsonl',
+});
+
+const savedQueryStore = new SavedQueryStore({
+  filePath: process.env.SAVED_QUERIES_FILE || 'data/saved-queries.json',
 });
 
+const queryManager = new QueryManager({
+  pageSize: Number(process.env.QUERY_PAGE_SIZE || 1000),
+  maxResultRows: Number(process.env.QUERY_MAX_RESULT_ROWS || 100000),
+  onComplete: (entry) => {
+    const query = {
+      principal: entry.owner,
+      service: entry.service ?? null,
+      sql: entry.sql,
+      startedAt: entry.createdAt,
+      rowCount: entry.rows.length,
+      error: entry.error?.message || null,
+      trinoQueryId: entry.trinoQueryId,
+    };
+    historyStore.record({ ...query, status: entry.state });
+    audit.query({
+      ...query,
+      source: entry.source,
+      processedBytes: entry.stats?.processedBytes ?? null,
+      outcome: entry.state,
+    });
+  },
+});
+
+const scriptManager = new ScriptManager({ queryManager });
+
+// Scheduled queries run on their own, as the service account or on their
+// owner's behalf with a delegated refresh token
+const scheduler = new Scheduler({
+  store: new ScheduleStore({ filePath: process.env.SCHEDULES_FILE || 'data/schedules.json' }),
+  snapshots: new SnapshotStore({ dir: process.env.SNAPSHOT_DIR || 'data/snapshots' }),
+  credentials: new ScheduleCredentials({ providers, serviceAccounts, tokenExchange: trinoTokenExchange }),
+  savedQueryStore,
+  sqlPolicy,
+  audit,
+  historySize: Number(process.env.SCHEDULE_HISTORY_SIZE || 20),
+  maxResultRows: Number(process.env.QUERY_MAX_RESULT_ROWS || 100000),
+});
+scheduler.start();
+
+app.use('/health', createHealthRouter({
+  providers,
+  timeoutMs: Number(process.env.HEALTH_CHECK_TIMEOUT_MS || 3000),
+}));
+
+// Prometheus scrape endpoint. With METRICS_TOKEN set, scrapers must send it
+// as a bearer token; metrics carry no user data but do reveal traffic patterns
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && req.get('Authorization') !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid metrics token is required',
+    });
+  }
+  res.type(METRICS_CONTENT_TYPE).send(metricsRegistry.render());
+});
+
+// Provider settings the frontend reads at runtime instead of at build time
+app.get('/api/oauth/config', async (req, res) => {
+  const results = await Promise.allSettled(providers.list().map((provider) => provider.describe()));
+  const available = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      available.push(result.value);
+    } else {
+      console.error(`Failed to load OAuth configuration for ${providers.list()[index].id}:`, result.reason.message);
+    }
+  });
+
+  if (!available.length) {
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'OAuth provider configuration is unavailable',
+    });
+  }
+
+  res.json({
+    authMode: BFF_MODE ? 'bff' : 'token',
+    defaultProvider: available.some(({ id }) => id === providers.defaultProvider.id)
+      ? providers.defaultProvider.id
+      : available[0].id,
+    providers: available,
+  });
+});
+
+/**
+ * Provider named by the request body's `provider` (the default when absent).
+ * Answers 400 and returns null for an unknown one.
+ */
+const providerFromRequest = (req, res) => {
+  const provider = providers.get(req.body?.provider);
+  if (!provider) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: `Unknown OAuth provider "${req.body.provider}"`,
+    });
+  }
+  return provider;
+};
+
 app.post('/api/oauth/token', async (req, res) => {
+  const loginFailed = (fields) => audit.recordRequest(AuditEvent.LOGIN_FAILED, req, {
+    provider: req.body?.provider || providers.defaultProvider.id,
+    ...fields,
+  });
+
   try {
     const { code, codeVerifier, redirectUri } = req.body;
 
@@ -49,50 +374,57 @@ app.post('/api/oauth/token', async (req, res) => {
       });
     }
 
-    const oauthConfig = getOAuthConfig();
+    const provider = providerFromRequest(req, res);
+    if (!provider) return;
 
-    // Prepare token exchange request
-    const tokenParams = new URLSearchParams({
-      grant_type: 'authorization_code',
-      code: code,
-      redirect_uri: redirectUri,
-      client_id: oauthConfig.clientId,
-    });
-
-    // Add PKCE code verifier (required for public clients)
-    if (codeVerifier) {
-      tokenParams.append('code_verifier', codeVerifier);
-    }
+    const tokens = await exchangeAuthorizationCode({ ...(await provider.getConfig()), code, codeVerifier, redirectUri });
 
-    const tokenResponse = await fetch(oauthConfig.tokenUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Accept': 'application/json',
-      },
-      body: tokenParams.toString(),
-    });
-
-    if (!tokenResponse.ok) {
-      const errorText = await tokenResponse.text();
-      console.error('Token exchange failed:', errorText);
-      return res.status(tokenResponse.status).json({
-        error: 'Token Exchange Failed',
-        message: 'Failed to exchange authorization code for tokens',
-        details: errorText,
+    // BFF mode: keep the tokens here and give the browser only a session cookie
+    if (sessionManager) {
+      const session = await sessionManager.create(tokens, provider.id);
+      let claims;
+      try {
+        claims = await provider.verify(await sessionManager.getToken(session));
+      } catch (error) {
+        await sessionManager.destroy(session);
+        throw error;
+      }
+      audit.recordRequest(AuditEvent.LOGIN, req, { principal: provider.getPrincipal(claims), provider: provider.id, mode: 'bff' });
+      sessionManager.setCookie(res, session);
+      return res.json({
+        authenticated: true,
+        user: getUserInfo(claims, provider),
+        csrfToken: session.csrfToken,
       });
     }
 
-    const tokens = await tokenResponse.json();
+    audit.recordRequest(AuditEvent.LOGIN, req, { principal: principalFromTokens(provider, tokens), provider: provider.id, mode: 'token' });
     res.json({
-      access_token: tokens.access_token,
-      id_token: tokens.id_token,
-      token_type: tokens.token_type || 'Bearer',
-      expires_in: tokens.expires_in,
-      refresh_token: tokens.refresh_token,
+      access_token: tokens.accessToken,
+      id_token: tokens.idToken,
+      token_type: tokens.tokenType,
+      expires_in: tokens.expiresIn,
+      refresh_token: tokens.refreshToken,
     });
   } catch (error) {
-    console.error('❌ Error during token exchange:', error);
+    if (error instanceof OAuthError) {
+      loginFailed({ status: error.status, reason: error.message });
+      return res.status(error.status).json({
+        error: 'Token Exchange Failed',
+        message: error.message,
+        details: error.details,
+      });
+    }
+    if (error instanceof TokenVerificationError) {
+      loginFailed({ status: error.status, code: error.code, reason: error.message });
+      return res.status(error.status).json({
+        error: 'Token Exchange Failed',
+        message: error.message,
+        code: error.code,
+      });
+    }
+    loginFailed({ status: 500, reason: error.message });
+    console.error('Error during token exchange:', error);
     res.status(500).json({
       error: 'Internal Server Error',
       message: error.message || 'An error occurred during token exchange',
@@ -111,44 +443,29 @@ app.post('/api/oauth/refresh', async (req, res) => {
       });
     }
 
-    const oauthConfig = getOAuthConfig();
-
-    // Prepare token refresh request
-    const tokenParams = new URLSearchParams({
-      grant_type: 'refresh_token',
-      refresh_token: refreshToken,
-      client_id: oauthConfig.clientId,
-    });
+    const provider = providerFromRequest(req, res);
+    if (!provider) return;
 
-    const tokenResponse = await fetch(oauthConfig.tokenUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Accept': 'application/json',
-      },
-      body: tokenParams.toString(),
+    const tokens = await refreshTokens({ ...(await provider.getConfig()), refreshToken });
+    audit.recordRequest(AuditEvent.REFRESH, req, { principal: principalFromTokens(provider, tokens), provider: provider.id, mode: 'token' });
+    res.json({
+      access_token: tokens.accessToken,
+      id_token: tokens.idToken,
+      token_type: tokens.tokenType,
+      expires_in: tokens.expiresIn,
+      refresh_token: tokens.refreshToken, // Some providers return new refresh token
     });
-
-    if (!tokenResponse.ok) {
-      const errorText = await tokenResponse.text();
-      console.error('Token refresh failed:', errorText);
-      return res.status(tokenResponse.status).json({
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      audit.recordRequest(AuditEvent.REFRESH_FAILED, req, { provider: req.body?.provider || providers.defaultProvider.id, mode: 'token', status: error.status, reason: error.message });
+      return res.status(error.status).json({
         error: 'Token Refresh Failed',
-        message: 'Failed to refresh access token',
-        details: errorText,
+        message: error.message,
+        details: error.details,
       });
     }
-
-    const tokens = await tokenResponse.json();
-    res.json({
-      access_token: tokens.access_token,
-      id_token: tokens.id_token,
-      token_type: tokens.token_type || 'Bearer',
-      expires_in: tokens.expires_in,
-      refresh_token: tokens.refresh_token, // Some providers return new refresh token
-    });
-  } catch (error) {
-    console.error('❌ Error during token refresh:', error);
+    audit.recordRequest(AuditEvent.REFRESH_FAILED, req, { provider: req.body?.provider || providers.defaultProvider.id, mode: 'token', status: 500, reason: error.message });
+    console.error('Error during token refresh:', error);
     res.status(500).json({
       error: 'Internal Server Error',
       message: error.message || 'An error occurred during token refresh',
@@ -156,33 +473,212 @@ app.post('/api/oauth/refresh', async (req, res) => {
   }
 });
 
-function decodeJWT(token) {
-  try {
-    const parts = token.split('.');
-    if (parts.length !== 3) return null;
-    
-    const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
-    const payload = Buffer.from(base64, 'base64').toString('utf8');
-    return JSON.parse(payload);
-  } catch (error) {
-    return null;
+/**
+ * Log out: revoke the refresh token at the provider (so a leaked copy stops
+ * working) and end the BFF session. Answers with the provider's end-session
+ * URL, if it has one, for the browser to end the SSO session too.
+ * In token mode the SPA sends its tokens; in BFF mode they come from the session.
+ */
+app.post('/api/oauth/logout', async (req, res) => {
+  const session = sessionManager?.fromRequest(req);
+
+  if (session && !sessionManager.verifyCsrf(req, session)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Missing or invalid CSRF token',
+      code: 'csrf_failed',
+    });
   }
-}
 
-app.post('/api/query', async (req, res) => {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ 
-        error: 'Unauthorized', 
-        message: 'Missing or invalid Authorization header' 
+  const { refreshToken, idToken, postLogoutRedirectUri } = req.body || {};
+  const tokens = session ? session.tokens : { refreshToken, idToken };
+  const provider = providers.get(session ? session.providerId : req.body?.provider);
+  // Provider metadata being unavailable must not keep the user logged in
+  const oauthConfig = provider
+    ? await provider.getConfig().catch((error) => {
+      console.warn('OAuth configuration unavailable during logout:', error.message);
+      return {};
+    })
+    : {};
+
+  // An API client may have saved a schedule with this very token; revoking it
+  // would stop the schedule too
+  const keptForSchedule = Boolean(tokens.refreshToken && scheduler.isDelegatedRefreshToken(tokens.refreshToken));
+
+  let revoked = false;
+  if (tokens.refreshToken && oauthConfig.revocationUrl && !keptForSchedule) {
+    try {
+      await revokeToken({ ...oauthConfig, token: tokens.refreshToken });
+      revoked = true;
+    } catch (error) {
+      // Still log the user out locally; the token expires on its own
+      console.warn('Refresh token revocation failed:', error.details || error.message);
+    }
+  }
+
+  if (session) {
+    await sessionManager.destroy(session);
+  }
+  sessionManager?.clearCookie(res);
+
+  // Exchanged Trino tokens outlive the user's own; stop handing them out
+  const subject = (decodeClaims(tokens.accessToken) || decodeClaims(tokens.idToken))?.sub;
+  if (trinoTokenExchange && provider && subject) {
+    trinoTokenExchange.forget(provider, subject);
+  }
+
+  const principal = tokens.idToken && provider ? principalFromTokens(provider, { idToken: tokens.idToken }) : null;
+  audit.recordRequest(AuditEvent.LOGOUT, req, { principal, provider: provider?.id ?? null, revoked, keptForSchedule });
+
+  res.json({
+    revoked,
+    endSessionUrl: oauthConfig.endSessionUrl
+      ? buildEndSessionUrl({ ...oauthConfig, idTokenHint: tokens.idToken, postLogoutRedirectUri })
+      : null,
+  });
+});
+
+// Who is signed in; in BFF mode this is how the frontend checks its session
+app.get('/api/me', authenticate, (req, res) => {
+  res.json({
+    authenticated: true,
+    user: getUserInfo(req.auth.claims, req.auth.provider),
+    csrfToken: req.auth.session?.csrfToken ?? null,
+  });
+});
+
+/**
+ * Write query results as NDJSON while Trino pages arrive, instead of
+ * buffering them: one `columns` record, a `rows` record per page, then a
+ * final `stats` record (or an `error` record, shaped like an error response
+ * (see describeQueryError), if the query fails midway). A `progress` record
+ * with Trino's latest stats (see describeStats) and Web UI link precedes
+ * each page.
+ * Cancels the Trino query if the client goes away before it finishes.
+ * `onFinish({ status, rowCount, error, errorName, trinoQueryId, processedBytes })`
+ * reports the outcome, and the quota `lease` (detached from the request, whose
+ * response closes first when the client goes away) is finished with the rows
+ * streamed.
+ */
+const streamQueryResults = async (req, res, client, iterator, onFinish, lease) => {
+  let queryId = null;
+  let finished = false;
+  let rowCount = 0;
+  let lastStats = null;
+  let infoUri = null;
+
+  res.on('close', () => {
+    if (!finished && queryId) {
+      console.log(`Client disconnected, cancelling query ${queryId}`);
+      client.cancel(queryId).catch((error) => {
+        console.error(`Failed to cancel query ${queryId}:`, error.message);
       });
     }
+  });
+
+  // Respect backpressure so a slow client doesn't make us buffer the whole result
+  const writeRecord = async (record) => {
+    if (res.destroyed) return;
+    if (!res.write(`${JSON.stringify(record)}\n`)) {
+      await new Promise((resolve) => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+    }
+  };
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
 
-    const token = authHeader.substring(7);
-    const { query } = req.body;
+  try {
+    let columnsSent = false;
+
+    for await (const queryResult of iterator) {
+      if (res.destroyed) break;
+      queryId = queryResult.id;
+      lastStats = queryResult.stats || lastStats;
+      infoUri = queryInfoUrl(queryId, queryResult.infoUri) || infoUri;
 
+      if (queryResult.error) {
+        throw new TrinoQueryError(queryResult.id, queryResult.error);
+      }
+
+      await writeRecord({ type: 'progress', queryId, infoUri, stats: describeStats(lastStats) });
+
+      if (!columnsSent && queryResult.columns) {
+        await writeRecord({ type: 'columns', queryId, columns: describeColumns(queryResult.columns) });
+        columnsSent = true;
+      }
+
+      if (queryResult.data?.length) {
+        rowCount += queryResult.data.length;
+        await writeRecord({ type: 'rows', rows: queryResult.data });
+      }
+    }
+
+    finished = true;
+    onFinish({
+      status: res.destroyed ? 'CANCELED' : 'FINISHED',
+      rowCount,
+      trinoQueryId: queryId,
+      processedBytes: lastStats?.processedBytes ?? null,
+    });
+    await writeRecord({ type: 'stats', queryId, infoUri, rowCount, stats: describeStats(lastStats) });
+  } catch (error) {
+    finished = true;
+    onFinish({
+      status: 'FAILED',
+      rowCount,
+      error: error.message,
+      errorName: error.trinoError?.errorName ?? null,
+      trinoQueryId: queryId,
+      processedBytes: lastStats?.processedBytes ?? null,
+    });
+    console.error('Error while streaming query results:', error);
+    // The 200 status is already sent, so the error's class only travels in the record
+    await writeRecord({ type: 'error', ...describeQueryError(error, queryId).body });
+  } finally {
+    lease.finish(rowCount);
+    res.end();
+  }
+};
+
+app.post('/api/query', authenticate, admitQuery, withTrinoToken, async (req, res) => {
+  const { trinoToken: token, principal: user, service } = req.auth;
+  const { query, parameters } = req.body;
+  const startedAt = Date.now();
+  let submitted = false;
+  let finishMetrics = null;
+
+  const recordHistory = ({ processedBytes = null, errorName = null, ...outcome }) => {
+    req.quotaLease.finish(outcome.rowCount ?? 0);
+    finishMetrics({ outcome: outcome.status, rowCount: outcome.rowCount ?? 0, errorName });
+    historyStore.record({ principal: user, service: service?.name, sql: query, startedAt, ...outcome });
+    audit.query({
+      principal: user,
+      service: service?.name,
+      source: 'query',
+      sql: query,
+      startedAt,
+      rowCount: outcome.rowCount ?? 0,
+      processedBytes,
+      trinoQueryId: outcome.trinoQueryId,
+      outcome: outcome.status,
+      error: outcome.error ?? null,
+    });
+  };
+
+  try {
     if (!query || typeof query !== 'string') {
       return res.status(400).json({ 
         error: 'Bad Request', 
@@ -197,81 +693,85 @@ app.post('/api/query', async (req, res) => {
       });
     }
 
-    const decoded = decodeJWT(token);
-    console.log('📋 Decoded token claims:', JSON.stringify({
-      sub: decoded?.sub,
-      email: decoded?.email,
-      preferred_username: decoded?.preferred_username,
-      name: decoded?.name,
-      aud: decoded?.aud,
-      azp: decoded?.azp,
-      client_id: decoded?.client_id,
-      iss: decoded?.iss,
-    }, null, 2));
-    
-    // IMPORTANT: Use the same principal field as Trino's config
-    // Trino uses: http-server.authentication.oauth2.principal-field=${ENV:OAUTH2_PRINCIPAL_FIELD}
-    const principalField = process.env.OAUTH2_PRINCIPAL_FIELD || 'preferred_username';
-    const user = decoded?.[principalField] || decoded?.email || decoded?.sub || 'oauth-user';
-    
-    console.log(`👤 Principal field: ${principalField}`);
-    console.log(`👤 Extracted username: ${user}`);
-    console.log(`🔐 Token audience (aud): ${JSON.stringify(decoded?.aud)}`);
-    
-    const client = Trino.create({
-      server: `https://${TRINO_HOST}:${TRINO_PORT}`,
-      catalog: process.env.TRINO_CATALOG || 'tpch',
-      schema: process.env.TRINO_SCHEMA || 'sf1',
-      source: 'trino-oauth-demo',
-      user: user,
-      extraHeaders: {
-        'Authorization': `Bearer ${token}`,
-        'X-Trino-User': user
+    const settings = readSessionSettings(req, res);
+    if (!settings) return;
+
+    if (!checkStatement(query, req, res, 'query', settings)) return;
+
+    // With `parameters`, run the SQL as a prepared statement so values are
+    // bound by Trino instead of being spliced into the query text
+    let statement = query;
+    if (parameters !== undefined) {
+      try {
+        statement = preparedQuery(query, parsePositionalParameters(query, parameters));
+      } catch (error) {
+        if (!(error instanceof ParameterError)) throw error;
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: error.message,
+        });
       }
-    });
+    }
 
-    const results = [];
-    const iterator = await client.query(query);
-    
-    for await (const queryResult of iterator) {
-      if (queryResult.data) {
-        results.push(...queryResult.data);
-      }
+    const client = createTrinoClient({ token, user, service: service?.name, settings });
+    submitted = true;
+    finishMetrics = trackQuery('query');
+
+    if (req.accepts(['application/json', 'application/x-ndjson']) === 'application/x-ndjson') {
+      // A query Trino refuses outright still finishes the lease through recordHistory
+      const lease = req.quotaLease.detach();
+      return streamQueryResults(req, res, client, await client.query(statement), recordHistory, lease);
     }
 
+    const { queryId, columns, rows: results, stats } = await executeQuery(client, statement);
+    recordHistory({
+      status: 'FINISHED',
+      rowCount: results.length,
+      trinoQueryId: queryId,
+      processedBytes: stats?.processedBytes ?? null,
+    });
+
     res.json({
       success: true,
+      columns,
       data: results,
       rowCount: results.length
     });
 
   } catch (error) {
     console.error('Error executing query:', error);
-    
-    if (error.message?.includes('401') || error.message?.includes('Unauthorized')) {
-      return res.status(401).json({
-        error: 'Authentication Failed',
-        message: 'Invalid or expired token. Please log in again.',
-        details: error.message
+    if (submitted) {
+      recordHistory({
+        status: 'FAILED',
+        error: error.message,
+        errorName: error.trinoError?.errorName ?? null,
+        trinoQueryId: error.queryId || null,
       });
     }
 
-    if (error.message?.includes('403') || error.message?.includes('Forbidden')) {
-      return res.status(403).json({
-        error: 'Authorization Failed',
-        message: 'Token does not have required audience claim or permissions.',
-        details: error.message
-      });
-    }
-
-    res.status(500).json({
-      error: 'Query Execution Failed',
-      message: error.message || 'An error occurred while executing the query',
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
+    const { status, body } = describeQueryError(error);
+    res.status(status).json(body);
   }
 });
 
+app.use('/api/queries', authenticate, withTrinoToken, createQueriesRouter(queryManager, { admitQuery, checkStatement, readSessionSettings }));
+app.use('/api/scripts', authenticate, withTrinoToken, createScriptsRouter(scriptManager, { admitQuery, checkStatement, readSessionSettings }));
+app.use('/api/session-properties', authenticate, withTrinoToken, createSessionPropertiesRouter({
+  allowedProperties: allowedSessionProperties,
+  defaults: {
+    catalog: process.env.TRINO_CATALOG || 'tpch',
+    schema: process.env.TRINO_SCHEMA || 'sf1',
+  },
+}));
+app.use('/api/catalogs', authenticate, withTrinoToken, createMetadataRouter({ checkStatement, sqlPolicy }));
+app.use('/api/history', authenticate, createHistoryRouter(historyStore));
+app.use('/api/saved-queries', authenticate, withTrinoToken, createSavedQueriesRouter(savedQueryStore, queryManager, { admitQuery, checkStatement }));
+app.use('/api/schedules', authenticate, createSchedulesRouter(scheduler, savedQueryStore));
+app.use('/api/audit', authenticate, createAuditRouter(audit, {
+  adminGroups: csv(process.env.AUDIT_ADMIN_GROUPS),
+  adminUsers: csv(process.env.AUDIT_ADMIN_USERS),
+}));
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Backend server is running on http://0.0.0.0:${PORT}`);
   console.log(`Trino connection: http://${TRINO_HOST}:${TRINO_PORT}`);
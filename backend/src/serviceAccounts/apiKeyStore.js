@@ -0,0 +1,117 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+
+const KEY_PREFIX = 'tod';
+// Service names become Trino client tags, which can't contain commas
+const SERVICE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+const hashSecret = (secret) => createHash('sha256').update(secret).digest('hex');
+
+/**
+ * API keys for non-interactive callers, each mapped to a service identity,
+ * persisted as a single JSON document.
+ *
+ * Keys look like `tod_<id>_<secret>`. Only a SHA-256 hash of the secret is
+ * stored, so the full key is shown once, when it is created. Revoked keys
+ * are kept (with `revokedAt`) so the file records who had access when.
+ *
+ * Keys are managed with `npm run api-keys` while the server runs; the server
+ * re-reads the file whenever it changes.
+ */
+export class ApiKeyStore {
+  constructor({ filePath }) {
+    this.filePath = filePath;
+    this.keys = new Map();
+    this.loadedMtimeMs = 0;
+    this.load();
+  }
+
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.keys.clear();
+    if (!fs.existsSync(this.filePath)) return;
+
+    this.loadedMtimeMs = fs.statSync(this.filePath).mtimeMs;
+    const { keys = [] } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    for (const key of keys) {
+      this.keys.set(key.id, key);
+    }
+  }
+
+  // Pick up keys created or revoked from the command line
+  reloadIfChanged() {
+    try {
+      if (fs.statSync(this.filePath).mtimeMs !== this.loadedMtimeMs) {
+        this.load();
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.keys.clear();
+    }
+  }
+
+  persist() {
+    const snapshot = JSON.stringify({ keys: [...this.keys.values()] }, null, 2);
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, snapshot, { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Issue a key for a service. Returns `{ record, apiKey }`; the plain key
+   * is not stored anywhere and can't be recovered later.
+   */
+  create(service, description = '') {
+    if (!SERVICE_NAME_PATTERN.test(service || '')) {
+      throw new Error('Service name must be 1-64 letters, digits, ".", "_" or "-"');
+    }
+
+    const id = randomBytes(6).toString('hex');
+    const secret = randomBytes(32).toString('base64url');
+    const record = {
+      id,
+      service,
+      description,
+      secretHash: hashSecret(secret),
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+    };
+    this.keys.set(id, record);
+    this.persist();
+    return { record, apiKey: `${KEY_PREFIX}_${id}_${secret}` };
+  }
+
+  /**
+   * Revoke a key by id. Returns the record, or null if there is no such key.
+   */
+  revoke(id) {
+    const record = this.keys.get(id);
+    if (!record) return null;
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      this.persist();
+    }
+    return record;
+  }
+
+  list() {
+    return [...this.keys.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * The active key record matching a presented API key, or null
+   */
+  verify(apiKey) {
+    const match = /^([a-z]+)_([0-9a-f]{12})_([A-Za-z0-9_-]+)$/.exec(apiKey || '');
+    if (!match || match[1] !== KEY_PREFIX) return null;
+
+    this.reloadIfChanged();
+    const record = this.keys.get(match[2]);
+    if (!record || record.revokedAt) return null;
+
+    const expected = Buffer.from(record.secretHash, 'hex');
+    const received = Buffer.from(hashSecret(match[3]), 'hex');
+    return timingSafeEqual(received, expected) ? record : null;
+  }
+}
@@ -0,0 +1,84 @@
+import { OAuthError, clientCredentialsGrant } from '../auth/oauthClient.js';
+import { TokenVerificationError } from '../auth/tokenVerifier.js';
+
+const REFRESH_MARGIN_MS = 30 * 1000;
+const DEFAULT_LIFETIME_MS = 60 * 1000;
+
+/**
+ * Authenticates non-interactive callers by API key and runs their requests
+ * under a service principal: the identity of a confidential client's
+ * client-credentials token, obtained from the provider and cached until
+ * shortly before it expires (concurrent callers share one token request).
+ */
+export class ServiceAccounts {
+  constructor({ keyStore, provider, clientId, clientSecret, scope }) {
+    this.keyStore = keyStore;
+    this.provider = provider;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.scope = scope;
+    this.cached = null;
+    this.pending = null;
+  }
+
+  /**
+   * `{ token, claims }` for the service client, from cache when still valid
+   */
+  async getToken() {
+    if (this.cached && this.cached.expiresAt - REFRESH_MARGIN_MS > Date.now()) {
+      return this.cached;
+    }
+
+    if (!this.pending) {
+      this.pending = this.fetchToken().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  async fetchToken() {
+    let tokens;
+    let claims;
+    try {
+      const { tokenUrl } = await this.provider.getEndpoints();
+      tokens = await clientCredentialsGrant({
+        tokenUrl,
+        clientId: this.clientId,
+        clientSecret: this.clientSecret,
+        scope: this.scope,
+      });
+      claims = await this.provider.verify(tokens.accessToken);
+    } catch (error) {
+      if (error instanceof OAuthError) {
+        console.error('Client credentials grant failed:', error.details);
+      }
+      throw new TokenVerificationError('service_token_unavailable', `Unable to obtain a service account token: ${error.message}`, 503);
+    }
+
+    const expiresAt = typeof claims.exp === 'number'
+      ? claims.exp * 1000
+      : Date.now() + (tokens.expiresIn ? tokens.expiresIn * 1000 : DEFAULT_LIFETIME_MS);
+    this.cached = { token: tokens.accessToken, claims, expiresAt };
+    return this.cached;
+  }
+
+  /**
+   * Resolve an API key to the caller's identity:
+   * `{ service, apiKeyId, token, claims, principal }`, or null for an
+   * unknown or revoked key
+   */
+  async authenticate(apiKey) {
+    const record = this.keyStore.verify(apiKey);
+    if (!record) return null;
+
+    const { token, claims } = await this.getToken();
+    return {
+      service: record.service,
+      apiKeyId: record.id,
+      token,
+      claims,
+      principal: this.provider.getPrincipal(claims),
+    };
+  }
+}
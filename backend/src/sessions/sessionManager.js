@@ -0,0 +1,175 @@
+import { randomBytes, timingSafeEqual } from 'node:crypto';
+import { TokenVerificationError, decodeClaims } from '../auth/tokenVerifier.js';
+import { OAuthError } from '../auth/oauthClient.js';
+
+const DEFAULT_TTL_MS = 8 * 60 * 60 * 1000;
+const REFRESH_MARGIN_MS = 30 * 1000;
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+// How often a session's last use is written back to the store, at most
+const TOUCH_PERSIST_INTERVAL_MS = 60 * 1000;
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+const newSecret = () => randomBytes(32).toString('base64url');
+
+/**
+ * Parse a Cookie header into a name -> value object
+ */
+export const parseCookies = (header = '') => {
+  const cookies = {};
+  for (const pair of header.split(';')) {
+    const index = pair.indexOf('=');
+    if (index === -1) continue;
+    const name = pair.slice(0, index).trim();
+    if (!name || name in cookies) continue;
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch {
+      cookies[name] = pair.slice(index + 1).trim();
+    }
+  }
+  return cookies;
+};
+
+// The token forwarded to Trino: the access token, as the SPA sends in token mode
+const bearerToken = (tokens) => tokens.accessToken;
+
+const tokenExpiresAt = (tokens) => {
+  const exp = decodeClaims(bearerToken(tokens))?.exp;
+  if (typeof exp === 'number') return exp * 1000;
+  return tokens.expiresIn ? Date.now() + tokens.expiresIn * 1000 : null;
+};
+
+/**
+ * Backend-for-frontend sessions: tokens stay on the server and the browser
+ * only holds an httpOnly session cookie. Tokens are refreshed server-side
+ * shortly before they expire, and state-changing requests must echo the
+ * session's CSRF token in the X-CSRF-Token header.
+ */
+export class SessionManager {
+  constructor({ store, refresh, cookieName = 'trino_demo_session', ttlMs = DEFAULT_TTL_MS, cookieOptions = {} }) {
+    this.store = store;
+    this.refresh = refresh;
+    this.cookieName = cookieName;
+    this.ttlMs = ttlMs;
+    this.cookieOptions = { httpOnly: true, sameSite: 'lax', secure: false, path: '/', ...cookieOptions };
+    this.refreshing = new Map();
+    // Session id -> when its `lastSeenAt` was last written to the store
+    this.touchPersistedAt = new Map();
+
+    setInterval(() => this.sweep(), SWEEP_INTERVAL_MS).unref();
+  }
+
+  /**
+   * Start a session for tokens freshly issued by the given provider
+   */
+  async create(tokens, providerId) {
+    const now = Date.now();
+    const session = {
+      id: newSecret(),
+      csrfToken: newSecret(),
+      providerId,
+      tokens,
+      expiresAt: tokenExpiresAt(tokens),
+      createdAt: now,
+      lastSeenAt: now,
+    };
+    await this.store.set(session);
+    this.touchPersistedAt.set(session.id, now);
+    return session;
+  }
+
+  /**
+   * The live session named by the request's cookie, or null
+   */
+  fromRequest(req) {
+    const id = parseCookies(req.headers.cookie)[this.cookieName];
+    const session = id ? this.store.get(id) : null;
+    if (!session) return null;
+
+    if (Date.now() - session.lastSeenAt > this.ttlMs) {
+      this.destroy(session);
+      return null;
+    }
+    session.lastSeenAt = Date.now();
+    // Persist the touch now and then so a restart doesn't idle-expire sessions in use
+    if (session.lastSeenAt - (this.touchPersistedAt.get(id) ?? 0) > TOUCH_PERSIST_INTERVAL_MS) {
+      this.touchPersistedAt.set(id, session.lastSeenAt);
+      this.store.set(session).catch((error) => console.error('Failed to persist session activity:', error.message));
+    }
+    return session;
+  }
+
+  /**
+   * Whether a request may act on the session: safe methods always can,
+   * anything else must carry the session's CSRF token
+   */
+  verifyCsrf(req, session) {
+    if (SAFE_METHODS.has(req.method)) return true;
+
+    const expected = Buffer.from(session.csrfToken);
+    const received = Buffer.from(String(req.get('X-CSRF-Token') || ''));
+    return received.length === expected.length && timingSafeEqual(received, expected);
+  }
+
+  /**
+   * A valid bearer token for the session, refreshing it first when it is
+   * about to expire. Concurrent requests share a single refresh.
+   */
+  async getToken(session) {
+    if (!session.expiresAt || session.expiresAt - REFRESH_MARGIN_MS > Date.now()) {
+      return bearerToken(session.tokens);
+    }
+
+    if (!this.refreshing.has(session.id)) {
+      const refreshing = this.refreshSession(session).finally(() => this.refreshing.delete(session.id));
+      this.refreshing.set(session.id, refreshing);
+    }
+    await this.refreshing.get(session.id);
+    return bearerToken(session.tokens);
+  }
+
+  async refreshSession(session) {
+    if (!session.tokens.refreshToken) {
+      await this.destroy(session);
+      throw new TokenVerificationError('session_expired', 'Session has expired. Please log in again.');
+    }
+
+    let tokens;
+    try {
+      tokens = await this.refresh(session.tokens.refreshToken, session.providerId);
+    } catch (error) {
+      if (error instanceof OAuthError && error.status < 500) {
+        await this.destroy(session);
+        throw new TokenVerificationError('session_expired', 'Session has expired. Please log in again.');
+      }
+      throw new TokenVerificationError('idp_unavailable', `Unable to refresh session tokens: ${error.message}`, 503);
+    }
+
+    session.tokens = { ...tokens, refreshToken: tokens.refreshToken || session.tokens.refreshToken };
+    session.expiresAt = tokenExpiresAt(tokens);
+    await this.store.set(session);
+  }
+
+  async destroy(session) {
+    this.touchPersistedAt.delete(session.id);
+    await this.store.delete(session.id);
+  }
+
+  setCookie(res, session) {
+    res.cookie(this.cookieName, session.id, { ...this.cookieOptions, maxAge: this.ttlMs });
+  }
+
+  clearCookie(res) {
+    res.clearCookie(this.cookieName, this.cookieOptions);
+  }
+
+  // Drop sessions that have been idle longer than the TTL
+  sweep() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const session of [...this.store.values()]) {
+      if (session.lastSeenAt < cutoff) {
+        this.destroy(session);
+      }
+    }
+  }
+}
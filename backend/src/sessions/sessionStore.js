@@ -0,0 +1,75 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Backend-for-frontend sessions kept in memory; they are lost on restart
+ */
+export class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  get(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  async set(session) {
+    this.sessions.set(session.id, session);
+  }
+
+  async delete(id) {
+    this.sessions.delete(id);
+  }
+
+  values() {
+    return this.sessions.values();
+  }
+}
+
+/**
+ * Sessions persisted as a single JSON document so logins survive a restart.
+ * The file holds refresh tokens, so it is written with owner-only permissions
+ * via a temp file + rename.
+ */
+export class FileSessionStore extends MemorySessionStore {
+  constructor({ filePath }) {
+    super();
+    this.filePath = filePath;
+    this.writeChain = Promise.resolve();
+    this.load();
+  }
+
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (!fs.existsSync(this.filePath)) return;
+
+    const { sessions = [] } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    for (const session of sessions) {
+      this.sessions.set(session.id, session);
+    }
+  }
+
+  persist() {
+    const snapshot = JSON.stringify({ sessions: [...this.sessions.values()] });
+    const tempPath = `${this.filePath}.tmp`;
+
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.promises.writeFile(tempPath, snapshot, { mode: 0o600 });
+        await fs.promises.rename(tempPath, this.filePath);
+      })
+      .catch((err) => console.error('Failed to write sessions:', err.message));
+
+    return this.writeChain;
+  }
+
+  async set(session) {
+    await super.set(session);
+    await this.persist();
+  }
+
+  async delete(id) {
+    await super.delete(id);
+    await this.persist();
+  }
+}
@@ -0,0 +1,43 @@
+import { getGroups } from '../auth/requireAuth.js';
+import { StatementPolicyError } from './statementPolicy.js';
+
+/**
+ * Build `checkStatement(sql, req, res, source, settings)`, which checks SQL
+ * the caller (`req.auth`, from requireAuth) wants to run against the
+ * statement policy. Unqualified names resolve against the catalog and schema
+ * of the request's session `settings` (see parseSessionSettings), if any.
+ * It returns true if the SQL may run; otherwise it answers 403 naming the
+ * blocked statement type and policy, records the attempt in the AuditLog
+ * (as a query from `source`) and returns false.
+ * Service accounts have no groups, so they get the default allowlist.
+ */
+export const createStatementCheck = (sqlPolicy, audit = null) => (sql, req, res, source, settings = null) => {
+  const { principal, claims, service } = req.auth;
+  const startedAt = Date.now();
+  const defaults = settings?.catalog ? { catalog: settings.catalog, schema: settings.schema } : {};
+  try {
+    sqlPolicy.check(sql, { groups: service ? [] : getGroups(claims), defaults });
+    return true;
+  } catch (error) {
+    if (!(error instanceof StatementPolicyError)) throw error;
+    audit?.query({
+      principal,
+      service: service?.name,
+      source,
+      sql,
+      startedAt,
+      outcome: 'BLOCKED',
+      error: error.message,
+      statementType: error.statementType,
+      policy: error.policy,
+    });
+    res.status(403).json({
+      error: 'Forbidden',
+      message: error.message,
+      code: 'statement_blocked',
+      statementType: error.statementType,
+      policy: error.policy,
+    });
+    return false;
+  }
+};
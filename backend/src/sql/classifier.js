@@ -0,0 +1,407 @@
+import { splitStatements, tokenize, TokenType } from './tokenizer.js';
+
+/**
+ * Statement kinds, the unit policies allow or block. `type` (e.g.
+ * "CREATE TABLE", "SHOW SCHEMAS") is the finer-grained name used in messages.
+ */
+export const STATEMENT_KINDS = [
+  'SELECT', 'SHOW', 'DESCRIBE', 'EXPLAIN', 'USE',
+  'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'TRUNCATE',
+  'CREATE', 'ALTER', 'DROP', 'COMMENT', 'REFRESH', 'ANALYZE',
+  'CALL', 'GRANT', 'REVOKE', 'DENY',
+  'SET_SESSION', 'RESET_SESSION', 'SET_SESSION_AUTHORIZATION', 'RESET_SESSION_AUTHORIZATION',
+  'SET_ROLE', 'SET_TIME_ZONE', 'SET_PATH',
+  'PREPARE', 'EXECUTE', 'DEALLOCATE', 'TRANSACTION',
+  'UNKNOWN',
+];
+
+// Kinds that neither change data, metadata, privileges nor who the session runs as
+const READ_ONLY_KINDS = new Set([
+  'SELECT', 'SHOW', 'DESCRIBE', 'USE', 'SET_SESSION', 'RESET_SESSION', 'SET_TIME_ZONE', 'SET_PATH',
+]);
+
+// Words that end a table reference rather than alias it
+const CLAUSE_WORDS = new Set([
+  'where', 'group', 'order', 'limit', 'offset', 'fetch', 'having', 'window', 'union', 'intersect',
+  'except', 'join', 'inner', 'left', 'right', 'full', 'cross', 'natural', 'on', 'using', 'when',
+  'set', 'values', 'select', 'tablesample', 'match_recognize', 'for', 'with', 'lateral', 'as',
+]);
+
+// Objects CREATE / ALTER / DROP operate on, and which of them live in a schema
+const OBJECT_WORDS = new Set(['table', 'view', 'schema', 'role', 'function', 'catalog', 'branch']);
+const SCHEMA_OBJECTS = new Set(['table', 'view', 'function']);
+
+const isName = (token) => token?.type === TokenType.WORD || token?.type === TokenType.QUOTED_IDENTIFIER;
+const isWord = (token, ...words) => token?.type === TokenType.WORD && (!words.length || words.includes(token.value));
+const isPunctuation = (token, value) => token?.type === TokenType.PUNCTUATION && token.value === value;
+
+/**
+ * Cursor over one statement's tokens with the lookahead helpers the
+ * classifier needs.
+ */
+class Cursor {
+  constructor(tokens, position = 0) {
+    this.tokens = tokens;
+    this.position = position;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  /**
+   * Consume the given words if they come next, in order
+   */
+  accept(...words) {
+    if (!words.every((word, i) => isWord(this.peek(i), word))) return false;
+    this.position += words.length;
+    return true;
+  }
+
+  /**
+   * Consume a dotted name (`a`, `a.b`, `a.b.c`) and return its parts
+   */
+  name() {
+    if (!isName(this.peek())) return null;
+    const parts = [this.next().value];
+    while (isPunctuation(this.peek(), '.') && isName(this.peek(1))) {
+      this.position += 1;
+      parts.push(this.next().value);
+    }
+    return parts;
+  }
+
+  skipIfExists() {
+    this.accept('if', 'not', 'exists') || this.accept('if', 'exists');
+  }
+}
+
+/**
+ * Walk the statement's tokens and collect every dotted name in a position
+ * that names a table: after FROM, JOIN, INTO, USING, UPDATE and TABLE
+ * (including comma-separated FROM lists), plus catalog-qualified function
+ * calls (`catalog.schema.fn(...)`, e.g. connector table functions), whose
+ * catalog counts as referenced.
+ */
+const collectRelations = (tokens) => {
+  const relations = [];
+  const functions = [];
+  const cteNames = new Set();
+  // Per open parenthesis: does it hold a query? FROM inside `EXTRACT(... FROM x)` names no table
+  const parens = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (isPunctuation(token, '(')) {
+      parens.push(isWord(tokens[i + 1], 'select', 'with', 'values', 'table') || isPunctuation(tokens[i + 1], '('));
+      continue;
+    }
+    if (isPunctuation(token, ')')) {
+      parens.pop();
+      continue;
+    }
+
+    // WITH [RECURSIVE] name [(columns)] AS (...), name AS (...)
+    const startsCte = isWord(tokens[i - 1], 'with', 'recursive')
+      ? isWord(tokens[i + 1], 'as') || isPunctuation(tokens[i + 1], '(')
+      : isPunctuation(tokens[i - 1], ',') && isPunctuation(tokens[i - 2], ')') && cteNames.size > 0
+        && isWord(tokens[i + 1], 'as') && isPunctuation(tokens[i + 2], '(');
+    if (isName(token) && startsCte) cteNames.add(token.value);
+
+    if (isName(token) && isPunctuation(tokens[i + 1], '.')) {
+      const cursor = new Cursor(tokens, i);
+      const parts = cursor.name();
+      if (parts.length === 3 && isPunctuation(cursor.peek(), '(')) functions.push(parts);
+      i = cursor.position - 1;
+      continue;
+    }
+
+    if (!isWord(token, 'from', 'join', 'into', 'using', 'update', 'table')) continue;
+    if (parens.length && !parens.at(-1)) continue;
+    if (isWord(token, 'from') && isWord(tokens[i - 1], 'distinct')) continue;
+
+    const cursor = new Cursor(tokens, i + 1);
+    cursor.skipIfExists();
+    do {
+      const parts = cursor.name();
+      // `FROM (subquery)`, `FROM UNNEST(...)`, `TABLE(fn(...))`: nothing to record here
+      if (!parts || (isPunctuation(cursor.peek(), '(') && !isWord(token, 'into'))) break;
+      // MERGE's `WHEN MATCHED THEN UPDATE SET ...`
+      if (parts.length === 1 && CLAUSE_WORDS.has(parts[0]) && isWord(cursor.tokens[cursor.position - 1])) break;
+      relations.push(parts);
+      if (!isWord(token, 'from')) break;
+
+      // Skip `[AS] alias [(columns)]` to reach a following `, other_table`
+      cursor.accept('as');
+      if (isName(cursor.peek()) && !isWord(cursor.peek(), ...CLAUSE_WORDS)) cursor.next();
+      if (isPunctuation(cursor.peek(), '(')) {
+        while (cursor.peek() && !isPunctuation(cursor.next(), ')'));
+      }
+    } while (isPunctuation(cursor.peek(), ',') && cursor.next());
+  }
+
+  return {
+    tables: relations.filter((parts) => parts.length > 1 || !cteNames.has(parts[0])),
+    functions,
+  };
+};
+
+const toTable = (parts) => {
+  const [table, schema = null, catalog = null] = [...parts].reverse();
+  return { catalog, schema, table };
+};
+
+const toSchema = (parts) => {
+  const [schema, catalog = null] = [...parts].reverse();
+  return { catalog, schema };
+};
+
+const describeWrapped = (statement) => statement && {
+  kind: statement.kind,
+  type: statement.type,
+  wrapped: describeWrapped(statement.wrapped),
+};
+
+const classification = (kind, type, extra = {}) => ({
+  kind,
+  type,
+  readOnly: READ_ONLY_KINDS.has(kind),
+  tables: [],
+  schemas: [],
+  catalogs: [],
+  wrapped: null,
+  sessionProperty: null,
+  ...extra,
+});
+
+/**
+ * Classify a statement from its leading words. `cursor` starts at the first
+ * token; the returned object's `tables` / `schemas` / `catalogs` hold the
+ * names the statement itself targets (e.g. `SHOW TABLES FROM s`), to which
+ * the caller adds the tables referenced anywhere in the statement.
+ */
+const classifyTokens = (cursor) => {
+  while (isPunctuation(cursor.peek(), '(')) cursor.next();
+  const first = cursor.next();
+  if (!first) return classification('UNKNOWN', 'EMPTY');
+  if (first.type !== TokenType.WORD) return classification('UNKNOWN', first.text.toUpperCase());
+  const leading = first.value.toUpperCase();
+
+  switch (first.value) {
+    case 'select':
+    case 'with':
+    case 'values':
+    case 'table':
+      return classification('SELECT', 'SELECT');
+
+    case 'show': {
+      const words = [];
+      while (isWord(cursor.peek()) && !isWord(cursor.peek(), 'from', 'in', 'like')) {
+        words.push(cursor.next().value.toUpperCase());
+        if (words.at(-1) === 'TABLE' || words.at(-1) === 'VIEW' || words.at(-1) === 'SCHEMA') break;
+      }
+      const type = ['SHOW', ...words].join(' ');
+      if (words[0] === 'CREATE' && words[1] === 'SCHEMA') {
+        return classification('SHOW', type, { schemas: [toSchema(cursor.name() || [])] });
+      }
+      if (words[0] === 'CREATE' || words[0] === 'STATS') {
+        cursor.accept('for');
+        const parts = cursor.name();
+        return classification('SHOW', type, { tables: parts ? [toTable(parts)] : [] });
+      }
+      if (!cursor.accept('from') && !cursor.accept('in')) {
+        // SHOW SCHEMAS / SHOW TABLES without FROM list the session's catalog / schema
+        const defaults = words[0] === 'SCHEMAS' ? { catalogs: [null] }
+          : words[0] === 'TABLES' ? { schemas: [{ catalog: null, schema: null }] } : {};
+        return classification('SHOW', type, defaults);
+      }
+      const parts = cursor.name() || [];
+      if (words[0] === 'SCHEMAS') return classification('SHOW', type, { catalogs: parts.slice(0, 1) });
+      if (words[0] === 'COLUMNS') return classification('SHOW', type, { tables: [toTable(parts)] });
+      return classification('SHOW', type, { schemas: [toSchema(parts)] });
+    }
+
+    case 'describe':
+    case 'desc': {
+      if (cursor.accept('input') || cursor.accept('output')) {
+        return classification('DESCRIBE', `DESCRIBE ${cursor.tokens[cursor.position - 1].value.toUpperCase()}`);
+      }
+      const parts = cursor.name();
+      return classification('DESCRIBE', 'DESCRIBE', { tables: parts ? [toTable(parts)] : [] });
+    }
+
+    case 'explain': {
+      const analyze = cursor.accept('analyze');
+      cursor.accept('verbose');
+      if (isPunctuation(cursor.peek(), '(')) {
+        while (cursor.peek() && !isPunctuation(cursor.next(), ')'));
+      }
+      const inner = classifyTokens(cursor);
+      return {
+        ...inner,
+        kind: 'EXPLAIN',
+        type: `EXPLAIN${analyze ? ' ANALYZE' : ''} ${inner.type}`,
+        // Plain EXPLAIN only plans the statement; EXPLAIN ANALYZE runs it
+        readOnly: !analyze || inner.readOnly,
+        wrapped: analyze ? inner : null,
+      };
+    }
+
+    case 'use':
+      return classification('USE', 'USE', { schemas: [toSchema(cursor.name() || [])] });
+
+    case 'insert':
+    case 'update':
+    case 'delete':
+    case 'merge':
+    case 'truncate':
+    case 'call':
+    case 'grant':
+    case 'revoke':
+    case 'deny':
+    case 'deallocate':
+      return classification(leading, leading);
+
+    case 'analyze':
+      return classification('ANALYZE', 'ANALYZE', { tables: [toTable(cursor.name() || [])] });
+
+    case 'comment':
+      cursor.accept('on');
+      return classification('COMMENT', `COMMENT ON ${(cursor.next()?.value || '').toUpperCase()}`.trim());
+
+    case 'refresh':
+      return classification('REFRESH', 'REFRESH MATERIALIZED VIEW');
+
+    case 'prepare': {
+      cursor.name();
+      cursor.accept('from');
+      const inner = classifyTokens(cursor);
+      // Preparing runs nothing; EXECUTE is classified (and checked) on its own
+      return { ...inner, kind: 'PREPARE', type: `PREPARE ${inner.type}`, wrapped: inner };
+    }
+
+    case 'execute':
+      // EXECUTE IMMEDIATE with its statement text is classified in classifyStatement
+      return classification('EXECUTE', cursor.accept('immediate') ? 'EXECUTE IMMEDIATE' : 'EXECUTE');
+
+    case 'create':
+    case 'alter':
+    case 'drop': {
+      const words = [leading];
+      while (isWord(cursor.peek()) && !OBJECT_WORDS.has(cursor.peek().value) && words.length < 4) {
+        words.push(cursor.next().value.toUpperCase());
+      }
+      const object = isWord(cursor.peek()) && OBJECT_WORDS.has(cursor.peek().value) ? cursor.next().value : null;
+      if (object) words.push(object.toUpperCase());
+      cursor.skipIfExists();
+      const parts = cursor.name();
+      const type = words.filter((word) => word !== 'OR' && word !== 'REPLACE').join(' ');
+      if (!parts) return classification(leading, type);
+      if (object === 'schema') return classification(leading, type, { schemas: [toSchema(parts)] });
+      if (object === 'catalog') return classification(leading, type, { catalogs: parts.slice(0, 1) });
+      if (SCHEMA_OBJECTS.has(object)) return classification(leading, type, { tables: [toTable(parts)] });
+      return classification(leading, type);
+    }
+
+    case 'set':
+    case 'reset': {
+      if (cursor.accept('session', 'authorization')) {
+        return classification(`${leading}_SESSION_AUTHORIZATION`, `${leading} SESSION AUTHORIZATION`);
+      }
+      if (cursor.accept('session')) {
+        const name = cursor.name();
+        return classification(`${leading}_SESSION`, `${leading} SESSION`, { sessionProperty: name ? name.join('.') : null });
+      }
+      if (first.value === 'set' && cursor.accept('role')) return classification('SET_ROLE', 'SET ROLE');
+      if (first.value === 'set' && cursor.accept('time', 'zone')) return classification('SET_TIME_ZONE', 'SET TIME ZONE');
+      if (first.value === 'set' && cursor.accept('path')) return classification('SET_PATH', 'SET PATH');
+      return classification('UNKNOWN', leading);
+    }
+
+    case 'start':
+    case 'commit':
+    case 'rollback':
+      return classification('TRANSACTION', first.value === 'start' ? 'START TRANSACTION' : leading);
+
+    default:
+      return classification('UNKNOWN', leading);
+  }
+};
+
+/**
+ * Classify a single SQL statement: what kind it is and which tables, schemas
+ * and catalogs it touches. Returns
+ * `{ kind, type, readOnly, tables, schemas, catalogs, wrapped, sessionProperty }`,
+ * where `kind` is one of STATEMENT_KINDS, `type` a readable name such as
+ * "CREATE TABLE", `readOnly` whether it leaves data, metadata and privileges
+ * unchanged and `sessionProperty` the property SET / RESET SESSION changes
+ * (e.g. `hive.compression_codec`).
+ * `wrapped` (`{ kind, type, wrapped }`) is the statement that EXPLAIN ANALYZE
+ * or EXECUTE IMMEDIATE runs or PREPARE prepares. EXECUTE IMMEDIATE's
+ * statement text is classified like any other statement, so its tables and
+ * catalogs count as the EXECUTE's own.
+ *
+ * Names are resolved against `defaults` (`{ catalog, schema }`, the session's
+ * defaults) so that `catalogs` lists every catalog the statement would reach,
+ * explicitly or not. Unparseable input is classified UNKNOWN rather than
+ * rejected here; deciding what to do with it is up to the caller.
+ */
+export const classifyStatement = (sql, defaults = {}) => {
+  const tokens = Array.isArray(sql) ? sql : tokenize(sql);
+
+  // EXECUTE IMMEDIATE 'statement' [USING ...]
+  if (isWord(tokens[0], 'execute') && isWord(tokens[1], 'immediate') && tokens[2]?.type === TokenType.STRING) {
+    const statements = splitStatements(tokens[2].value);
+    const inner = statements.length === 1
+      ? classifyStatement(statements[0].tokens, defaults)
+      : classification('UNKNOWN', statements.length ? 'MULTIPLE STATEMENTS' : 'EMPTY');
+    return { ...inner, kind: 'EXECUTE', type: `EXECUTE IMMEDIATE ${inner.type}`, wrapped: describeWrapped(inner) };
+  }
+
+  const statement = classifyTokens(new Cursor(tokens));
+  // SHOW's FROM names what to list, which classifyTokens has already resolved
+  const { tables, functions } = statement.kind === 'SHOW' ? { tables: [], functions: [] } : collectRelations(tokens);
+
+  const resolveTable = ({ catalog, schema, table }) => ({
+    catalog: catalog || defaults.catalog || null,
+    schema: schema || defaults.schema || null,
+    table,
+  });
+  const resolveSchema = ({ catalog, schema }) => ({
+    catalog: catalog || defaults.catalog || null,
+    schema: schema || defaults.schema || null,
+  });
+
+  const seen = new Set();
+  const allTables = [...statement.tables, ...tables.map(toTable)]
+    .filter(({ table }) => table)
+    .map(resolveTable)
+    .filter(({ catalog, schema, table }) => {
+      const key = `${catalog}.${schema}.${table}`;
+      return !seen.has(key) && seen.add(key);
+    });
+  const schemas = statement.schemas.filter(({ schema }) => schema !== undefined).map(resolveSchema);
+
+  const catalogs = new Set([
+    ...statement.catalogs.map((catalog) => catalog || defaults.catalog),
+    ...schemas.map(({ catalog }) => catalog),
+    ...allTables.map(({ catalog }) => catalog),
+    ...functions.map(([catalog]) => catalog),
+  ].filter(Boolean));
+
+  return {
+    kind: statement.kind,
+    type: statement.type,
+    readOnly: statement.readOnly,
+    tables: allTables,
+    schemas,
+    catalogs: [...catalogs],
+    wrapped: describeWrapped(statement.wrapped),
+    sessionProperty: statement.sessionProperty,
+  };
+};
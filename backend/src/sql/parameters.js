@@ -0,0 +1,207 @@
+/**
+ * Raised when parameter definitions or values are invalid
+ */
+export class ParameterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ParameterError';
+  }
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d{1,12})?)?$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+const DECIMAL_PATTERN = /^-?\d+(\.\d+)?$/;
+
+const quoteString = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+const INTEGER_RANGES = {
+  tinyint: [-(2n ** 7n), 2n ** 7n - 1n],
+  smallint: [-(2n ** 15n), 2n ** 15n - 1n],
+  integer: [-(2n ** 31n), 2n ** 31n - 1n],
+  bigint: [-(2n ** 63n), 2n ** 63n - 1n],
+};
+
+const integerLiteral = (type) => (value) => {
+  const text = String(value).trim();
+  if (!INTEGER_PATTERN.test(text)) {
+    throw new ParameterError(`expected an integer, got ${JSON.stringify(value)}`);
+  }
+  const [min, max] = INTEGER_RANGES[type];
+  const number = BigInt(text);
+  if (number < min || number > max) {
+    throw new ParameterError(`${text} is out of range for ${type}`);
+  }
+  return `${type.toUpperCase()} '${text}'`;
+};
+
+/**
+ * Supported parameter types and how to turn a JSON value into a typed Trino
+ * literal. Each renderer validates its input and throws ParameterError.
+ */
+export const PARAMETER_TYPES = {
+  varchar: (value) => {
+    if (typeof value !== 'string') {
+      throw new ParameterError(`expected a string, got ${typeof value}`);
+    }
+    return `VARCHAR ${quoteString(value)}`;
+  },
+  tinyint: integerLiteral('tinyint'),
+  smallint: integerLiteral('smallint'),
+  integer: integerLiteral('integer'),
+  bigint: integerLiteral('bigint'),
+  double: (value) => {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isFinite(number) || (typeof value === 'string' && !value.trim())) {
+      throw new ParameterError(`expected a number, got ${JSON.stringify(value)}`);
+    }
+    return `DOUBLE '${number}'`;
+  },
+  decimal: (value) => {
+    const text = String(value).trim();
+    if (!DECIMAL_PATTERN.test(text)) {
+      throw new ParameterError(`expected a decimal number, got ${JSON.stringify(value)}`);
+    }
+    return `DECIMAL '${text}'`;
+  },
+  boolean: (value) => {
+    if (value === true || value === 'true') return 'TRUE';
+    if (value === false || value === 'false') return 'FALSE';
+    throw new ParameterError(`expected true or false, got ${JSON.stringify(value)}`);
+  },
+  date: (value) => {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+      throw new ParameterError(`expected a date (YYYY-MM-DD), got ${JSON.stringify(value)}`);
+    }
+    return `DATE '${value}'`;
+  },
+  timestamp: (value) => {
+    if (typeof value !== 'string' || !TIMESTAMP_PATTERN.test(value)) {
+      throw new ParameterError(`expected a timestamp (YYYY-MM-DD HH:MM[:SS]), got ${JSON.stringify(value)}`);
+    }
+    return `TIMESTAMP '${value.replace('T', ' ')}'`;
+  },
+};
+
+/**
+ * Render a value as a typed SQL literal, or NULL for null/undefined
+ */
+export const renderLiteral = (type, value) => {
+  const render = PARAMETER_TYPES[type];
+  if (!render) {
+    throw new ParameterError(`unsupported parameter type "${type}"`);
+  }
+  if (value === null || value === undefined) {
+    return 'NULL';
+  }
+  return render(value);
+};
+
+/**
+ * Find `:name` and positional `?` placeholders in SQL, skipping string
+ * literals, quoted identifiers and comments so that e.g. `'12:30'` is left alone.
+ * Returns `[{ name, start, end }]` with offsets into the SQL text; `name` is
+ * null for positional placeholders.
+ */
+const findPlaceholders = (sql) => {
+  const placeholders = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    if (ch === "'" || ch === '"') {
+      // Quotes are escaped by doubling them
+      i += 1;
+      while (i < sql.length) {
+        if (sql[i] === ch && sql[i + 1] === ch) {
+          i += 2;
+        } else if (sql[i] === ch) {
+          i += 1;
+          break;
+        } else {
+          i += 1;
+        }
+      }
+    } else if (ch === '-' && next === '-') {
+      while (i < sql.length && sql[i] !== '\n') i += 1;
+    } else if (ch === '/' && next === '*') {
+      const close = sql.indexOf('*/', i + 2);
+      i = close === -1 ? sql.length : close + 2;
+    } else if (ch === ':' && /[A-Za-z_]/.test(next || '')) {
+      const match = /^[A-Za-z_]\w*/.exec(sql.slice(i + 1));
+      placeholders.push({ name: match[0], start: i, end: i + 1 + match[0].length });
+      i += 1 + match[0].length;
+    } else if (ch === '?') {
+      placeholders.push({ name: null, start: i, end: i + 1 });
+      i += 1;
+    } else {
+      i += 1;
+    }
+  }
+
+  return placeholders;
+};
+
+/**
+ * Find `:name` placeholders in SQL, returning `[{ name, start, end }]`
+ */
+export const findNamedPlaceholders = (sql) => findPlaceholders(sql).filter(({ name }) => name !== null);
+
+/**
+ * Count positional `?` placeholders in SQL
+ */
+export const countPositionalPlaceholders = (sql) => findPlaceholders(sql).filter(({ name }) => name === null).length;
+
+/**
+ * Replace each `:name` placeholder using `replacer(name, index)`
+ */
+export const replaceNamedPlaceholders = (sql, replacer) => {
+  let result = '';
+  let last = 0;
+  findNamedPlaceholders(sql).forEach(({ name, start, end }, index) => {
+    result += sql.slice(last, start) + replacer(name, index);
+    last = end;
+  });
+  return result + sql.slice(last);
+};
+
+// Type used for a positional parameter sent without an explicit type
+const inferType = (value) => {
+  if (typeof value === 'string') return 'varchar';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') return Number.isSafeInteger(value) ? 'bigint' : 'double';
+  throw new ParameterError(`cannot infer a type for ${JSON.stringify(value)}; pass { "type", "value" }`);
+};
+
+/**
+ * Validate positional parameters for SQL with `?` placeholders and render
+ * each one as a typed literal for `EXECUTE ... USING`.
+ * A parameter is either a bare JSON value (string, number, boolean, null)
+ * or `{ type, value }` with one of the PARAMETER_TYPES.
+ */
+export const parsePositionalParameters = (sql, parameters) => {
+  if (!Array.isArray(parameters)) {
+    throw new ParameterError('parameters must be an array');
+  }
+
+  const expected = countPositionalPlaceholders(sql);
+  if (parameters.length !== expected) {
+    throw new ParameterError(`Query has ${expected} parameter placeholder(s) but ${parameters.length} parameter(s) were given`);
+  }
+
+  return parameters.map((parameter, index) => {
+    const typed = parameter !== null && typeof parameter === 'object' && !Array.isArray(parameter);
+    const value = typed ? parameter.value : parameter;
+
+    try {
+      if (typed && parameter.type !== undefined) {
+        return renderLiteral(parameter.type, value);
+      }
+      return value === null || value === undefined ? 'NULL' : renderLiteral(inferType(value), value);
+    } catch (error) {
+      throw new ParameterError(`parameters[${index}]: ${error.message}`);
+    }
+  });
+};
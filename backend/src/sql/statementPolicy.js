@@ -0,0 +1,166 @@
+import { splitStatements } from './tokenizer.js';
+import { classifyStatement, STATEMENT_KINDS } from './classifier.js';
+
+const ALL_KINDS = '*';
+
+export const Policy = {
+  READ_ONLY: 'read_only',
+  STATEMENT_ALLOWLIST: 'statement_allowlist',
+  BLOCKED_CATALOGS: 'blocked_catalogs',
+  SESSION_PROPERTIES: 'session_properties',
+};
+
+const SESSION_KINDS = new Set(['SET_SESSION', 'RESET_SESSION']);
+
+/**
+ * Error for SQL that a statement policy doesn't allow. Carries the offending
+ * statement's `statementType` (e.g. "DROP TABLE") and the `policy` that
+ * blocked it.
+ */
+export class StatementPolicyError extends Error {
+  constructor(message, { statementType, policy }) {
+    super(message);
+    this.name = 'StatementPolicyError';
+    this.statementType = statementType;
+    this.policy = policy;
+  }
+}
+
+/**
+ * Validate a list of statement kinds: an array or comma-separated string of
+ * STATEMENT_KINDS, or "*" for all of them
+ */
+export const parseStatementKinds = (kinds, label) => {
+  const list = typeof kinds === 'string' ? kinds.split(',') : kinds;
+  if (!Array.isArray(list)) {
+    throw new Error(`${label} must be a list of statement kinds`);
+  }
+
+  const parsed = list.map((kind) => String(kind).trim().toUpperCase()).filter(Boolean);
+  for (const kind of parsed) {
+    if (kind !== ALL_KINDS && !STATEMENT_KINDS.includes(kind)) {
+      throw new Error(`${label}: unknown statement kind "${kind}" (expected ${ALL_KINDS} or one of ${STATEMENT_KINDS.join(', ')})`);
+    }
+  }
+  return parsed;
+};
+
+/**
+ * Validate group allowlists: an object mapping group names to statement kinds
+ */
+export const parseGroupAllowlists = (allowlists) => {
+  if (!allowlists || typeof allowlists !== 'object' || Array.isArray(allowlists)) {
+    throw new Error('SQL_GROUP_STATEMENT_ALLOWLISTS must be a JSON object mapping groups to statement kinds');
+  }
+  return Object.fromEntries(Object.entries(allowlists).map(([group, kinds]) => (
+    [group, parseStatementKinds(kinds, `SQL_GROUP_STATEMENT_ALLOWLISTS.${group}`)]
+  )));
+};
+
+/**
+ * Guardrails applied to SQL before it is sent to Trino, on top of Trino's own
+ * access control:
+ *
+ * - `readOnly`: only statements that change nothing (queries, SHOW,
+ *   DESCRIBE, EXPLAIN, session settings) may run.
+ * - `allowedStatements` / `groupAllowlists`: the statement kinds a user may
+ *   run. Members of groups listed in `groupAllowlists` get the union of their
+ *   groups' lists; everyone else gets `allowedStatements`.
+ * - `blockedCatalogs`: catalogs no statement may reach, whether named
+ *   explicitly or through the session's default catalog.
+ * - `allowedSessionProperties`: the session properties SET SESSION and RESET
+ *   SESSION may change, the same ones queries may set in their session
+ *   settings (null for any).
+ *
+ * Every statement of a script is checked. EXPLAIN ANALYZE, EXECUTE IMMEDIATE
+ * and PREPARE are checked against the statement they wrap as well, since the
+ * first two run it and the last lets a later EXECUTE run it.
+ */
+export class StatementPolicy {
+  constructor({
+    readOnly = false,
+    allowedStatements = [ALL_KINDS],
+    groupAllowlists = {},
+    blockedCatalogs = [],
+    allowedSessionProperties = null,
+    defaults = {},
+  }) {
+    this.readOnly = readOnly;
+    this.allowedStatements = allowedStatements;
+    this.groupAllowlists = groupAllowlists;
+    this.blockedCatalogs = new Set(blockedCatalogs.map((catalog) => catalog.toLowerCase()));
+    this.allowedSessionProperties = allowedSessionProperties;
+    this.defaults = defaults;
+  }
+
+  /**
+   * Whether the blocked-catalogs policy keeps statements away from `catalog`
+   */
+  isCatalogBlocked(catalog) {
+    return this.blockedCatalogs.has(catalog.toLowerCase());
+  }
+
+  /**
+   * Statement kinds members of `groups` may run
+   */
+  allowedKindsFor(groups = []) {
+    const lists = groups.map((group) => this.groupAllowlists[group]).filter(Boolean);
+    return new Set(lists.length ? lists.flat() : this.allowedStatements);
+  }
+
+  /**
+   * Classify every statement in `sql` and throw a StatementPolicyError for the
+   * first one a policy blocks. `defaults` overrides the session's default
+   * catalog / schema. Returns the statements' classifications.
+   */
+  check(sql, { groups = [], defaults = {} } = {}) {
+    const allowed = this.allowedKindsFor(groups);
+    const sessionDefaults = { ...this.defaults, ...defaults };
+
+    return splitStatements(sql).map(({ tokens }) => {
+      const statement = classifyStatement(tokens, sessionDefaults);
+      this.checkStatement(statement, allowed);
+      return statement;
+    });
+  }
+
+  checkStatement(statement, allowed) {
+    const statementType = statement.type;
+    if (this.readOnly && !statement.readOnly) {
+      throw new StatementPolicyError(
+        `${statementType} is blocked by the read-only policy: only queries, SHOW, DESCRIBE and EXPLAIN statements may run`,
+        { statementType, policy: Policy.READ_ONLY },
+      );
+    }
+
+    const kinds = [];
+    for (let current = statement; current; current = current.wrapped) kinds.push(current.kind);
+    if (!allowed.has(ALL_KINDS) && !kinds.every((kind) => allowed.has(kind))) {
+      const permitted = [...allowed].join(', ') || 'none';
+      throw new StatementPolicyError(
+        `${statementType} is blocked by the statement allowlist for your groups (allowed: ${permitted})`,
+        { statementType, policy: Policy.STATEMENT_ALLOWLIST },
+      );
+    }
+
+    const blocked = statement.catalogs.find((catalog) => this.blockedCatalogs.has(catalog));
+    if (blocked) {
+      throw new StatementPolicyError(
+        `${statementType} is blocked by the blocked-catalogs policy: catalog "${blocked}" is not accessible`,
+        { statementType, policy: Policy.BLOCKED_CATALOGS },
+      );
+    }
+
+    const allowedProperties = this.allowedSessionProperties;
+    const { sessionProperty } = statement;
+    if (allowedProperties && kinds.some((kind) => SESSION_KINDS.has(kind)) && !allowedProperties.includes(sessionProperty)) {
+      const property = sessionProperty ? `"${sessionProperty}"` : 'a session property without a name';
+      throw new StatementPolicyError(
+        `${statementType} is blocked by the session-properties policy: ${allowedProperties.length
+          ? `${property} may not be changed (allowed: ${allowedProperties.join(', ')})`
+          : 'no session properties may be changed'}`,
+        { statementType, policy: Policy.SESSION_PROPERTIES },
+      );
+    }
+  }
+}
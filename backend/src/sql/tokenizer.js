@@ -0,0 +1,136 @@
+export const TokenType = {
+  WORD: 'word',
+  QUOTED_IDENTIFIER: 'quotedIdentifier',
+  STRING: 'string',
+  NUMBER: 'number',
+  PARAMETER: 'parameter',
+  PUNCTUATION: 'punctuation',
+  OPERATOR: 'operator',
+};
+
+const PUNCTUATION = new Set(['(', ')', ',', ';', '.', '[', ']']);
+const OPERATOR_CHARS = /[=<>!|+\-*/%&^~:]/;
+const WORD_START = /[A-Za-z_]/;
+const WORD_CHAR = /[\w@$]/;
+
+/**
+ * Index just past a quoted run starting at `start` (which holds the quote).
+ * Quotes are escaped by doubling them; an unterminated run ends the input.
+ */
+const skipQuoted = (sql, start, quote) => {
+  let i = start + 1;
+  while (i < sql.length) {
+    if (sql[i] === quote && sql[i + 1] === quote) {
+      i += 2;
+    } else if (sql[i] === quote) {
+      return i + 1;
+    } else {
+      i += 1;
+    }
+  }
+  return sql.length;
+};
+
+/**
+ * Split SQL into tokens, dropping whitespace and comments. Each token is
+ * `{ type, value, text, start, end }`: `text` is the source text and `value`
+ * its normalized form — words and quoted identifiers lowercased (Trino
+ * matches names case-insensitively), string literals unescaped.
+ *
+ * This is a lexer, not a parser: it understands enough of Trino's syntax
+ * (string literals, quoted identifiers, `--` and `/* *\/` comments) to never
+ * mistake their contents for keywords or statement separators.
+ */
+export const tokenize = (sql) => {
+  const tokens = [];
+  const push = (type, start, end, value = sql.slice(start, end)) => {
+    tokens.push({ type, value, text: sql.slice(start, end), start, end });
+  };
+
+  let i = 0;
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    if (/\s/.test(ch)) {
+      i += 1;
+    } else if (ch === '-' && next === '-') {
+      while (i < sql.length && sql[i] !== '\n') i += 1;
+    } else if (ch === '/' && next === '*') {
+      const close = sql.indexOf('*/', i + 2);
+      i = close === -1 ? sql.length : close + 2;
+    } else if (ch === "'" || ((ch === 'U' || ch === 'u') && next === '&' && sql[i + 2] === "'")) {
+      // Plain and Unicode (U&'...') string literals
+      const quoteAt = ch === "'" ? i : i + 2;
+      const end = skipQuoted(sql, quoteAt, "'");
+      push(TokenType.STRING, i, end, sql.slice(quoteAt + 1, end - 1).replace(/''/g, "'"));
+      i = end;
+    } else if (ch === '"' || ch === '`') {
+      const end = skipQuoted(sql, i, ch);
+      const name = sql.slice(i + 1, end - 1).replaceAll(ch + ch, ch);
+      push(TokenType.QUOTED_IDENTIFIER, i, end, name.toLowerCase());
+      i = end;
+    } else if (WORD_START.test(ch)) {
+      let end = i + 1;
+      while (end < sql.length && WORD_CHAR.test(sql[end])) end += 1;
+      push(TokenType.WORD, i, end, sql.slice(i, end).toLowerCase());
+      i = end;
+    } else if (/\d/.test(ch) || (ch === '.' && /\d/.test(next || ''))) {
+      const match = /^(\d*\.?\d+|\d+\.)([eE][+-]?\d+)?/.exec(sql.slice(i));
+      push(TokenType.NUMBER, i, i + match[0].length);
+      i += match[0].length;
+    } else if (ch === '?') {
+      push(TokenType.PARAMETER, i, i + 1);
+      i += 1;
+    } else if (PUNCTUATION.has(ch)) {
+      push(TokenType.PUNCTUATION, i, i + 1);
+      i += 1;
+    } else if (OPERATOR_CHARS.test(ch)) {
+      let end = i + 1;
+      // `--` and `/*` always start comments, even inside an operator run
+      while (end < sql.length && OPERATOR_CHARS.test(sql[end])
+        && !(sql[end] === '-' && sql[end + 1] === '-')
+        && !(sql[end] === '/' && sql[end + 1] === '*')) {
+        end += 1;
+      }
+      push(TokenType.OPERATOR, i, end);
+      i = end;
+    } else {
+      push(TokenType.OPERATOR, i, i + 1);
+      i += 1;
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Split a script into statements on semicolons outside string literals,
+ * quoted identifiers and comments. Returns `[{ sql, start, end, tokens }]`
+ * for each non-empty statement; `sql` is its trimmed source text (comments
+ * inside it are kept).
+ */
+export const splitStatements = (sql) => {
+  const statements = [];
+  let current = [];
+
+  const flush = () => {
+    if (current.length) {
+      const start = current[0].start;
+      const end = current.at(-1).end;
+      statements.push({ sql: sql.slice(start, end), start, end, tokens: current });
+    }
+    current = [];
+  };
+
+  for (const token of tokenize(sql)) {
+    if (token.type === TokenType.PUNCTUATION && token.value === ';') {
+      flush();
+    } else {
+      current.push(token);
+    }
+  }
+  flush();
+
+  return statements;
+};
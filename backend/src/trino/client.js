@@ -0,0 +1,173 @@
+import { Trino } from 'trino-client';
+
+const TRINO_HOST = process.env.TRINO_HOST || 'trino';
+const TRINO_PORT = process.env.TRINO_PORT || '8080';
+const TRINO_URL = `https://${TRINO_HOST}:${TRINO_PORT}`;
+// Where browsers reach the Trino Web UI, when not at the address the backend uses
+const TRINO_WEB_UI_URL = process.env.TRINO_WEB_UI_URL?.replace(/\/+$/, '') || null;
+
+/**
+ * Create a Trino client that runs queries as the given principal,
+ * forwarding the caller's bearer token so Trino authenticates it itself.
+ * Queries for a service account (`service` is its name) get their own
+ * source and `service-account` / `service:<name>` client tags.
+ * `settings` (see parseSessionSettings) overrides the default catalog and
+ * schema and adds session properties, a time zone and client tags.
+ */
+export const createTrinoClient = ({ token, user, service = null, settings = null }) => {
+  const extraHeaders = {
+    'Authorization': `Bearer ${token}`,
+    'X-Trino-User': user
+  };
+  const clientTags = service ? ['service-account', `service:${service}`] : [];
+  clientTags.push(...(settings?.clientTags || []));
+  if (clientTags.length) {
+    extraHeaders['X-Trino-Client-Tags'] = clientTags.join(',');
+  }
+  if (settings?.timeZone) {
+    extraHeaders['X-Trino-Time-Zone'] = settings.timeZone;
+  }
+
+  // trino-client sends session property values as given; Trino expects them URL-encoded
+  const session = Object.fromEntries(
+    Object.entries(settings?.properties || {}).map(([name, value]) => [name, encodeURIComponent(value)]),
+  );
+
+  // A catalog picked by the request doesn't get the default catalog's schema
+  const catalog = settings?.catalog || process.env.TRINO_CATALOG || 'tpch';
+  const schema = settings?.catalog ? settings.schema : process.env.TRINO_SCHEMA || 'sf1';
+
+  return Trino.create({
+    server: TRINO_URL,
+    catalog,
+    schema: schema || undefined,
+    source: service ? 'trino-oauth-demo-service' : 'trino-oauth-demo',
+    user: user,
+    session,
+    extraHeaders,
+  });
+};
+
+/**
+ * Fetch the coordinator's /v1/info (version, uptime and whether it is still
+ * `starting`). The endpoint needs no authentication, so it is used to check
+ * Trino is up without running a query as anyone.
+ */
+export const fetchServerInfo = async ({ timeoutMs }) => {
+  const response = await fetch(`${TRINO_URL}/v1/info`, {
+    headers: { 'Accept': 'application/json' },
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!response.ok) {
+    throw new Error(`Trino /v1/info returned ${response.status}`);
+  }
+  return response.json();
+};
+
+const PREPARED_STATEMENT_NAME = 'api_statement';
+
+/**
+ * Build a trino-client query that runs `sql` as a prepared statement.
+ * The statement travels in the X-Trino-Prepared-Statement header (as the
+ * Trino JDBC driver does), so only `EXECUTE ... USING` with the already
+ * rendered parameter literals is sent as query text.
+ */
+export const preparedQuery = (sql, literals) => ({
+  query: literals.length
+    ? `EXECUTE ${PREPARED_STATEMENT_NAME} USING ${literals.join(', ')}`
+    : `EXECUTE ${PREPARED_STATEMENT_NAME}`,
+  extraHeaders: {
+    'X-Trino-Prepared-Statement': `${PREPARED_STATEMENT_NAME}=${encodeURIComponent(sql)}`,
+  },
+});
+
+/**
+ * Error for a query that Trino accepted but reported as failed
+ */
+export class TrinoQueryError extends Error {
+  constructor(queryId, error) {
+    super(error.message);
+    this.name = 'TrinoQueryError';
+    this.queryId = queryId;
+    this.trinoError = error;
+  }
+}
+
+/**
+ * Column metadata as returned to API clients: name, Trino type, and the
+ * structured type signature (needed to render nested ARRAY/MAP/ROW values)
+ */
+export const describeColumns = (columns) => {
+  if (!columns) return null;
+  return columns.map(({ name, type, typeSignature }) => ({ name, type, typeSignature }));
+};
+
+/**
+ * The progress figures Trino reports on every page of a query: its state,
+ * splits, rows and bytes processed so far and where the time went. Null
+ * until Trino has reported any.
+ */
+export const describeStats = (stats) => {
+  if (!stats) return null;
+  return {
+    state: stats.state,
+    queued: stats.queued,
+    scheduled: stats.scheduled,
+    progressPercentage: stats.progressPercentage ?? null,
+    nodes: stats.nodes,
+    totalSplits: stats.totalSplits,
+    queuedSplits: stats.queuedSplits,
+    runningSplits: stats.runningSplits,
+    completedSplits: stats.completedSplits,
+    processedRows: stats.processedRows,
+    processedBytes: stats.processedBytes,
+    physicalInputBytes: stats.physicalInputBytes,
+    peakMemoryBytes: stats.peakMemoryBytes,
+    spilledBytes: stats.spilledBytes,
+    elapsedTimeMillis: stats.elapsedTimeMillis,
+    cpuTimeMillis: stats.cpuTimeMillis,
+    wallTimeMillis: stats.wallTimeMillis,
+    queuedTimeMillis: stats.queuedTimeMillis,
+  };
+};
+
+/**
+ * Link to a query's page in the Trino Web UI: the `infoUri` Trino reported,
+ * or on TRINO_WEB_UI_URL when browsers reach Trino elsewhere
+ */
+export const queryInfoUrl = (trinoQueryId, infoUri) => {
+  if (!trinoQueryId) return null;
+  if (TRINO_WEB_UI_URL) return `${TRINO_WEB_UI_URL}/ui/query.html?${trinoQueryId}`;
+  return infoUri || null;
+};
+
+/**
+ * Run a query (SQL text or a trino-client query object) to completion and
+ * collect all of its rows and its final stats. Only suitable for small results such as metadata lookups.
+ */
+export const executeQuery = async (client, sql) => {
+  const iterator = await client.query(sql);
+  const rows = [];
+  let columns = null;
+  let queryId = null;
+  let stats = null;
+
+  for await (const queryResult of iterator) {
+    queryId = queryResult.id;
+    stats = queryResult.stats || stats;
+    if (queryResult.error) {
+      throw new TrinoQueryError(queryResult.id, queryResult.error);
+    }
+    columns = columns || describeColumns(queryResult.columns);
+    if (queryResult.data) {
+      rows.push(...queryResult.data);
+    }
+  }
+
+  return { queryId, columns: columns || [], rows, stats };
+};
+
+/**
+ * Quote a SQL identifier (catalog, schema, table) for safe interpolation
+ */
+export const quoteIdentifier = (name) => `"${String(name).replace(/"/g, '""')}"`;
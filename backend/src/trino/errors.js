@@ -0,0 +1,126 @@
+import { TrinoQueryError } from './client.js';
+
+// Trino's error types (io.trino.spi.ErrorType) and what they mean for the caller
+const ERROR_TYPE_CLASSES = {
+  USER_ERROR: { status: 400, code: 'query_error', error: 'Query Error' },
+  INSUFFICIENT_RESOURCES: { status: 503, code: 'insufficient_resources', error: 'Insufficient Resources' },
+  EXTERNAL: { status: 502, code: 'external_error', error: 'External System Error' },
+  INTERNAL_ERROR: { status: 500, code: 'trino_internal_error', error: 'Trino Internal Error' },
+};
+
+// User errors that callers are expected to handle differently from the rest
+const ERROR_NAME_CLASSES = {
+  SYNTAX_ERROR: { status: 400, code: 'syntax_error', error: 'Syntax Error' },
+  PERMISSION_DENIED: { status: 403, code: 'permission_denied', error: 'Access Denied' },
+  USER_CANCELED: { status: 409, code: 'query_canceled', error: 'Query Canceled' },
+};
+
+// Connection failures talking to the coordinator
+const NETWORK_ERROR_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'ECONNABORTED']);
+
+const INTERNAL_ERROR = {
+  status: 500,
+  code: 'internal_error',
+  error: 'Query Execution Failed',
+  message: 'An error occurred while executing the query',
+};
+
+const fromTrinoError = (trinoError, queryId) => {
+  const errorClass = ERROR_NAME_CLASSES[trinoError.errorName]
+    || ERROR_TYPE_CLASSES[trinoError.errorType]
+    || ERROR_TYPE_CLASSES.INTERNAL_ERROR;
+  const { lineNumber, columnNumber } = trinoError.errorLocation || {};
+
+  return {
+    ...errorClass,
+    message: trinoError.message,
+    queryId,
+    errorName: trinoError.errorName ?? null,
+    errorType: trinoError.errorType ?? null,
+    errorCode: trinoError.errorCode ?? null,
+    location: lineNumber ? { line: lineNumber, column: columnNumber ?? 1 } : null,
+  };
+};
+
+// trino-client talks to the coordinator with axios, so HTTP and network
+// failures arrive as axios errors carrying `response.status` or a socket error `code`
+const fromTransportError = (error) => {
+  const status = error.response?.status;
+  if (status === 401) {
+    return {
+      status: 401,
+      code: 'trino_unauthorized',
+      error: 'Authentication Failed',
+      message: 'Trino rejected the access token. Please log in again.',
+    };
+  }
+  if (status === 403) {
+    return {
+      status: 403,
+      code: 'trino_forbidden',
+      error: 'Authorization Failed',
+      message: 'Trino did not accept the token for this request (check its audience and permissions).',
+    };
+  }
+  if (status) {
+    return {
+      status: 502,
+      code: 'trino_unavailable',
+      error: 'Trino Unavailable',
+      message: `Trino answered with HTTP ${status}`,
+    };
+  }
+  if (NETWORK_ERROR_CODES.has(error.code)) {
+    return {
+      status: 503,
+      code: 'trino_unavailable',
+      error: 'Trino Unavailable',
+      message: `Cannot reach Trino (${error.code})`,
+    };
+  }
+  return null;
+};
+
+/**
+ * Map anything that went wrong running a query to the error schema the API
+ * answers with, and the HTTP status that goes with it:
+ *
+ *   { error, code, message, queryId, errorName, errorType, errorCode, location }
+ *
+ * `error` is a short title and `code` a stable identifier (`syntax_error`,
+ * `permission_denied`, `query_error`, `trino_unavailable`...). Failures
+ * Trino reported keep its error name, type and numeric code, and `location`
+ * is the `{ line, column }` (1-based) the failure points at, when known.
+ * Failures reported by Trino are 4xx for user errors and 5xx otherwise;
+ * anything unrecognized becomes a 500 with a generic message, so internals
+ * (messages, stacks) stay in the server log.
+ *
+ * `error` may be a TrinoQueryError, the `error` of a Trino query result or
+ * an error thrown while talking to Trino.
+ */
+export const describeQueryError = (error, queryId = null) => {
+  let body;
+  if (error instanceof TrinoQueryError) {
+    body = fromTrinoError(error.trinoError, error.queryId ?? queryId);
+  } else if (error?.errorName) {
+    body = fromTrinoError(error, queryId);
+  } else {
+    body = { ...(fromTransportError(error ?? {}) || INTERNAL_ERROR), queryId };
+  }
+
+  const { status, error: title, code, message, ...details } = body;
+  return {
+    status,
+    body: {
+      error: title,
+      code,
+      message,
+      queryId: null,
+      errorName: null,
+      errorType: null,
+      errorCode: null,
+      location: null,
+      ...details,
+    },
+  };
+};
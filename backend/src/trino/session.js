@@ -0,0 +1,97 @@
+import { tokenize, TokenType } from '../sql/tokenizer.js';
+
+const CATALOG_HEADER = 'X-Trino-Catalog';
+const SCHEMA_HEADER = 'X-Trino-Schema';
+const SESSION_HEADER = 'X-Trino-Session';
+const PREPARED_STATEMENT_HEADER = 'X-Trino-Prepared-Statement';
+
+// `name=value,name=value` header lists; values are URL-encoded, so commas only separate entries
+const parseList = (header) => {
+  const entries = new Map();
+  for (const entry of (header || '').split(',')) {
+    const separator = entry.indexOf('=');
+    if (separator > 0) {
+      entries.set(entry.slice(0, separator).trim().toLowerCase(), entry.slice(separator + 1).trim());
+    }
+  }
+  return entries;
+};
+
+const formatList = (entries) => [...entries].map(([name, value]) => `${name}=${value}`).join(',');
+
+// Lowercased words and identifiers of a statement, without punctuation
+const wordsOf = (sql) => tokenize(sql)
+  .filter((token) => token.type === TokenType.WORD || token.type === TokenType.QUOTED_IDENTIFIER)
+  .map((token) => token.value.toLowerCase());
+
+/**
+ * Session state shared by statements run one after another on one Trino
+ * client: the current catalog and schema (`USE`), session properties
+ * (`SET SESSION` / `RESET SESSION`) and prepared statements (`PREPARE` /
+ * `DEALLOCATE PREPARE`).
+ *
+ * Trino hands these back in response headers for the client to send with
+ * later statements. trino-client keeps them in its request headers, but only
+ * remembers the latest `SET SESSION` and drops every property on `RESET
+ * SESSION`, so the state is kept here and written back to the client before
+ * each statement (`apply`), then updated from it afterwards (`update`).
+ */
+export class TrinoSession {
+  constructor(trino) {
+    // trino-client has no public API for its session headers
+    this.config = trino.client.clientConfig;
+    const headers = this.config.headers || {};
+    this.catalog = headers[CATALOG_HEADER] || null;
+    this.schema = headers[SCHEMA_HEADER] || null;
+    this.properties = parseList(headers[SESSION_HEADER]);
+    this.prepared = parseList(headers[PREPARED_STATEMENT_HEADER]);
+  }
+
+  /**
+   * Send the session's state with the next statement
+   */
+  apply() {
+    const headers = { ...this.config.headers };
+    const set = (name, value) => {
+      if (value) headers[name] = value;
+      else delete headers[name];
+    };
+    set(CATALOG_HEADER, this.catalog);
+    set(SCHEMA_HEADER, this.schema);
+    set(SESSION_HEADER, formatList(this.properties));
+    set(PREPARED_STATEMENT_HEADER, formatList(this.prepared));
+    this.config.headers = headers;
+  }
+
+  /**
+   * Take in what running `sql` changed. Properties and prepared statements
+   * Trino added are merged in; the ones it removed are taken from the
+   * statement itself, since trino-client doesn't keep track of them.
+   */
+  update(sql) {
+    const headers = this.config.headers || {};
+    this.catalog = headers[CATALOG_HEADER] || this.catalog;
+    this.schema = headers[SCHEMA_HEADER] || this.schema;
+    for (const [name, value] of parseList(headers[SESSION_HEADER])) this.properties.set(name, value);
+    for (const [name, value] of parseList(headers[PREPARED_STATEMENT_HEADER])) this.prepared.set(name, value);
+
+    const words = wordsOf(sql);
+    if (words[0] === 'reset' && words[1] === 'session' && words[2] !== 'authorization') {
+      this.properties.delete(words.slice(2).join('.'));
+    } else if (words[0] === 'deallocate' && words[1] === 'prepare') {
+      this.prepared.delete(words[2]);
+    }
+  }
+
+  /**
+   * Current state, for showing to the user
+   */
+  describe() {
+    return {
+      catalog: this.catalog,
+      schema: this.schema,
+      properties: Object.fromEntries([...this.properties].map(([name, value]) => [name, decodeURIComponent(value)])),
+      preparedStatements: [...this.prepared.keys()],
+    };
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Raised when a request's catalog, schema, session properties, time zone or
+ * client tags can't be used
+ */
+export class SessionSettingsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionSettingsError';
+  }
+}
+
+// Catalog and schema names travel in headers: no commas, spaces or control characters
+const NAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_-]{0,127}$/;
+const PROPERTY_NAME_PATTERN = /^[a-z0-9_]+(\.[a-z0-9_]+)?$/;
+const CLIENT_TAG_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+const UTC_OFFSET_PATTERN = /^[+-](0\d|1[0-4]):[0-5]\d$/;
+const MAX_PROPERTY_VALUE_LENGTH = 256;
+const MAX_CLIENT_TAGS = 10;
+
+// Tags the backend sets itself for service accounts; users can't claim them
+const RESERVED_TAG = /^service(-account$|:)/;
+
+const isValidTimeZone = (timeZone) => {
+  if (UTC_OFFSET_PATTERN.test(timeZone)) return true;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const readName = (value, label) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || !NAME_PATTERN.test(value)) {
+    throw new SessionSettingsError(`${label} must be a catalog or schema name (letters, digits, "_" and "-")`);
+  }
+  return value;
+};
+
+/**
+ * Parse a comma-separated list of session property names users may set
+ * (e.g. `query_max_run_time,hive.compression_codec`)
+ */
+export const parseAllowedSessionProperties = (list) => {
+  const names = (list || '').split(',').map((name) => name.trim().toLowerCase()).filter(Boolean);
+  for (const name of names) {
+    if (!PROPERTY_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid session property name "${name}"`);
+    }
+  }
+  return names;
+};
+
+/**
+ * Validate the session settings of a query request (`catalog`, `schema`,
+ * `sessionProperties`, `timeZone` and `clientTags` in `body`). Session
+ * properties must be in `allowedProperties`; their values are passed to
+ * Trino as strings, which checks them against each property's type.
+ * Returns `{ catalog, schema, properties, timeZone, clientTags }`, with
+ * null / empty values for whatever the request leaves out.
+ */
+export const parseSessionSettings = (body, { allowedProperties }) => {
+  // null, like leaving them out, means none
+  const sessionProperties = body.sessionProperties ?? {};
+  const clientTags = body.clientTags ?? [];
+  const timeZone = body.timeZone || null;
+
+  const catalog = readName(body.catalog, 'catalog');
+  const schema = readName(body.schema, 'schema');
+  if (schema && !catalog) {
+    throw new SessionSettingsError('schema requires a catalog');
+  }
+
+  if (!sessionProperties || typeof sessionProperties !== 'object' || Array.isArray(sessionProperties)) {
+    throw new SessionSettingsError('sessionProperties must be an object of property names to values');
+  }
+  const properties = {};
+  for (const [rawName, value] of Object.entries(sessionProperties)) {
+    const name = rawName.toLowerCase();
+    if (!allowedProperties.includes(name)) {
+      throw new SessionSettingsError(
+        allowedProperties.length
+          ? `Session property "${rawName}" may not be set (allowed: ${allowedProperties.join(', ')})`
+          : 'Session properties may not be set',
+      );
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      throw new SessionSettingsError(`Session property "${rawName}" must be a string, number or boolean`);
+    }
+    const text = String(value);
+    if (!text.trim() || text.length > MAX_PROPERTY_VALUE_LENGTH) {
+      throw new SessionSettingsError(`Session property "${rawName}" must have a non-empty value of at most ${MAX_PROPERTY_VALUE_LENGTH} characters`);
+    }
+    properties[name] = text;
+  }
+
+  if (timeZone !== null && (typeof timeZone !== 'string' || !isValidTimeZone(timeZone))) {
+    throw new SessionSettingsError('timeZone must be an IANA time zone (e.g. Europe/Berlin) or a UTC offset (e.g. +02:00)');
+  }
+
+  if (!Array.isArray(clientTags) || clientTags.length > MAX_CLIENT_TAGS) {
+    throw new SessionSettingsError(`clientTags must be an array of at most ${MAX_CLIENT_TAGS} tags`);
+  }
+  for (const tag of clientTags) {
+    if (typeof tag !== 'string' || !CLIENT_TAG_PATTERN.test(tag)) {
+      throw new SessionSettingsError('Client tags may only contain letters, digits, "_", ".", ":" and "-"');
+    }
+    if (RESERVED_TAG.test(tag)) {
+      throw new SessionSettingsError(`Client tag "${tag}" is reserved`);
+    }
+  }
+
+  return { catalog, schema, properties, timeZone, clientTags: [...new Set(clientTags)] };
+};
+
+/**
+ * Build `readSessionSettings(req, res)`, which validates the session
+ * settings in a query request's body (see parseSessionSettings). It returns
+ * them, or answers 400 and returns null if they are invalid.
+ */
+export const createSessionSettingsReader = ({ allowedProperties }) => (req, res) => {
+  try {
+    return parseSessionSettings(req.body, { allowedProperties });
+  } catch (error) {
+    if (!(error instanceof SessionSettingsError)) throw error;
+    res.status(400).json({
+      error: 'Bad Request',
+      message: error.message,
+      code: 'invalid_session_settings',
+    });
+    return null;
+  }
+};
@@ -1,77 +1,266 @@
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useAuth } from './auth/AuthProvider';
-import axios from 'axios';
+import { submitQuery, getQueryStatus, getQueryResults, cancelQuery } from './api/queryApi';
+import { runSavedQuery } from './api/savedQueriesApi';
+import { submitScript, getScript, cancelScript } from './api/scriptsApi';
+import { ApiError, describeApiError } from './api/client';
+import ResultsTable from './components/ResultsTable';
+import CatalogBrowser from './components/CatalogBrowser';
+import HistoryPanel from './components/HistoryPanel';
+import SavedQueriesPanel from './components/SavedQueriesPanel';
+import SchedulesPage from './components/SchedulesPage';
+import SqlEditor from './components/SqlEditor';
+import QueryProgress from './components/QueryProgress';
+import ScriptResults from './components/ScriptResults';
+import SessionSettings from './components/SessionSettings';
 import './App.css';
 
+const TERMINAL_STATES = ['FINISHED', 'FAILED', 'CANCELED'];
+
+const DEFAULT_SESSION_SETTINGS = {
+  catalog: '',
+  schema: '',
+  sessionProperties: {},
+  timeZone: '',
+  clientTags: [],
+};
+
+// Where an error `location` within a statement is in the whole script,
+// given the offset the statement starts at
+const locateInScript = (script, start, { line, column }) => {
+  const linesBefore = script.slice(0, start).split('\n');
+  const startColumn = linesBefore[linesBefore.length - 1].length + 1;
+  return {
+    line: linesBefore.length + line - 1,
+    column: line === 1 ? startColumn + column - 1 : column,
+  };
+};
+
 function App() {
-  const { user, accessToken, isAuthenticated, isLoading, error: authError, login, logout, providerName, getToken } = useAuth();
+  const { user, accessToken, isAuthenticated, isLoading, error: authError, errorCode: authErrorCode, login, logout, providers, providerName, getToken, grantOfflineAccess, canGrantOfflineAccess, delegation, sessionMode } = useAuth();
+  const [view, setView] = useState('query');
   const [query, setQuery] = useState('SELECT * FROM tpch.sf1.nation LIMIT 10');
   const [results, setResults] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  // Structured error of a failed query (see the backend's describeQueryError)
+  const [errorDetails, setErrorDetails] = useState(null);
+  const [errorLocation, setErrorLocation] = useState(null);
+  const [historyVersion, setHistoryVersion] = useState(0);
+  // Script mode runs the editor's statements one by one, each with its own results
+  const [scriptMode, setScriptMode] = useState(false);
+  const [stopOnError, setStopOnError] = useState(true);
+  const [scriptRun, setScriptRun] = useState(null);
+  // Catalog, schema, session properties, time zone and client tags sent with editor runs
+  const [sessionSettings, setSessionSettings] = useState(DEFAULT_SESSION_SETTINGS);
+
+  const activeQueryRef = useRef(null);
+  const activeScriptRef = useRef(null);
+  const editorRef = useRef(null);
 
   const MAX_QUERY_LENGTH = 10000;
+  const POLL_INTERVAL_MS = 500;
+
+  const showError = (message, details = null) => {
+    setError(message);
+    setErrorDetails(details);
+    setErrorLocation(null);
+  };
+
+  // A location no longer points at the right place once the SQL changes
+  useEffect(() => {
+    setErrorLocation(null);
+  }, [query]);
+
+  // Back from granting a schedule offline access: show how it went
+  useEffect(() => {
+    if (delegation) setView('schedules');
+  }, [delegation]);
 
-  const executeQuery = async () => {
-    const token = await getToken();
-    const idTokenFromStorage = sessionStorage.getItem('id_token');
-    const tokenToUse = idTokenFromStorage || token;
+  // The access token is the API credential; ID tokens only describe the login
+  const getRequestToken = () => getToken();
+
+  // Start a query with `submit(token)`, then page through its results while it runs.
+  // `fromEditor` says the SQL is the editor's, so error locations can be marked in it
+  const runQuery = async (submit, { fromEditor = false } = {}) => {
+    const tokenToUse = await getRequestToken();
     
-    if (!tokenToUse) {
-      setError('No authentication token available. Please log in again.');
+    // In BFF mode there is no token in the browser; the session cookie authenticates
+    if (!tokenToUse && !sessionMode) {
+      showError('No authentication token available. Please log in again.');
       return;
     }
 
-    if (!query.trim()) {
-      setError('Query cannot be empty.');
-      return;
+    setLoading(true);
+    showError(null);
+    setScriptRun(null);
+    setResults({ columns: [], data: [], rowCount: 0, complete: false, stats: null, infoUri: null });
+
+    try {
+      const { id } = await submit(tokenToUse);
+      activeQueryRef.current = id;
+
+      // Page through results while the query runs; rows are appended as pages fill
+      // up, and each poll brings Trino's latest progress
+      let page = 0;
+      while (activeQueryRef.current === id) {
+        const result = await getQueryResults(id, page, await getRequestToken());
+        if (activeQueryRef.current !== id) break;
+
+        setResults((prev) => ({
+          ...prev,
+          columns: result.columns || prev.columns,
+          data: prev.data.concat(result.data),
+          rowCount: prev.rowCount + result.data.length,
+          stats: result.stats || prev.stats,
+          infoUri: result.infoUri || prev.infoUri,
+        }));
+        page = result.nextPage;
+
+        if (!result.hasMore) {
+          if (result.state === 'FAILED') {
+            const status = await getQueryStatus(id, await getRequestToken());
+            throw new ApiError(status.error?.message || 'Query failed', undefined, null, status.error);
+          }
+          setResults((prev) => ({ ...prev, complete: true, canceled: result.state === 'CANCELED' }));
+          break;
+        }
+
+        if (!result.ready) {
+          await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+        }
+      }
+    } catch (err) {
+      setResults(null);
+      showError(describeApiError(err) || 'An error occurred while executing the query', err.details);
+      if (fromEditor) setErrorLocation(err.details?.location ?? null);
+    } finally {
+      activeQueryRef.current = null;
+      setLoading(false);
+      setHistoryVersion((version) => version + 1);
+    }
+  };
+
+  // All rows of a completed query, page by page
+  const loadAllResults = async (queryId) => {
+    const loaded = { columns: [], data: [] };
+    let page = 0;
+    for (;;) {
+      const result = await getQueryResults(queryId, page, await getRequestToken());
+      loaded.columns = result.columns || loaded.columns;
+      loaded.data = loaded.data.concat(result.data);
+      if (!result.hasMore) return loaded;
+      page = result.nextPage;
     }
+  };
 
-    if (query.length > MAX_QUERY_LENGTH) {
-      setError(`Query exceeds maximum length of ${MAX_QUERY_LENGTH} characters.`);
+  // Run a script, polling its statements and loading each one's results once it completes
+  const runScript = async (sql) => {
+    const tokenToUse = await getRequestToken();
+    if (!tokenToUse && !sessionMode) {
+      showError('No authentication token available. Please log in again.');
       return;
     }
 
     setLoading(true);
-    setError(null);
+    showError(null);
     setResults(null);
+    setScriptRun(null);
 
     try {
-      const response = await axios.post(
-        `${import.meta.env.VITE_BACKEND_URL}/api/query`,
-        { query },
-        {
-          headers: {
-            'Authorization': `Bearer ${tokenToUse}`,
-            'Content-Type': 'application/json'
+      let script = await submitScript(sql, stopOnError, sessionSettings, tokenToUse);
+      activeScriptRef.current = script.id;
+      const loaded = {};
+
+      for (;;) {
+        for (const statement of script.statements) {
+          const id = statement.query?.id;
+          if (id && !loaded[id] && TERMINAL_STATES.includes(statement.state) && statement.state !== 'FAILED') {
+            loaded[id] = await loadAllResults(id);
           }
         }
-      );
+        setScriptRun({ script, results: { ...loaded } });
+        if (TERMINAL_STATES.includes(script.state)) break;
 
-      setResults(response.data);
-    } catch (err) {
-      let errorMessage = 'An error occurred while executing the query';
-      
-      if (err.response) {
-        errorMessage = err.response.data?.message || err.response.statusText || errorMessage;
-      } else if (err.request) {
-        errorMessage = 'Cannot connect to backend server. Is it running?';
-      } else {
-        errorMessage = err.message;
+        await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+        script = await getScript(script.id, await getRequestToken());
+      }
+
+      const failed = script.statements.find((statement) => statement.query?.error?.location);
+      if (failed) {
+        setErrorLocation(locateInScript(sql, failed.start, failed.query.error.location));
       }
-      
-      setError(errorMessage);
+    } catch (err) {
+      showError(describeApiError(err) || 'An error occurred while running the script', err.details);
     } finally {
+      activeScriptRef.current = null;
       setLoading(false);
+      setHistoryVersion((version) => version + 1);
+    }
+  };
+
+  const executeQuery = (sql = query) => {
+    if (!sql.trim()) {
+      showError('Query cannot be empty.');
+      return;
+    }
+
+    if (sql.length > MAX_QUERY_LENGTH) {
+      showError(`Query exceeds maximum length of ${MAX_QUERY_LENGTH} characters.`);
+      return;
+    }
+
+    if (scriptMode) {
+      return runScript(sql);
     }
+    return runQuery((token) => submitQuery(sql, sessionSettings, token), { fromEditor: true });
+  };
+
+  const executeSavedQuery = (savedQuery, values) =>
+    runQuery((token) => runSavedQuery(savedQuery.id, values, token));
+
+  const rerunQuery = (sql) => {
+    setQuery(sql);
+    executeQuery(sql);
+  };
+
+  // Insert text at the editor's cursor (replacing any selection)
+  const insertIntoQuery = (text) => {
+    const editor = editorRef.current;
+    const start = editor?.selectionStart ?? query.length;
+    const end = editor?.selectionEnd ?? query.length;
+
+    setQuery(query.slice(0, start) + text + query.slice(end));
+    requestAnimationFrame(() => {
+      editor?.focus();
+      editor?.setSelectionRange(start + text.length, start + text.length);
+    });
   };
 
-  const sampleQueries = [
-    'SELECT * FROM tpch.sf1.nation LIMIT 10',
-    'SELECT * FROM tpch.sf1.region',
-    'SELECT n.name, r.name as region FROM tpch.sf1.nation n JOIN tpch.sf1.region r ON n.regionkey = r.regionkey',
-    'SELECT COUNT(*) as total_nations FROM tpch.sf1.nation'
-  ];
+  const cancelRunningQuery = async () => {
+    // A cancelled script keeps being polled until the backend reports it CANCELED
+    if (activeScriptRef.current) {
+      try {
+        await cancelScript(activeScriptRef.current, await getRequestToken());
+      } catch (err) {
+        showError(err.message || 'Failed to cancel the script');
+      }
+      return;
+    }
+
+    const id = activeQueryRef.current;
+    if (!id) return;
+
+    // Stop polling right away; the backend cancels the query in Trino
+    activeQueryRef.current = null;
+    setResults((prev) => prev && { ...prev, complete: true, canceled: true });
+
+    try {
+      await cancelQuery(id, await getRequestToken());
+    } catch (err) {
+      showError(err.message || 'Failed to cancel the query');
+    }
+  };
 
   // Show loading state while auth is initializing
   if (isLoading) {
@@ -83,6 +272,23 @@ function App() {
   }
 
   // Show auth error if present
+  if (authErrorCode && window.location.pathname === '/callback') {
+    return (
+      <div className="app">
+        <div className="app-main">
+          <div className="error-box" style={{ margin: '2rem' }}>
+            <h3>🛑 Login Rejected: Invalid ID Token</h3>
+            <p>{authError}</p>
+            <p><small>Check failed: <code>{authErrorCode}</code></small></p>
+            <button onClick={() => { window.location.href = '/'; }} className="btn btn-primary">
+              Back to Login
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   if (authError && window.location.pathname === '/callback') {
     return (
       <div className="app">
@@ -101,6 +307,16 @@ function App() {
     <div className="app">
       <header className="app-header">
         <h1>🔐 Trino OAuth Demo</h1>
+        {isAuthenticated && (
+          <nav className="app-nav">
+            <button className={`btn btn-small${view === 'query' ? ' active' : ''}`} onClick={() => setView('query')}>
+              Query
+            </button>
+            <button className={`btn btn-small${view === 'schedules' ? ' active' : ''}`} onClick={() => setView('schedules')}>
+              Schedules
+            </button>
+          </nav>
+        )}
         <div className="auth-info">
           {isAuthenticated ? (
             <>
@@ -112,9 +328,11 @@ function App() {
               </button>
             </>
           ) : (
-            <button onClick={login} className="btn btn-primary">
-              Login with {providerName}
-            </button>
+            providers.map((provider) => (
+              <button key={provider.id} onClick={() => login(provider.id)} className="btn btn-primary">
+                Login with {provider.name}
+              </button>
+            ))
           )}
         </div>
       </header>
@@ -123,103 +341,146 @@ function App() {
         {!isAuthenticated ? (
           <div className="welcome-message">
             <h2>Welcome to Trino OAuth Demo</h2>
-            <p>Please log in with {providerName} to execute queries against Trino.</p>
+            <p>Please log in with {providers.map(({ name }) => name).join(' or ')} to execute queries against Trino.</p>
             <div className="credentials-box">
               <h3>How to Configure:</h3>
-              <p>1. Copy <code>frontend/.env.example</code> to <code>frontend/.env</code></p>
-              <p>2. Set <code>VITE_OAUTH_PROVIDER</code> to: google, github, auth0, or keycloak</p>
-              <p>3. Fill in your OAuth2 credentials from your provider</p>
-              <p>4. Restart the frontend container</p>
+              <p>1. Copy <code>.env.example</code> to <code>.env</code></p>
+              <p>2. Set <code>OAUTH2_PROVIDERS</code> to one or more of: keycloak, google, github, auth0, generic</p>
+              <p>3. Fill in each provider's <code>OAUTH2_&lt;PROVIDER&gt;_*</code> credentials</p>
+              <p>4. Restart the backend; <code>VITE_OAUTH_PROVIDER</code> picks the preselected provider</p>
               <br />
-              <p><strong>Current Provider:</strong> {providerName}</p>
+              <p><strong>Available Providers:</strong> {providers.map(({ name }) => name).join(', ')}</p>
             </div>
           </div>
+        ) : view === 'schedules' ? (
+          <SchedulesPage
+            getToken={getRequestToken}
+            grantOfflineAccess={canGrantOfflineAccess ? grantOfflineAccess : null}
+            delegation={delegation}
+            currentSql={query}
+          />
         ) : (
-          <div className="query-section">
-            <div className="token-info">
-              <details>
-                <summary>🔑 Token Information</summary>
-                <div className="token-content">
-                  <p><strong>Provider:</strong> {providerName}</p>
-                  <p><strong>User:</strong> {user?.name || user?.email}</p>
-                  <p><strong>Email:</strong> {user?.email}</p>
-                  <p><strong>Subject:</strong> {user?.sub}</p>
-                  <p><strong>Token:</strong> {accessToken ? `${accessToken.substring(0, 20)}...` : 'N/A'}</p>
-                </div>
-              </details>
-            </div>
-
-            <div className="sample-queries">
-              <h3>Sample Queries:</h3>
-              <div className="query-buttons">
-                {sampleQueries.map((sq, idx) => (
-                  <button
-                    key={idx}
-                    onClick={() => setQuery(sq)}
-                    className="btn btn-small"
-                  >
-                    Query {idx + 1}
-                  </button>
-                ))}
+          <div className="workspace">
+            <CatalogBrowser
+              getToken={getRequestToken}
+              onInsert={insertIntoQuery}
+              onTemplate={setQuery}
+            />
+            <div className="query-section">
+              <div className="token-info">
+                <details>
+                  <summary>🔑 Token Information</summary>
+                  <div className="token-content">
+                    <p><strong>Provider:</strong> {providerName}</p>
+                    <p><strong>User:</strong> {user?.name || user?.email}</p>
+                    <p><strong>Email:</strong> {user?.email}</p>
+                    <p><strong>Subject:</strong> {user?.sub}</p>
+                    <p><strong>Token:</strong> {sessionMode ? 'Kept by the backend (session cookie)' : accessToken ? `${accessToken.substring(0, 20)}...` : 'N/A'}</p>
+                  </div>
+                </details>
               </div>
-            </div>
 
-            <div className="query-input">
-              <label htmlFor="query">SQL Query:</label>
-              <textarea
-                id="query"
-                value={query}
-                onChange={(e) => setQuery(e.target.value)}
-                rows={4}
-                placeholder="Enter your SQL query here..."
+              <SavedQueriesPanel
+                getToken={getRequestToken}
+                currentSql={query}
+                onLoad={setQuery}
+                onRun={executeSavedQuery}
+                disabled={loading}
               />
-              <button
-                onClick={executeQuery}
-                disabled={loading || !query.trim()}
-                className="btn btn-primary"
-              >
-                {loading ? 'Executing...' : 'Execute Query'}
-              </button>
-            </div>
 
-            {error && (
-              <div className="error-box">
-                <h3>❌ Error</h3>
-                <p>{error}</p>
-              </div>
-            )}
-
-            {results && (
-              <div className="results-section">
-                <h3>✅ Query Results</h3>
-                <p className="row-count">Rows returned: {results.rowCount}</p>
-                
-                {results.data && results.data.length > 0 ? (
-                  <div className="table-container">
-                    <table>
-                      <thead>
-                        <tr>
-                          {Object.keys(results.data[0]).map((key) => (
-                            <th key={key}>{key}</th>
-                          ))}
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {results.data.map((row, idx) => (
-                          <tr key={idx}>
-                            {Object.values(row).map((value, vidx) => (
-                              <td key={vidx}>{JSON.stringify(value)}</td>
-                            ))}
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                  </div>
-                ) : (
-                  <p>No data returned.</p>
+              <div className="query-input">
+                <SessionSettings
+                  getToken={getRequestToken}
+                  settings={sessionSettings}
+                  onChange={setSessionSettings}
+                  disabled={loading}
+                />
+                <label htmlFor="query">SQL Query:</label>
+                <SqlEditor
+                  id="query"
+                  ref={editorRef}
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  errorLocation={errorLocation}
+                  rows={4}
+                  placeholder="Enter your SQL query here..."
+                />
+                <div className="script-options">
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={scriptMode}
+                      onChange={(e) => setScriptMode(e.target.checked)}
+                      disabled={loading}
+                    />
+                    Script mode (run each statement in turn, in one session)
+                  </label>
+                  {scriptMode && (
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={stopOnError}
+                        onChange={(e) => setStopOnError(e.target.checked)}
+                        disabled={loading}
+                      />
+                      Stop on error
+                    </label>
+                  )}
+                </div>
+                <button
+                  onClick={() => executeQuery()}
+                  disabled={loading || !query.trim()}
+                  className="btn btn-primary"
+                >
+                  {loading ? 'Executing...' : scriptMode ? 'Run Script' : 'Execute Query'}
+                </button>
+                {loading && (
+                  <button onClick={cancelRunningQuery} className="btn btn-secondary">
+                    Cancel
+                  </button>
                 )}
               </div>
-            )}
+
+              <HistoryPanel
+                getToken={getRequestToken}
+                refreshKey={historyVersion}
+                onLoad={setQuery}
+                onRerun={rerunQuery}
+                disabled={loading}
+              />
+
+              {error && (
+                <div className="error-box">
+                  <h3>❌ {errorDetails?.error || 'Error'}</h3>
+                  <p>{error}</p>
+                  {errorDetails?.location && (
+                    <p className="error-location">
+                      Line {errorDetails.location.line}, column {errorDetails.location.column}
+                      {errorDetails.errorName && ` (${errorDetails.errorName})`}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {scriptRun && <ScriptResults script={scriptRun.script} results={scriptRun.results} />}
+
+              {results && (
+                <div className="results-section">
+                  <h3>
+                    {!results.complete
+                      ? '⏳ Receiving Results...'
+                      : results.canceled ? '⏹️ Query Cancelled' : '✅ Query Results'}
+                  </h3>
+                  <QueryProgress stats={results.stats} infoUri={results.infoUri} complete={results.complete} />
+                  <p className="row-count">Rows returned: {results.rowCount}</p>
+                  
+                  {results.columns.length > 0 && (
+                    <ResultsTable columns={results.columns} rows={results.data} />
+                  )}
+                  {results.complete && results.data.length === 0 && <p>No data returned.</p>}
+                </div>
+              )}
+            </div>
           </div>
         )}
       </main>
@@ -0,0 +1,105 @@
+import axios from 'axios';
+
+const DEFAULT_BACKEND_URL = 'http://localhost:3001';
+
+const backendUrl = import.meta.env.VITE_BACKEND_URL || DEFAULT_BACKEND_URL;
+
+const apiClient = axios.create({
+  baseURL: `${backendUrl}/api`,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+  timeout: 30000,
+  // Sends the session cookie in BFF mode
+  withCredentials: true,
+});
+
+let csrfToken = null;
+
+/**
+ * Remember the CSRF token of the current BFF session (null to forget it)
+ */
+export const setCsrfToken = (token) => {
+  csrfToken = token;
+};
+
+/**
+ * Headers that authenticate a request: the bearer token when there is one,
+ * otherwise the BFF session's CSRF token (the session cookie goes along automatically)
+ */
+const authHeaders = (token) => {
+  if (token) return { 'Authorization': `Bearer ${token}` };
+  return csrfToken ? { 'X-CSRF-Token': csrfToken } : {};
+};
+
+/**
+ * Error returned by the backend API, carrying the HTTP status when known,
+ * for rejected over-quota requests (429) how many seconds to wait, and the
+ * error response body as `details` (for failed queries: `code`, Trino's
+ * `errorName` and the `location` it points at)
+ */
+export class ApiError extends Error {
+  constructor(message, status, retryAfterSeconds = null, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.retryAfterSeconds = retryAfterSeconds;
+    this.details = details;
+  }
+}
+
+/**
+ * Seconds to wait before retrying, from the Retry-After header (or the
+ * backend's JSON body, if the header isn't readable cross-origin)
+ */
+const retryAfterFrom = (header, data) => {
+  const seconds = [header, data?.retryAfterSeconds]
+    .map(Number)
+    .find((value) => Number.isFinite(value) && value > 0);
+  return seconds ?? null;
+};
+
+/**
+ * Message for showing an API error to the user. Quota rejections say when
+ * the user can try again.
+ */
+export const describeApiError = (error) => {
+  if (!(error instanceof ApiError) || error.status !== 429) return error.message;
+  if (!error.retryAfterSeconds) return `${error.message} Please try again later.`;
+
+  const seconds = error.retryAfterSeconds;
+  const when = seconds < 120
+    ? `in ${seconds} second${seconds === 1 ? '' : 's'}`
+    : `at ${new Date(Date.now() + seconds * 1000).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}`;
+  return `${error.message} You can run queries again ${when}.`;
+};
+
+/**
+ * Normalize axios failures into ApiError
+ */
+const toApiError = (error) => {
+  if (error.response) {
+    const { data, status, statusText, headers } = error.response;
+    return new ApiError(data?.message || statusText, status, retryAfterFrom(headers['retry-after'], data), data);
+  }
+  if (error.request) {
+    return new ApiError('Cannot connect to backend server. Is it running?');
+  }
+  return new ApiError(error.message);
+};
+
+/**
+ * Send an authenticated request to the backend API and return the response body.
+ * `token` may be null in BFF mode, where the session cookie authenticates.
+ */
+export const apiRequest = async (config, token) => {
+  try {
+    const { data } = await apiClient.request({
+      ...config,
+      headers: authHeaders(token),
+    });
+    return data;
+  } catch (error) {
+    throw toApiError(error);
+  }
+};
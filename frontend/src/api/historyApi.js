@@ -0,0 +1,8 @@
+import { apiRequest } from './client';
+
+/**
+ * Search the current user's query history.
+ * Filters: `q` (text search), `status`, `from` / `to` (ISO timestamps), `limit`, `offset`.
+ */
+export const fetchHistory = (filters, token) =>
+  apiRequest({ method: 'GET', url: '/history', params: filters }, token);
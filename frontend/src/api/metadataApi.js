@@ -0,0 +1,44 @@
+import { apiRequest } from './client';
+
+const segment = encodeURIComponent;
+
+/**
+ * List catalogs visible to the current user
+ */
+export const listCatalogs = async (token) => {
+  const { items } = await apiRequest({ method: 'GET', url: '/catalogs' }, token);
+  return items;
+};
+
+/**
+ * List schemas in a catalog
+ */
+export const listSchemas = async (catalog, token) => {
+  const { items } = await apiRequest({
+    method: 'GET',
+    url: `/catalogs/${segment(catalog)}/schemas`,
+  }, token);
+  return items;
+};
+
+/**
+ * List tables in a schema
+ */
+export const listTables = async (catalog, schema, token) => {
+  const { items } = await apiRequest({
+    method: 'GET',
+    url: `/catalogs/${segment(catalog)}/schemas/${segment(schema)}/tables`,
+  }, token);
+  return items;
+};
+
+/**
+ * List columns of a table
+ */
+export const listColumns = async (catalog, schema, table, token) => {
+  const { items } = await apiRequest({
+    method: 'GET',
+    url: `/catalogs/${segment(catalog)}/schemas/${segment(schema)}/tables/${segment(table)}/columns`,
+  }, token);
+  return items;
+};
@@ -0,0 +1,29 @@
+import { apiRequest } from './client';
+
+/**
+ * Submit a query for asynchronous execution with the given session
+ * `settings` (catalog, schema, sessionProperties, timeZone, clientTags).
+ * Resolves to the query status, including the `id` used by the other
+ * lifecycle calls.
+ */
+export const submitQuery = (query, settings, token) =>
+  apiRequest({ method: 'POST', url: '/queries', data: { ...settings, query } }, token);
+
+/**
+ * Fetch a query's state and progress: `stats` (state, splits, rows, bytes,
+ * elapsed / CPU / queued time) and `infoUri`, its page in the Trino Web UI
+ */
+export const getQueryStatus = (id, token) =>
+  apiRequest({ method: 'GET', url: `/queries/${id}` }, token);
+
+/**
+ * Fetch one page of a query's results, along with its latest `stats` and `infoUri`
+ */
+export const getQueryResults = (id, page, token) =>
+  apiRequest({ method: 'GET', url: `/queries/${id}/results`, params: { page } }, token);
+
+/**
+ * Cancel a running query
+ */
+export const cancelQuery = (id, token) =>
+  apiRequest({ method: 'DELETE', url: `/queries/${id}` }, token);
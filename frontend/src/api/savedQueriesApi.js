@@ -0,0 +1,34 @@
+import { apiRequest } from './client';
+
+/**
+ * List saved queries visible to the current user (own and shared with their groups)
+ */
+export const listSavedQueries = async (token) => {
+  const { items } = await apiRequest({ method: 'GET', url: '/saved-queries' }, token);
+  return items;
+};
+
+/**
+ * Create a saved query
+ */
+export const createSavedQuery = (savedQuery, token) =>
+  apiRequest({ method: 'POST', url: '/saved-queries', data: savedQuery }, token);
+
+/**
+ * Replace an existing saved query (owner only)
+ */
+export const updateSavedQuery = (id, savedQuery, token) =>
+  apiRequest({ method: 'PUT', url: `/saved-queries/${id}`, data: savedQuery }, token);
+
+/**
+ * Delete a saved query (owner only)
+ */
+export const deleteSavedQuery = (id, token) =>
+  apiRequest({ method: 'DELETE', url: `/saved-queries/${id}` }, token);
+
+/**
+ * Run a saved query with parameter values. Resolves to the submitted query's
+ * status, to be followed with the regular query lifecycle calls.
+ */
+export const runSavedQuery = (id, values, token) =>
+  apiRequest({ method: 'POST', url: `/saved-queries/${id}/run`, data: { values } }, token);
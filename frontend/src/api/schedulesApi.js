@@ -0,0 +1,56 @@
+import { apiRequest } from './client';
+
+/**
+ * List the current user's schedules, each with its next run time and last run
+ */
+export const listSchedules = async (token) => {
+  const { items } = await apiRequest({ method: 'GET', url: '/schedules' }, token);
+  return items;
+};
+
+/**
+ * Create a schedule. A user's schedule only runs once it has been granted
+ * offline access (see delegateSchedule).
+ */
+export const createSchedule = (schedule, token) =>
+  apiRequest({ method: 'POST', url: '/schedules', data: schedule }, token);
+
+/**
+ * Replace an existing schedule
+ */
+export const updateSchedule = (id, schedule, token) =>
+  apiRequest({ method: 'PUT', url: `/schedules/${id}`, data: schedule }, token);
+
+/**
+ * Let a schedule run on the user's behalf: `grant` is the `{ code,
+ * codeVerifier, redirectUri }` of the login made with the provider's
+ * delegation scope, which the backend redeems for an offline refresh token
+ */
+export const delegateSchedule = (id, grant, token) =>
+  apiRequest({ method: 'POST', url: `/schedules/${id}/delegation`, data: grant }, token);
+
+/**
+ * Delete a schedule along with its snapshots
+ */
+export const deleteSchedule = (id, token) =>
+  apiRequest({ method: 'DELETE', url: `/schedules/${id}` }, token);
+
+/**
+ * Start a run now. Resolves to the new run, which continues in the background.
+ */
+export const runSchedule = (id, token) =>
+  apiRequest({ method: 'POST', url: `/schedules/${id}/run` }, token);
+
+/**
+ * A schedule's kept runs, newest first
+ */
+export const listScheduleRuns = async (id, token) => {
+  const { items } = await apiRequest({ method: 'GET', url: `/schedules/${id}/runs` }, token);
+  return items;
+};
+
+/**
+ * Fetch a run's result snapshot as a Blob (CSV or JSON)
+ */
+export const fetchSnapshot = (id, runId, token) =>
+  apiRequest({ method: 'GET', url: `/schedules/${id}/runs/${runId}/snapshot`, responseType: 'blob' }, token);
@@ -0,0 +1,23 @@
+import { apiRequest } from './client';
+
+/**
+ * Run a multi-statement script: its statements run in order in one Trino
+ * session, which starts out with the given session `settings`. With
+ * `stopOnError` the statements after a failed one are skipped.
+ * Resolves to the script's status, including the `id` used by the other calls.
+ */
+export const submitScript = (script, stopOnError, settings, token) =>
+  apiRequest({ method: 'POST', url: '/scripts', data: { ...settings, script, stopOnError } }, token);
+
+/**
+ * Fetch a script's state: its session and each statement's state and query
+ * status (results are paged through the statement's query)
+ */
+export const getScript = (id, token) =>
+  apiRequest({ method: 'GET', url: `/scripts/${id}` }, token);
+
+/**
+ * Cancel a running script; its remaining statements are skipped
+ */
+export const cancelScript = (id, token) =>
+  apiRequest({ method: 'DELETE', url: `/scripts/${id}` }, token);
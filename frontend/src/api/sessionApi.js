@@ -0,0 +1,9 @@
+import { apiRequest } from './client';
+
+/**
+ * Fetch what queries may set in their session settings: the default
+ * `{ catalog, schema }` and the session `properties` users may set, with
+ * their type, default and description
+ */
+export const getSessionProperties = (token) =>
+  apiRequest({ method: 'GET', url: '/session-properties' }, token);
@@ -4,11 +4,12 @@ import {
   buildAuthorizationUrl,
   parseQueryParams,
   exchangeCodeForTokens,
-  refreshAccessToken,
   verifyState,
   decodeJWT,
-  isTokenExpired,
+  oauthService,
+  IdTokenValidationError,
 } from './oauth';
+import { delegateSchedule } from '../api/schedulesApi';
 
 const AuthContext = createContext(null);
 
@@ -27,8 +28,20 @@ export const AuthProvider = ({ children }) => {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Set when login was aborted because the ID token failed validation
+  const [errorCode, setErrorCode] = useState(null);
+  // Outcome of granting a schedule offline access: { scheduleId, error }
+  const [delegation, setDelegation] = useState(null);
 
   const config = getOAuthConfig();
+  const [providers, setProviders] = useState(config.providers);
+
+  const clearAuthState = () => {
+    setUser(null);
+    setAccessToken(null);
+    setIdToken(null);
+    setIsAuthenticated(false);
+  };
 
   useEffect(() => {
     // Prevent duplicate callback execution (important for React StrictMode)
@@ -38,7 +51,11 @@ export const AuthProvider = ({ children }) => {
     if (window.location.pathname === '/callback') {
       if (!isProcessingCallback) {
         sessionStorage.setItem('processing_callback', 'true');
-        handleCallback();
+        if (oauthService.isDelegationCallback()) {
+          handleDelegationCallback();
+        } else {
+          handleCallback();
+        }
       } else {
         // Already processing, just wait
         setIsLoading(false);
@@ -49,52 +66,78 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  // Follow background refreshes, and logouts or refreshes made in other tabs
+  useEffect(() => oauthService.onAuthEvent((event) => {
+    if (event.type === 'tokens') {
+      setAccessToken(event.tokens.accessToken);
+      setIdToken(event.tokens.idToken ?? null);
+    } else if (event.type === 'logout') {
+      clearAuthState();
+    } else if (event.type === 'expired') {
+      clearAuthState();
+      setError('Session expired. Please log in again.');
+    }
+  }), []);
+
   const checkExistingAuth = async () => {
     try {
-      const storedAccessToken = sessionStorage.getItem('access_token');
-      const storedIdToken = sessionStorage.getItem('id_token');
-      const storedRefreshToken = sessionStorage.getItem('refresh_token');
-      const storedUser = sessionStorage.getItem('user');
+      await oauthService.loadConfig();
+      setProviders(config.providers);
 
-      if (storedAccessToken) {
-        const expired = isTokenExpired(storedAccessToken);
-        
-        if (!expired) {
-          setAccessToken(storedAccessToken);
-          setIdToken(storedIdToken);
-          setUser(storedUser ? JSON.parse(storedUser) : null);
-          setIsAuthenticated(true);
-        } else if (storedRefreshToken) {
-          try {
-            const refreshedTokens = await refreshAccessToken(storedRefreshToken);
-            
-            sessionStorage.setItem('access_token', refreshedTokens.accessToken);
-            if (refreshedTokens.idToken) {
-              sessionStorage.setItem('id_token', refreshedTokens.idToken);
-            }
-            if (refreshedTokens.refreshToken) {
-              sessionStorage.setItem('refresh_token', refreshedTokens.refreshToken);
-            }
-            
-            setAccessToken(refreshedTokens.accessToken);
-            setIdToken(refreshedTokens.idToken);
-            setUser(storedUser ? JSON.parse(storedUser) : null);
-            setIsAuthenticated(true);
-          } catch (error) {
-            console.error('Failed to refresh token on startup:', error);
-            sessionStorage.clear();
-          }
-        } else {
-          sessionStorage.clear();
-        }
+      // BFF mode: the session cookie is httpOnly, so ask the backend
+      if (config.sessionMode) {
+        const session = await oauthService.restoreSession();
+        setUser(session.user);
+        setIsAuthenticated(session.isAuthenticated);
+        return;
       }
+
+      // Restores (and if needed refreshes) stored tokens, then keeps them fresh
+      const auth = await oauthService.checkExistingAuth();
+      setAccessToken(auth.accessToken);
+      setIdToken(auth.idToken ?? null);
+      setUser(auth.user);
+      setIsAuthenticated(auth.isAuthenticated);
     } catch (error) {
       console.error('Error checking existing auth:', error);
     } finally {
       setIsLoading(false);
     }
-  };  const handleCallback = async () => {
+  };
+
+  // Back from granting a schedule offline access: the user is still logged
+  // in, so a failure here must leave their own tokens alone
+  const handleDelegationCallback = async () => {
+    const queryResult = parseQueryParams();
+    const stateValid = verifyState(queryResult.state);
+    const { scheduleId, codeVerifier, redirectUri } = oauthService.takeDelegation();
+    sessionStorage.removeItem('processing_callback');
+    window.history.replaceState({}, document.title, '/');
+
+    await checkExistingAuth();
+    try {
+      if (queryResult.error) {
+        throw new Error(queryResult.errorDescription || queryResult.error);
+      }
+      if (!stateValid) {
+        throw new Error('Invalid state parameter - possible CSRF attack');
+      }
+      if (!queryResult.code) {
+        throw new Error('No authorization code received');
+      }
+      await delegateSchedule(scheduleId, { code: queryResult.code, codeVerifier, redirectUri }, await getToken());
+      setDelegation({ scheduleId, error: null });
+    } catch (error) {
+      console.error('Granting offline access failed:', error);
+      setDelegation({ scheduleId, error: `Granting offline access failed: ${error.message}` });
+    }
+  };
+
+  const handleCallback = async () => {
     try {
+      await oauthService.loadConfig();
+      setProviders(config.providers);
+
       const queryResult = parseQueryParams();
       
       if (queryResult.error) {
@@ -105,7 +148,14 @@ export const AuthProvider = ({ children }) => {
         throw new Error('Invalid state parameter - possible CSRF attack');
       }
 
-      if (queryResult.code) {
+      if (queryResult.code && config.sessionMode) {
+        const { user: sessionUser } = await oauthService.startSession(queryResult.code);
+        setUser(sessionUser);
+        setIsAuthenticated(true);
+
+        sessionStorage.removeItem('processing_callback');
+        window.history.replaceState({}, document.title, '/');
+      } else if (queryResult.code) {
         const tokenResult = await exchangeCodeForTokens(queryResult.code, config);
         
         if (!tokenResult.accessToken) {
@@ -133,6 +183,10 @@ export const AuthProvider = ({ children }) => {
           
           sessionStorage.setItem('user', JSON.stringify(userInfo));
           setUser(userInfo);
+        } else {
+          // Opaque access tokens (GitHub): the backend looked the user up
+          const storedUser = sessionStorage.getItem('user');
+          setUser(storedUser ? JSON.parse(storedUser) : null);
         }
 
         setAccessToken(tokenResult.accessToken);
@@ -150,6 +204,11 @@ export const AuthProvider = ({ children }) => {
       setError(error.message);
       sessionStorage.removeItem('processing_callback');
       sessionStorage.clear();
+      // A rejected ID token stays on screen so the reason can be read
+      if (error instanceof IdTokenValidationError) {
+        setErrorCode(error.code);
+        return;
+      }
       setTimeout(() => {
         window.location.href = '/';
       }, 3000);
@@ -158,10 +217,11 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const login = async () => {
+  // Log in with the given provider (the selected one when omitted)
+  const login = async (providerId) => {
     try {
       setError(null);
-      const authUrl = await buildAuthorizationUrl(config);
+      const authUrl = await buildAuthorizationUrl(providerId);
       window.location.href = authUrl;
     } catch (error) {
       console.error('Login error:', error);
@@ -169,53 +229,31 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    sessionStorage.clear();
-    setUser(null);
-    setAccessToken(null);
-    setIdToken(null);
-    setIsAuthenticated(false);
-    window.location.href = '/';
+  const logout = async () => {
+    const { endSessionUrl } = await oauthService.logout();
+    clearAuthState();
+    // End the provider's SSO session too, so Login asks for credentials again
+    window.location.href = endSessionUrl || '/';
   };
 
+  // A valid access token (refreshed first if it has expired), or null
   const getToken = async () => {
-    if (accessToken) {
-      const expired = isTokenExpired(accessToken);
-      
-      if (!expired) {
-        return accessToken;
-      }
-      
-      const storedRefreshToken = sessionStorage.getItem('refresh_token');
-      if (storedRefreshToken) {
-        try {
-          const refreshedTokens = await refreshAccessToken(storedRefreshToken);
-          
-          sessionStorage.setItem('access_token', refreshedTokens.accessToken);
-          if (refreshedTokens.idToken) {
-            sessionStorage.setItem('id_token', refreshedTokens.idToken);
-          }
-          if (refreshedTokens.refreshToken) {
-            sessionStorage.setItem('refresh_token', refreshedTokens.refreshToken);
-          }
-          
-          setAccessToken(refreshedTokens.accessToken);
-          setIdToken(refreshedTokens.idToken);
-          
-          return refreshedTokens.accessToken;
-        } catch (error) {
-          console.error('Failed to refresh token:', error);
-          sessionStorage.clear();
-          setAccessToken(null);
-          setIdToken(null);
-          setIsAuthenticated(false);
-          setError('Session expired. Please log in again.');
-          return null;
-        }
-      }
+    try {
+      const tokens = await oauthService.getValidTokens();
+      return tokens?.accessToken ?? null;
+    } catch (error) {
+      console.error('Failed to refresh token:', error);
+      sessionStorage.clear();
+      clearAuthState();
+      setError('Session expired. Please log in again.');
+      return null;
     }
-    
-    return null;
+  };
+
+  // Send the user through the provider again to let a schedule run on their
+  // behalf; handleDelegationCallback picks up when they come back
+  const grantOfflineAccess = async (scheduleId) => {
+    window.location.href = await oauthService.buildDelegationUrl(scheduleId);
   };
 
   const value = {
@@ -225,9 +263,15 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated,
     isLoading,
     error,
+    errorCode,
     login,
     logout,
     getToken,
+    grantOfflineAccess,
+    canGrantOfflineAccess: Boolean(config.delegationScope),
+    delegation,
+    sessionMode: config.sessionMode,
+    providers,
     providerName: config.name,
   };
 
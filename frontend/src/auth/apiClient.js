@@ -9,25 +9,43 @@ const createApiClient = () => {
   const backendUrl = import.meta.env.VITE_BACKEND_URL || DEFAULT_BACKEND_URL;
   
   return axios.create({
-    baseURL: `${backendUrl}/api/oauth`,
+    baseURL: `${backendUrl}/api`,
     headers: {
       'Content-Type': 'application/json',
     },
     timeout: 10000,
+    // Lets the backend set and read the session cookie in BFF mode
+    withCredentials: true,
   });
 };
 
 const apiClient = createApiClient();
 
 /**
- * Exchange authorization code for tokens
+ * The providers users can log in with, as configured on the backend
+ * (`{ authMode, defaultProvider, providers }`; each provider has its
+ * authorization and end-session endpoints, client id and scope)
  */
-export const exchangeCodeForTokens = async (code, codeVerifier, redirectUri) => {
+export const fetchOAuthConfig = async () => {
   try {
-    const { data } = await apiClient.post('/token', {
+    const { data } = await apiClient.get('/oauth/config');
+    return data;
+  } catch (error) {
+    const message = error.response?.data?.message || error.message;
+    throw new Error(`Failed to load OAuth configuration: ${message}`);
+  }
+};
+
+/**
+ * Exchange authorization code for tokens at the given provider
+ */
+export const exchangeCodeForTokens = async (code, codeVerifier, redirectUri, provider) => {
+  try {
+    const { data } = await apiClient.post('/oauth/token', {
       code,
       codeVerifier,
       redirectUri,
+      provider,
     });
 
     return {
@@ -46,10 +64,11 @@ export const exchangeCodeForTokens = async (code, codeVerifier, redirectUri) =>
 /**
  * Refresh access token using refresh token
  */
-export const refreshAccessToken = async (refreshToken) => {
+export const refreshAccessToken = async (refreshToken, provider) => {
   try {
-    const { data } = await apiClient.post('/refresh', {
+    const { data } = await apiClient.post('/oauth/refresh', {
       refreshToken,
+      provider,
     });
 
     return {
@@ -64,3 +83,59 @@ export const refreshAccessToken = async (refreshToken) => {
     throw new Error(`Token refresh failed: ${message}`);
   }
 };
+
+/**
+ * BFF mode: exchange the authorization code for a server-side session.
+ * The backend keeps the tokens and answers with the user and a CSRF token.
+ */
+export const createSession = async (code, codeVerifier, redirectUri, provider) => {
+  try {
+    const { data } = await apiClient.post('/oauth/token', {
+      code,
+      codeVerifier,
+      redirectUri,
+      provider,
+    });
+
+    return { user: data.user, csrfToken: data.csrfToken };
+  } catch (error) {
+    const message = error.response?.data?.message || error.message;
+    throw new Error(`Token exchange failed: ${message}`);
+  }
+};
+
+/**
+ * The signed-in user as the backend sees them, or null when not signed in.
+ * Uses the session cookie in BFF mode, or the given bearer token.
+ */
+export const fetchSession = async (token) => {
+  try {
+    const { data } = await apiClient.get('/me', {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+    return { user: data.user, csrfToken: data.csrfToken };
+  } catch (error) {
+    if (error.response?.status === 401) {
+      return null;
+    }
+    const message = error.response?.data?.message || error.message;
+    throw new Error(`Session check failed: ${message}`);
+  }
+};
+
+/**
+ * Log out at the backend: it revokes the refresh token (taken from the body,
+ * or from the session in BFF mode) and ends the BFF session. Resolves to
+ * `{ revoked, endSessionUrl }`; endSessionUrl is null if the provider has none.
+ */
+export const endSession = async ({ provider, refreshToken, idToken, postLogoutRedirectUri, csrfToken }) => {
+  const { data } = await apiClient.post('/oauth/logout', {
+    provider,
+    refreshToken,
+    idToken,
+    postLogoutRedirectUri,
+  }, {
+    headers: csrfToken ? { 'X-CSRF-Token': csrfToken } : {},
+  });
+  return data;
+};
@@ -0,0 +1,108 @@
+import { jwtDecode } from 'jwt-decode';
+
+const DEFAULT_CLOCK_SKEW_SECONDS = 60;
+
+// at_hash uses the hash of the ID token's signing algorithm (OIDC Core §3.1.3.6)
+const HASH_ALGORITHMS = {
+  256: 'SHA-256',
+  384: 'SHA-384',
+  512: 'SHA-512',
+};
+
+/**
+ * Raised when the ID token returned after login fails validation.
+ * `code` names the failed check (e.g. `nonce_mismatch`, `invalid_audience`).
+ */
+export class IdTokenValidationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'IdTokenValidationError';
+    this.code = code;
+  }
+}
+
+const base64UrlEncode = (bytes) => btoa(String.fromCharCode(...bytes))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+/**
+ * at_hash: base64url of the left half of the access token's hash
+ */
+const accessTokenHash = async (accessToken, alg) => {
+  const hashName = HASH_ALGORITHMS[String(alg).slice(-3)];
+  if (!hashName) {
+    throw new IdTokenValidationError('unsupported_algorithm', `Cannot check at_hash for ID tokens signed with ${alg}`);
+  }
+  const digest = new Uint8Array(await crypto.subtle.digest(hashName, new TextEncoder().encode(accessToken)));
+  return base64UrlEncode(digest.slice(0, digest.length / 2));
+};
+
+/**
+ * Check the ID token from a code exchange against the login request
+ * (OIDC Core §3.1.3.7): nonce, issuer, audience, authorized party, issue and
+ * expiry times, and — when present — the access token hash. The signature is
+ * checked by the backend, which verifies every token against the IdP's keys.
+ * Resolves to the token's claims; throws IdTokenValidationError otherwise.
+ */
+export const validateIdToken = async (idToken, {
+  nonce,
+  issuer,
+  clientId,
+  accessToken,
+  clockSkewSeconds = DEFAULT_CLOCK_SKEW_SECONDS,
+}) => {
+  let header;
+  let claims;
+  try {
+    header = jwtDecode(idToken, { header: true });
+    claims = jwtDecode(idToken);
+  } catch {
+    throw new IdTokenValidationError('malformed_id_token', 'The ID token is not a well-formed JWT');
+  }
+
+  if (!nonce) {
+    throw new IdTokenValidationError('missing_nonce', 'No login request is pending in this tab; start the login again');
+  }
+  if (claims.nonce !== nonce) {
+    throw new IdTokenValidationError('nonce_mismatch', 'The ID token was not issued for this login request (nonce mismatch)');
+  }
+
+  // Without provider metadata (build-time fallback config) there is no issuer to compare
+  if (issuer && claims.iss !== issuer) {
+    throw new IdTokenValidationError('invalid_issuer', `The ID token was issued by "${claims.iss}", expected "${issuer}"`);
+  }
+
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(clientId)) {
+    throw new IdTokenValidationError('invalid_audience', `The ID token is not intended for this application (${clientId})`);
+  }
+  if (audiences.length > 1 && !claims.azp) {
+    throw new IdTokenValidationError('missing_azp', 'The ID token has several audiences but no authorized party (azp)');
+  }
+  if (claims.azp && claims.azp !== clientId) {
+    throw new IdTokenValidationError('invalid_azp', `The ID token was issued to "${claims.azp}", not to this application`);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.iat !== 'number') {
+    throw new IdTokenValidationError('missing_iat', 'The ID token has no issue time (iat)');
+  }
+  if (claims.iat > now + clockSkewSeconds) {
+    throw new IdTokenValidationError('invalid_iat', 'The ID token was issued in the future; check the system clock');
+  }
+  if (typeof claims.exp !== 'number') {
+    throw new IdTokenValidationError('missing_exp', 'The ID token has no expiry (exp)');
+  }
+  if (claims.exp <= now - clockSkewSeconds) {
+    throw new IdTokenValidationError('id_token_expired', 'The ID token has already expired');
+  }
+
+  if (claims.at_hash && accessToken) {
+    if (claims.at_hash !== await accessTokenHash(accessToken, header.alg)) {
+      throw new IdTokenValidationError('at_hash_mismatch', 'The access token does not belong to the ID token (at_hash mismatch)');
+    }
+  }
+
+  return claims;
+};
@@ -7,14 +7,14 @@
  * - tokenUtils.js: JWT decoding and validation utilities
  */
 
-import { oauthService, OAuthStorage } from './oauthService';
+import { oauthService } from './oauthService';
 import { decodeJWT, isTokenExpired } from './tokenUtils';
 
 // Re-export for backward compatibility with existing code
 export const getOAuthConfig = () => oauthService.getConfig();
 
-export const buildAuthorizationUrl = async () => 
-  oauthService.buildAuthorizationUrl();
+export const buildAuthorizationUrl = async (providerId) => 
+  oauthService.buildAuthorizationUrl(providerId);
 
 export const parseQueryParams = () => 
   oauthService.parseCallbackParams();
@@ -27,15 +27,13 @@ export const exchangeCodeForTokens = async (code, config) => {
   return result.tokens;
 };
 
-export const refreshAccessToken = async (refreshToken) => {
-  // Store the refresh token temporarily if needed
-  if (refreshToken) {
-    OAuthStorage.set(OAuthStorage.KEYS.REFRESH_TOKEN, refreshToken);
-  }
-  return oauthService.refreshAccessToken();
-};
+// Refreshes the stored tokens; all refreshes go through the service's refresh manager
+export const refreshAccessToken = async () => 
+  oauthService.refreshAccessToken();
 
 export { decodeJWT, isTokenExpired };
 
+export { IdTokenValidationError } from './idTokenValidator';
+
 // Export the service itself for advanced usage
 export { oauthService };
@@ -1,23 +1,108 @@
 import generatePKCE from 'oauth-pkce';
 import * as apiClient from './apiClient';
-import { isTokenExpired, extractUserInfo } from './tokenUtils';
+import { extractUserInfo } from './tokenUtils';
+import { TokenRefreshManager } from './refreshManager';
+import { IdTokenValidationError, validateIdToken } from './idTokenValidator';
+import { setCsrfToken } from '../api/client';
 
 const DEFAULT_REDIRECT_URI = 'http://localhost:5173/callback';
 const STATE_LENGTH = 32;
 const NONCE_LENGTH = 32;
 const CODE_VERIFIER_LENGTH = 128;
 
+// Display names for the build-time fallback provider
+const PROVIDER_NAMES = {
+  keycloak: 'Keycloak',
+  auth0: 'Auth0',
+  google: 'Google',
+  github: 'GitHub',
+  generic: 'OpenID Connect',
+};
+
 /**
  * OAuth Configuration
+ *
+ * The providers users can log in with are loaded at runtime from the backend
+ * (`applyRuntimeConfig`); the VITE_* values only describe a single fallback
+ * provider. VITE_OAUTH_PROVIDER picks the preselected provider.
  */
 class OAuthConfig {
   constructor() {
-    this.authorizationUrl = import.meta.env.VITE_OAUTH_AUTHORIZATION_URL;
-    this.clientId = import.meta.env.VITE_OAUTH_CLIENT_ID || 'query-app';
+    const fallbackId = import.meta.env.VITE_OAUTH_PROVIDER || 'keycloak';
+
+    this.providers = [{
+      id: fallbackId,
+      name: PROVIDER_NAMES[fallbackId] || fallbackId,
+      type: 'oidc',
+      issuer: null,
+      authorizationUrl: import.meta.env.VITE_OAUTH_AUTHORIZATION_URL,
+      endSessionUrl: null,
+      clientId: import.meta.env.VITE_OAUTH_CLIENT_ID || 'query-app',
+      scope: import.meta.env.VITE_OAUTH_SCOPE || 'openid profile email',
+      delegationScope: null,
+      authorizationParams: {},
+    }];
+    this.providerId = fallbackId;
     this.redirectUri = import.meta.env.VITE_OAUTH_REDIRECT_URI || DEFAULT_REDIRECT_URI;
-    this.scope = import.meta.env.VITE_OAUTH_SCOPE || 'openid profile email';
+    this.postLogoutRedirectUri = import.meta.env.VITE_OAUTH_POST_LOGOUT_REDIRECT_URI || `${window.location.origin}/`;
     this.responseType = 'code';
     this.usePKCE = true;
+    // BFF mode: tokens stay on the backend, the browser only gets a session cookie
+    this.sessionMode = import.meta.env.VITE_AUTH_MODE === 'bff';
+  }
+
+  applyRuntimeConfig({ providers, defaultProvider, authMode }) {
+    if (providers?.length) {
+      const preferred = import.meta.env.VITE_OAUTH_PROVIDER;
+      this.providers = providers;
+      this.providerId = providers.some(({ id }) => id === preferred) ? preferred : defaultProvider;
+    }
+    if (authMode) {
+      this.sessionMode = authMode === 'bff';
+    }
+  }
+
+  /**
+   * Select the provider to log in with (ignored if it isn't configured)
+   */
+  selectProvider(providerId) {
+    if (this.providers.some(({ id }) => id === providerId)) {
+      this.providerId = providerId;
+    }
+  }
+
+  // The selected provider's settings
+  get provider() {
+    return this.providers.find(({ id }) => id === this.providerId) || this.providers[0];
+  }
+
+  get name() {
+    return this.provider.name;
+  }
+
+  get issuer() {
+    return this.provider.issuer;
+  }
+
+  get authorizationUrl() {
+    return this.provider.authorizationUrl;
+  }
+
+  get endSessionUrl() {
+    return this.provider.endSessionUrl;
+  }
+
+  get clientId() {
+    return this.provider.clientId;
+  }
+
+  get scope() {
+    return this.provider.scope;
+  }
+
+  // Scope that grants an offline refresh token for a schedule; null if the provider can't
+  get delegationScope() {
+    return this.provider.delegationScope ?? null;
   }
 }
 
@@ -27,7 +112,10 @@ class OAuthConfig {
 class OAuthStorage {
   static KEYS = {
     STATE: 'oauth_state',
+    NONCE: 'oauth_nonce',
     CODE_VERIFIER: 'code_verifier',
+    PROVIDER: 'oauth_provider',
+    DELEGATION: 'oauth_delegation',
     ACCESS_TOKEN: 'access_token',
     ID_TOKEN: 'id_token',
     REFRESH_TOKEN: 'refresh_token',
@@ -63,8 +151,11 @@ class OAuthStorage {
 
   static saveTokens(tokens) {
     this.set(this.KEYS.ACCESS_TOKEN, tokens.accessToken);
+    // A refresh without a new ID token must not leave the old one behind
     if (tokens.idToken) {
       this.set(this.KEYS.ID_TOKEN, tokens.idToken);
+    } else {
+      this.remove(this.KEYS.ID_TOKEN);
     }
     if (tokens.refreshToken) {
       this.set(this.KEYS.REFRESH_TOKEN, tokens.refreshToken);
@@ -122,18 +213,61 @@ const generatePKCEChallenge = (length = CODE_VERIFIER_LENGTH) => {
 class OAuthService {
   constructor() {
     this.config = new OAuthConfig();
+    this.csrfToken = null;
+    this.configLoading = null;
+    this.refreshManager = new TokenRefreshManager({
+      readTokens: () => OAuthStorage.getTokens(),
+      writeTokens: (tokens) => OAuthStorage.saveTokens(tokens),
+      clearTokens: () => OAuthStorage.clear(),
+      requestRefresh: (refreshToken) => apiClient.refreshAccessToken(refreshToken, this.config.providerId),
+    });
   }
 
   /**
-   * Build authorization URL with PKCE
+   * Listen for token refreshes, logouts in other tabs and expired sessions
+   * (see TokenRefreshManager). Returns an unsubscribe function.
    */
-  async buildAuthorizationUrl() {
+  onAuthEvent(listener) {
+    return this.refreshManager.subscribe(listener);
+  }
+
+  /**
+   * Load provider settings from the backend once. If that fails the
+   * build-time VITE_* values are used instead.
+   */
+  loadConfig() {
+    if (!this.configLoading) {
+      this.configLoading = apiClient.fetchOAuthConfig()
+        .then((runtimeConfig) => this.config.applyRuntimeConfig(runtimeConfig))
+        .catch((error) => console.warn(`${error.message}; using build-time settings`))
+        // The provider chosen before the login redirect (or of the current session)
+        .then(() => this.config.selectProvider(OAuthStorage.get(OAuthStorage.KEYS.PROVIDER)));
+    }
+    return this.configLoading;
+  }
+
+  /**
+   * Build authorization URL with PKCE for the given provider
+   * (the selected one when omitted)
+   */
+  async buildAuthorizationUrl(providerId) {
+    await this.loadConfig();
+    if (providerId) {
+      this.config.selectProvider(providerId);
+    }
+    if (!this.config.authorizationUrl) {
+      throw new Error('OAuth provider configuration is unavailable. Is the backend running?');
+    }
+
     const state = generateRandomString(STATE_LENGTH);
     const nonce = generateRandomString(NONCE_LENGTH);
     
     OAuthStorage.set(OAuthStorage.KEYS.STATE, state);
+    OAuthStorage.set(OAuthStorage.KEYS.NONCE, nonce);
+    OAuthStorage.set(OAuthStorage.KEYS.PROVIDER, this.config.providerId);
 
     const params = new URLSearchParams({
+      ...this.config.provider.authorizationParams,
       client_id: this.config.clientId,
       redirect_uri: this.config.redirectUri,
       response_type: this.config.responseType,
@@ -153,6 +287,60 @@ class OAuthService {
     return `${this.config.authorizationUrl}?${params.toString()}`;
   }
 
+  /**
+   * Build the authorization URL that grants schedule `scheduleId` offline
+   * access with the logged-in provider (see takeDelegation). Only the
+   * backend ever sees the resulting refresh token.
+   */
+  async buildDelegationUrl(scheduleId) {
+    await this.loadConfig();
+    if (!this.config.delegationScope) {
+      throw new Error(`${this.config.name} cannot grant offline access`);
+    }
+
+    const state = generateRandomString(STATE_LENGTH);
+    const { codeVerifier, codeChallenge } = await generatePKCEChallenge();
+    OAuthStorage.set(OAuthStorage.KEYS.STATE, state);
+    OAuthStorage.set(OAuthStorage.KEYS.CODE_VERIFIER, codeVerifier);
+    OAuthStorage.set(OAuthStorage.KEYS.DELEGATION, scheduleId);
+
+    const params = new URLSearchParams({
+      ...this.config.provider.authorizationParams,
+      client_id: this.config.clientId,
+      redirect_uri: this.config.redirectUri,
+      response_type: this.config.responseType,
+      scope: this.config.delegationScope,
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+    });
+    return `${this.config.authorizationUrl}?${params.toString()}`;
+  }
+
+  /**
+   * Whether the callback being handled returns from buildDelegationUrl
+   * rather than from a login
+   */
+  isDelegationCallback() {
+    return Boolean(OAuthStorage.get(OAuthStorage.KEYS.DELEGATION));
+  }
+
+  /**
+   * The pending delegation's `{ scheduleId, codeVerifier, redirectUri }`,
+   * removed from storage along with its PKCE state
+   */
+  takeDelegation() {
+    const delegation = {
+      scheduleId: OAuthStorage.get(OAuthStorage.KEYS.DELEGATION),
+      codeVerifier: OAuthStorage.get(OAuthStorage.KEYS.CODE_VERIFIER),
+      redirectUri: this.config.redirectUri,
+    };
+    OAuthStorage.remove(OAuthStorage.KEYS.DELEGATION);
+    OAuthStorage.remove(OAuthStorage.KEYS.CODE_VERIFIER);
+    OAuthStorage.remove(OAuthStorage.KEYS.STATE);
+    return delegation;
+  }
+
   /**
    * Parse OAuth callback parameters
    */
@@ -175,7 +363,9 @@ class OAuthService {
   }
 
   /**
-   * Exchange authorization code for tokens
+   * Exchange authorization code for tokens. For OpenID Connect providers the
+   * ID token is validated against the login request before anything is
+   * stored; failures throw IdTokenValidationError.
    */
   async exchangeCodeForTokens(code) {
     const codeVerifier = OAuthStorage.get(OAuthStorage.KEYS.CODE_VERIFIER);
@@ -183,14 +373,29 @@ class OAuthService {
     const tokens = await apiClient.exchangeCodeForTokens(
       code,
       codeVerifier,
-      this.config.redirectUri
+      this.config.redirectUri,
+      this.config.providerId
     );
 
+    if (this.config.provider.type === 'oidc') {
+      if (!tokens.idToken) {
+        throw new IdTokenValidationError('missing_id_token', `${this.config.name} did not return an ID token`);
+      }
+      await validateIdToken(tokens.idToken, {
+        nonce: OAuthStorage.get(OAuthStorage.KEYS.NONCE),
+        issuer: this.config.issuer,
+        clientId: this.config.clientId,
+        accessToken: tokens.accessToken,
+      });
+    }
+
     // Save tokens
     OAuthStorage.saveTokens(tokens);
     
-    // Extract and save user info
-    const userInfo = extractUserInfo(tokens.idToken, tokens.accessToken);
+    // Extract and save user info. Providers with opaque access tokens
+    // (GitHub) have no claims to read, so ask the backend instead.
+    const userInfo = extractUserInfo(tokens.idToken, tokens.accessToken)
+      || (await apiClient.fetchSession(tokens.accessToken))?.user;
     if (userInfo) {
       OAuthStorage.saveUser(userInfo);
     }
@@ -198,72 +403,124 @@ class OAuthService {
     // Cleanup PKCE state
     OAuthStorage.remove(OAuthStorage.KEYS.CODE_VERIFIER);
     OAuthStorage.remove(OAuthStorage.KEYS.STATE);
+    OAuthStorage.remove(OAuthStorage.KEYS.NONCE);
 
+    this.refreshManager.schedule();
     return { tokens, user: userInfo };
   }
 
   /**
-   * Refresh access token
+   * BFF mode: keep the session's CSRF token in memory only, for backend API calls
    */
-  async refreshAccessToken() {
-    const { refreshToken } = OAuthStorage.getTokens();
-    
-    if (!refreshToken) {
-      throw new Error('No refresh token available');
+  setCsrfToken(csrfToken) {
+    this.csrfToken = csrfToken;
+    setCsrfToken(csrfToken);
+  }
+
+  /**
+   * BFF mode: exchange the authorization code for a backend session.
+   * No tokens are stored in the browser.
+   */
+  async startSession(code) {
+    const codeVerifier = OAuthStorage.get(OAuthStorage.KEYS.CODE_VERIFIER);
+
+    const { user, csrfToken } = await apiClient.createSession(
+      code,
+      codeVerifier,
+      this.config.redirectUri,
+      this.config.providerId
+    );
+    this.setCsrfToken(csrfToken);
+
+    // Cleanup PKCE state
+    OAuthStorage.remove(OAuthStorage.KEYS.CODE_VERIFIER);
+    OAuthStorage.remove(OAuthStorage.KEYS.STATE);
+    OAuthStorage.remove(OAuthStorage.KEYS.NONCE);
+
+    return { user };
+  }
+
+  /**
+   * BFF mode: ask the backend whether the session cookie is still valid
+   */
+  async restoreSession() {
+    const session = await apiClient.fetchSession();
+    if (!session) {
+      return { isAuthenticated: false, user: null };
     }
 
-    const tokens = await apiClient.refreshAccessToken(refreshToken);
-    OAuthStorage.saveTokens(tokens);
+    this.setCsrfToken(session.csrfToken);
+    return { isAuthenticated: true, user: session.user };
+  }
+
+  /**
+   * Refresh the tokens now (shared with any refresh already in flight)
+   */
+  refreshAccessToken() {
+    return this.refreshManager.refresh();
+  }
 
-    return tokens;
+  /**
+   * Stored tokens, refreshed first if they have expired; null when signed out
+   */
+  getValidTokens() {
+    return this.refreshManager.getTokens();
   }
 
   /**
-   * Check existing authentication
+   * Check existing authentication, refreshing expired tokens, and start
+   * refreshing them in the background
    */
   async checkExistingAuth() {
-    const { accessToken, refreshToken } = OAuthStorage.getTokens();
-    const user = OAuthStorage.getUser();
+    const signedOut = { isAuthenticated: false, user: null, accessToken: null };
 
-    if (!accessToken) {
-      return { isAuthenticated: false, user: null, accessToken: null };
-    }
-
-    // Check if token is expired
-    if (isTokenExpired(accessToken)) {
-      if (refreshToken) {
-        try {
-          const tokens = await this.refreshAccessToken();
-          return {
-            isAuthenticated: true,
-            user,
-            accessToken: tokens.accessToken,
-            idToken: tokens.idToken,
-          };
-        } catch (error) {
-          console.error('Failed to refresh token:', error);
-          OAuthStorage.clear();
-          return { isAuthenticated: false, user: null, accessToken: null };
-        }
-      }
-      
+    let tokens;
+    try {
+      tokens = await this.refreshManager.getTokens();
+    } catch (error) {
+      console.error('Failed to refresh token:', error);
       OAuthStorage.clear();
-      return { isAuthenticated: false, user: null, accessToken: null };
+      return signedOut;
+    }
+    if (!tokens) {
+      return signedOut;
     }
 
+    this.refreshManager.schedule();
     return {
       isAuthenticated: true,
-      user,
-      accessToken,
-      idToken: OAuthStorage.get(OAuthStorage.KEYS.ID_TOKEN),
+      user: OAuthStorage.getUser(),
+      accessToken: tokens.accessToken,
+      idToken: tokens.idToken,
     };
   }
 
   /**
-   * Logout and clear all stored data
+   * Logout: revoke the refresh token via the backend (ending the BFF session
+   * too), then clear all stored data. Resolves to `{ endSessionUrl }` — where
+   * to send the browser to end the provider's SSO session, or null if the
+   * provider has no end-session endpoint or the backend couldn't be reached.
    */
-  logout() {
+  async logout() {
+    const { refreshToken, idToken } = OAuthStorage.getTokens();
+    let endSessionUrl = null;
+
+    try {
+      ({ endSessionUrl } = await apiClient.endSession({
+        provider: this.config.providerId,
+        refreshToken,
+        idToken,
+        postLogoutRedirectUri: this.config.postLogoutRedirectUri,
+        csrfToken: this.csrfToken,
+      }));
+    } catch (error) {
+      console.error('Failed to log out at the backend:', error);
+    }
+
+    this.setCsrfToken(null);
     OAuthStorage.clear();
+    this.refreshManager.broadcastLogout();
+    return { endSessionUrl };
   }
 
   /**
@@ -0,0 +1,191 @@
+import { decodeJWT } from './tokenUtils';
+
+const REFRESH_MARGIN_MS = 60 * 1000;
+const EXPIRY_BUFFER_MS = 5 * 1000;
+const RETRY_DELAY_MS = 15 * 1000;
+// Floor for scheduled refreshes, so a clock skewed against the IdP can't spin
+const MIN_REFRESH_DELAY_MS = 5 * 1000;
+// setTimeout overflows for delays above 2^31 - 1 ms
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+const CHANNEL_NAME = 'trino-oauth-demo-auth';
+const LOCK_NAME = 'trino-oauth-demo-token-refresh';
+
+// Opaque tokens (GitHub) carry no expiry the browser can read
+const isJWT = (token) => typeof token === 'string' && token.split('.').length === 3;
+
+/**
+ * When the earliest of the access and ID tokens expires, and when it was
+ * issued (ms since epoch). Null when neither token is a JWT with an `exp`.
+ */
+const tokenLifetime = ({ accessToken, idToken }) => {
+  const claims = [accessToken, idToken]
+    .filter(isJWT)
+    .map(decodeJWT)
+    .filter((decoded) => typeof decoded?.exp === 'number');
+  if (!claims.length) return null;
+
+  const earliest = claims.reduce((a, b) => (b.exp < a.exp ? b : a));
+  return {
+    expiresAt: earliest.exp * 1000,
+    issuedAt: typeof earliest.iat === 'number' ? earliest.iat * 1000 : null,
+  };
+};
+
+const isExpired = (tokens) => {
+  const lifetime = tokenLifetime(tokens);
+  return Boolean(lifetime) && Date.now() >= lifetime.expiresAt - EXPIRY_BUFFER_MS;
+};
+
+// Web Locks serialize refreshes across tabs, so two tabs never spend the
+// same refresh token; without them only this tab's refreshes are deduped
+const withRefreshLock = (callback) => (
+  navigator.locks ? navigator.locks.request(LOCK_NAME, callback) : callback()
+);
+
+/**
+ * The one place browser-held tokens are refreshed.
+ *
+ * - Schedules a refresh shortly before the tokens expire (a minute, or a
+ *   quarter of their lifetime for short-lived tokens)
+ * - Concurrent refreshes share one in-flight request, so a rotating refresh
+ *   token is only spent once
+ * - New tokens and logouts are broadcast to other tabs over BroadcastChannel.
+ *   Tabs that are signed in adopt the new tokens; all tabs drop their tokens
+ *   on logout.
+ *
+ * Listeners get `{ type: 'tokens', tokens }`, `{ type: 'logout' }` or
+ * `{ type: 'expired', error }` (a background refresh failed after the
+ * tokens ran out).
+ */
+export class TokenRefreshManager {
+  constructor({ readTokens, writeTokens, clearTokens, requestRefresh, channelName = CHANNEL_NAME }) {
+    this.readTokens = readTokens;
+    this.writeTokens = writeTokens;
+    this.clearTokens = clearTokens;
+    this.requestRefresh = requestRefresh;
+    this.listeners = new Set();
+    this.inFlight = null;
+    this.timer = null;
+
+    this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(channelName) : null;
+    this.channel?.addEventListener('message', (event) => this.handleMessage(event.data));
+  }
+
+  /**
+   * Listen for token changes and logouts. Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit(event) {
+    this.listeners.forEach((listener) => listener(event));
+  }
+
+  /**
+   * Stored tokens that are still valid, refreshing them first if they have
+   * expired. Resolves to null when signed out; rejects if the refresh fails.
+   */
+  async getTokens() {
+    const tokens = this.readTokens();
+    if (!tokens.accessToken) return null;
+    return isExpired(tokens) ? this.refresh() : tokens;
+  }
+
+  /**
+   * Refresh now. Concurrent calls share a single request.
+   */
+  refresh() {
+    if (!this.inFlight) {
+      this.inFlight = this.runRefresh().finally(() => {
+        this.inFlight = null;
+      });
+    }
+    return this.inFlight;
+  }
+
+  async runRefresh() {
+    const stale = this.readTokens();
+
+    return withRefreshLock(async () => {
+      const current = this.readTokens();
+      // Another tab refreshed while we waited for the lock and shared its tokens
+      if (current.accessToken && current.accessToken !== stale.accessToken && !isExpired(current)) {
+        return current;
+      }
+      if (!current.refreshToken) {
+        throw new Error('No refresh token available');
+      }
+
+      const tokens = await this.requestRefresh(current.refreshToken);
+      this.writeTokens(tokens);
+      this.channel?.postMessage({ type: 'tokens', tokens });
+
+      const refreshed = this.readTokens();
+      this.schedule();
+      this.emit({ type: 'tokens', tokens: refreshed });
+      return refreshed;
+    });
+  }
+
+  /**
+   * (Re)arm the background refresh for the stored tokens
+   */
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const tokens = this.readTokens();
+    const lifetime = tokenLifetime(tokens);
+    if (!lifetime || !tokens.refreshToken) return;
+
+    const { expiresAt, issuedAt } = lifetime;
+    const margin = Math.min(REFRESH_MARGIN_MS, (expiresAt - (issuedAt ?? Date.now())) / 4);
+    const delay = Math.min(Math.max(expiresAt - margin - Date.now(), MIN_REFRESH_DELAY_MS), MAX_TIMER_DELAY_MS);
+    this.timer = setTimeout(() => this.refreshInBackground(), delay);
+  }
+
+  async refreshInBackground() {
+    try {
+      await this.refresh();
+    } catch (error) {
+      if (isExpired(this.readTokens())) {
+        this.stop();
+        this.clearTokens();
+        this.emit({ type: 'expired', error });
+        return;
+      }
+      // The tokens are still good for a while; try again shortly
+      console.warn('Background token refresh failed, retrying:', error.message);
+      this.timer = setTimeout(() => this.refreshInBackground(), RETRY_DELAY_MS);
+    }
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Tell the other tabs this user logged out
+   */
+  broadcastLogout() {
+    this.stop();
+    this.channel?.postMessage({ type: 'logout' });
+  }
+
+  handleMessage(message) {
+    if (message?.type === 'tokens') {
+      // Tabs that aren't signed in stay that way
+      if (!this.readTokens().accessToken) return;
+      this.writeTokens(message.tokens);
+      this.schedule();
+      this.emit({ type: 'tokens', tokens: this.readTokens() });
+    } else if (message?.type === 'logout') {
+      this.stop();
+      this.clearTokens();
+      this.emit({ type: 'logout' });
+    }
+  }
+}
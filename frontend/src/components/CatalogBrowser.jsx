@@ -0,0 +1,157 @@
+import { useEffect, useState } from 'react';
+import { listCatalogs, listSchemas, listTables, listColumns } from '../api/metadataApi';
+
+/**
+ * Quote an identifier only when Trino would need it
+ */
+const formatIdentifier = (name) =>
+  /^[a-z_][a-z0-9_]*$/.test(name) ? name : `"${name.replace(/"/g, '""')}"`;
+
+const qualifiedName = (...parts) => parts.map(formatIdentifier).join('.');
+
+/**
+ * One node of the lazily loaded tree. Children are fetched the first time the
+ * node is expanded and kept for later toggles.
+ */
+const TreeNode = ({ label, detail, icon, load, onClick, actions, initiallyExpanded = false }) => {
+  const [expanded, setExpanded] = useState(initiallyExpanded);
+  const [children, setChildren] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadChildren = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setChildren(await load());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (initiallyExpanded && load) {
+      loadChildren();
+    }
+  }, []);
+
+  const toggle = () => {
+    if (!load) return;
+    const nextExpanded = !expanded;
+    setExpanded(nextExpanded);
+
+    // Failed loads are retried on the next expand
+    if (nextExpanded && (children === null || error) && !loading) {
+      loadChildren();
+    }
+  };
+
+  return (
+    <li className="tree-node">
+      <div className="tree-row">
+        {load ? (
+          <button className="tree-toggle" onClick={toggle} aria-expanded={expanded}>
+            {expanded ? '▾' : '▸'}
+          </button>
+        ) : (
+          <span className="tree-toggle" />
+        )}
+        <span
+          className={onClick ? 'tree-label tree-label-clickable' : 'tree-label'}
+          onClick={onClick || toggle}
+          title={onClick ? 'Insert into query' : undefined}
+        >
+          {icon} {label}
+        </span>
+        {detail && <span className="tree-detail">{detail}</span>}
+        {actions}
+      </div>
+      {expanded && (
+        <ul className="tree-children">
+          {loading && <li className="tree-status">Loading...</li>}
+          {error && <li className="tree-status tree-error">{error}</li>}
+          {children?.length === 0 && <li className="tree-status">Empty</li>}
+          {children?.map((child) => <TreeNode key={child.key} {...child} />)}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+/**
+ * Collapsible catalog → schema → table → column tree.
+ * Everything is loaded on demand through the backend, as the current user.
+ */
+const CatalogBrowser = ({ getToken, onInsert, onTemplate }) => {
+  const [open, setOpen] = useState(true);
+
+  const columnNodes = async (catalog, schema, table) => {
+    const columns = await listColumns(catalog, schema, table, await getToken());
+    return columns.map((column) => ({
+      key: column.name,
+      label: column.name,
+      detail: column.type,
+      icon: '▫️',
+      onClick: () => onInsert(formatIdentifier(column.name)),
+    }));
+  };
+
+  const tableNodes = async (catalog, schema) => {
+    const tables = await listTables(catalog, schema, await getToken());
+    return tables.map((table) => {
+      const name = qualifiedName(catalog, schema, table.name);
+      return {
+        key: table.name,
+        label: table.name,
+        icon: '📄',
+        load: () => columnNodes(catalog, schema, table.name),
+        onClick: () => onInsert(name),
+        actions: (
+          <button
+            className="tree-action"
+            onClick={() => onTemplate(`SELECT * FROM ${name} LIMIT 100`)}
+            title="Replace query with SELECT * ... LIMIT 100"
+          >
+            SELECT
+          </button>
+        ),
+      };
+    });
+  };
+
+  const schemaNodes = async (catalog) => {
+    const schemas = await listSchemas(catalog, await getToken());
+    return schemas.map((schema) => ({
+      key: schema.name,
+      label: schema.name,
+      icon: '🗂️',
+      load: () => tableNodes(catalog, schema.name),
+    }));
+  };
+
+  const catalogNodes = async () => {
+    const catalogs = await listCatalogs(await getToken());
+    return catalogs.map((catalog) => ({
+      key: catalog.name,
+      label: catalog.name,
+      icon: '🗄️',
+      load: () => schemaNodes(catalog.name),
+    }));
+  };
+
+  return (
+    <aside className={open ? 'catalog-browser' : 'catalog-browser collapsed'}>
+      <button className="catalog-browser-toggle" onClick={() => setOpen(!open)}>
+        {open ? '◂ Catalogs' : '▸'}
+      </button>
+      {/* Hidden rather than unmounted so loaded branches survive collapsing */}
+      <ul className="tree-root" hidden={!open}>
+        <TreeNode label="Catalogs" icon="🌐" load={catalogNodes} initiallyExpanded />
+      </ul>
+    </aside>
+  );
+};
+
+export default CatalogBrowser;
@@ -0,0 +1,102 @@
+import { useEffect, useState } from 'react';
+import { fetchHistory } from '../api/historyApi';
+
+const PAGE_SIZE = 20;
+
+const formatDuration = (ms) => (ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`);
+
+/**
+ * The user's past queries with search, status filter, and actions to load an
+ * entry back into the editor or run it again. Reloads whenever `refreshKey` changes.
+ */
+const HistoryPanel = ({ getToken, refreshKey, onLoad, onRerun, disabled }) => {
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('');
+  const [history, setHistory] = useState({ items: [], total: 0 });
+  const [limit, setLimit] = useState(PAGE_SIZE);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+
+    // Debounce typing in the search box
+    const timer = setTimeout(async () => {
+      try {
+        const result = await fetchHistory({
+          q: search || undefined,
+          status: status || undefined,
+          limit,
+        }, await getToken());
+        if (active) {
+          setHistory(result);
+          setError(null);
+        }
+      } catch (err) {
+        if (active) setError(err.message);
+      }
+    }, 300);
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [search, status, limit, refreshKey]);
+
+  return (
+    <details className="history-panel">
+      <summary>🕘 Query History ({history.total})</summary>
+      <div className="history-content">
+        <div className="history-filters">
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search SQL or errors..."
+          />
+          <select value={status} onChange={(e) => setStatus(e.target.value)}>
+            <option value="">All statuses</option>
+            <option value="FINISHED">Finished</option>
+            <option value="FAILED">Failed</option>
+            <option value="CANCELED">Cancelled</option>
+          </select>
+        </div>
+
+        {error && <p className="history-error">{error}</p>}
+
+        <ul className="history-list">
+          {history.items.map((entry) => (
+            <li key={entry.id} className={`history-entry history-${entry.status.toLowerCase()}`}>
+              <pre className="history-sql" title={entry.sql}>{entry.sql}</pre>
+              <div className="history-meta">
+                <span>{new Date(entry.startedAt).toLocaleString()}</span>
+                <span>{entry.status}</span>
+                <span>{formatDuration(entry.durationMs)}</span>
+                <span>{entry.rowCount} rows</span>
+                {entry.trinoQueryId && <code>{entry.trinoQueryId}</code>}
+              </div>
+              {entry.error && <p className="history-error">{entry.error}</p>}
+              <div className="history-actions">
+                <button className="btn btn-small" onClick={() => onLoad(entry.sql)}>
+                  Load
+                </button>
+                <button className="btn btn-small" onClick={() => onRerun(entry.sql)} disabled={disabled}>
+                  Re-run
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        {history.items.length === 0 && !error && <p className="history-empty">No queries yet.</p>}
+
+        {history.total > history.items.length && (
+          <button className="btn btn-small" onClick={() => setLimit(limit + PAGE_SIZE)}>
+            Show more
+          </button>
+        )}
+      </div>
+    </details>
+  );
+};
+
+export default HistoryPanel;
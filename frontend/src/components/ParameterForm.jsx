@@ -0,0 +1,81 @@
+import { useState } from 'react';
+
+const INPUT_TYPES = {
+  tinyint: 'number',
+  smallint: 'number',
+  integer: 'number',
+  bigint: 'text',
+  double: 'number',
+  decimal: 'text',
+  date: 'date',
+  timestamp: 'datetime-local',
+  varchar: 'text',
+};
+
+const initialValue = (parameter) => {
+  if (parameter.default === null || parameter.default === undefined) {
+    return parameter.type === 'boolean' ? 'false' : '';
+  }
+  return String(parameter.default);
+};
+
+/**
+ * Form generated from saved query parameter definitions.
+ * Values are submitted as strings (booleans as "true"/"false"); the backend
+ * validates and converts them according to each parameter's type.
+ */
+const ParameterForm = ({ parameters, onSubmit, onCancel, submitLabel = 'Run', disabled }) => {
+  const [values, setValues] = useState(() =>
+    Object.fromEntries(parameters.map((parameter) => [parameter.name, initialValue(parameter)]))
+  );
+
+  const setValue = (name, value) => setValues((prev) => ({ ...prev, [name]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(values);
+  };
+
+  return (
+    <form className="parameter-form" onSubmit={handleSubmit}>
+      {parameters.map((parameter) => (
+        <label key={parameter.name} className="parameter-field">
+          <span>
+            {parameter.label || parameter.name}
+            {parameter.required && ' *'}
+            <small> ({parameter.type})</small>
+          </span>
+          {parameter.type === 'boolean' ? (
+            <select
+              value={values[parameter.name]}
+              onChange={(e) => setValue(parameter.name, e.target.value)}
+            >
+              <option value="true">true</option>
+              <option value="false">false</option>
+            </select>
+          ) : (
+            <input
+              type={INPUT_TYPES[parameter.type] || 'text'}
+              step={parameter.type === 'double' ? 'any' : undefined}
+              value={values[parameter.name]}
+              required={parameter.required && parameter.default === null}
+              onChange={(e) => setValue(parameter.name, e.target.value)}
+            />
+          )}
+        </label>
+      ))}
+      <div className="parameter-actions">
+        <button type="submit" className="btn btn-primary btn-compact" disabled={disabled}>
+          {submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" className="btn btn-small" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default ParameterForm;
@@ -0,0 +1,86 @@
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+const formatBytes = (bytes) => {
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < BYTE_UNITS.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${BYTE_UNITS[unit]}`;
+};
+
+const formatDuration = (ms) => {
+  if (ms < 1000) return `${ms} ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+  return `${Math.floor(ms / 60000)} m ${Math.round((ms % 60000) / 1000)} s`;
+};
+
+const formatCount = (count) => (count ?? 0).toLocaleString();
+
+/**
+ * Progress of a running (or just completed) query as Trino reports it: a
+ * progress bar and counters for splits, rows, bytes and time, plus a link to
+ * the query in the Trino Web UI. `stats` is the backend's summary of Trino's
+ * query stats; the bar is indeterminate until Trino can estimate progress.
+ */
+const QueryProgress = ({ stats, infoUri, complete }) => {
+  if (!stats) return null;
+
+  const percentage = complete && stats.state === 'FINISHED' ? 100 : stats.progressPercentage;
+  const known = percentage !== null && percentage !== undefined;
+
+  return (
+    <div className="query-progress">
+      <div className="query-progress-header">
+        <span className={`query-state state-${stats.state?.toLowerCase()}`}>{stats.state}</span>
+        {known && <span>{Math.round(percentage)}%</span>}
+        {infoUri && (
+          <a href={infoUri} target="_blank" rel="noopener noreferrer">
+            Open in Trino UI
+          </a>
+        )}
+      </div>
+      <div
+        className={`progress-bar${known ? '' : ' indeterminate'}`}
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={known ? Math.round(percentage) : undefined}
+      >
+        <div className="progress-bar-fill" style={known ? { width: `${percentage}%` } : undefined} />
+      </div>
+      <dl className="query-progress-stats">
+        <div>
+          <dt>Splits</dt>
+          <dd>
+            {formatCount(stats.completedSplits)} / {formatCount(stats.totalSplits)}
+            {stats.runningSplits > 0 && ` (${formatCount(stats.runningSplits)} running)`}
+          </dd>
+        </div>
+        <div>
+          <dt>Rows</dt>
+          <dd>{formatCount(stats.processedRows)}</dd>
+        </div>
+        <div>
+          <dt>Data</dt>
+          <dd>{formatBytes(stats.processedBytes ?? 0)}</dd>
+        </div>
+        <div>
+          <dt>Elapsed</dt>
+          <dd>{formatDuration(stats.elapsedTimeMillis ?? 0)}</dd>
+        </div>
+        <div>
+          <dt>CPU</dt>
+          <dd>{formatDuration(stats.cpuTimeMillis ?? 0)}</dd>
+        </div>
+        <div>
+          <dt>Queued</dt>
+          <dd>{formatDuration(stats.queuedTimeMillis ?? 0)}</dd>
+        </div>
+      </dl>
+    </div>
+  );
+};
+
+export default QueryProgress;
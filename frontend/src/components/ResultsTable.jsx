@@ -0,0 +1,44 @@
+import TypedValue from './TypedValue';
+import { getTypeSignature, isNumericType } from '../utils/trinoTypes';
+
+/**
+ * Results table driven by Trino column metadata: headers come from the
+ * columns (so they show even for empty results) and each cell renders by type
+ */
+const ResultsTable = ({ columns, rows }) => {
+  const signatures = columns.map(getTypeSignature);
+
+  return (
+    <div className="table-container">
+      <table>
+        <thead>
+          <tr>
+            {columns.map((column, idx) => (
+              <th
+                key={idx}
+                className={isNumericType(signatures[idx]) ? 'numeric' : undefined}
+                title={column.type}
+              >
+                {column.name}
+                <span className="column-type">{column.type}</span>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, idx) => (
+            <tr key={idx}>
+              {row.map((value, vidx) => (
+                <td key={vidx} className={isNumericType(signatures[vidx]) ? 'numeric' : undefined}>
+                  <TypedValue value={value} signature={signatures[vidx]} />
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ResultsTable;
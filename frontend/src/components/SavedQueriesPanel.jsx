@@ -0,0 +1,137 @@
+import { useEffect, useState } from 'react';
+import {
+  listSavedQueries,
+  createSavedQuery,
+  updateSavedQuery,
+  deleteSavedQuery,
+} from '../api/savedQueriesApi';
+import ParameterForm from './ParameterForm';
+import SavedQueryForm from './SavedQueryForm';
+
+/**
+ * The user's saved queries (own and shared with their groups).
+ * Queries with parameters open a generated form before running.
+ */
+const SavedQueriesPanel = ({ getToken, currentSql, onLoad, onRun, disabled }) => {
+  const [savedQueries, setSavedQueries] = useState([]);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [running, setRunning] = useState(null);
+
+  const reload = async () => {
+    try {
+      setSavedQueries(await listSavedQueries(await getToken()));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    reload();
+  }, []);
+
+  const save = async (fields) => {
+    const token = await getToken();
+    if (editing.id) {
+      await updateSavedQuery(editing.id, fields, token);
+    } else {
+      await createSavedQuery(fields, token);
+    }
+    setEditing(null);
+    await reload();
+  };
+
+  const remove = async (savedQuery) => {
+    if (!window.confirm(`Delete saved query "${savedQuery.name}"?`)) return;
+    try {
+      await deleteSavedQuery(savedQuery.id, await getToken());
+      await reload();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const run = (savedQuery) => {
+    if (savedQuery.parameters.length === 0) {
+      onRun(savedQuery, {});
+    } else {
+      setRunning(running?.id === savedQuery.id ? null : savedQuery);
+    }
+  };
+
+  return (
+    <div className="saved-queries">
+      <div className="saved-queries-header">
+        <h3>Saved Queries:</h3>
+        <button
+          className="btn btn-small"
+          onClick={() => setEditing({ sql: currentSql })}
+          disabled={editing !== null}
+        >
+          + Save current query
+        </button>
+      </div>
+
+      {error && <p className="history-error">{error}</p>}
+
+      {editing && (
+        <SavedQueryForm
+          key={editing.id || 'new'}
+          initial={editing}
+          onSave={save}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {savedQueries.length === 0 && !error && (
+        <p className="history-empty">No saved queries yet. Write a query and save it to reuse it later.</p>
+      )}
+
+      <ul className="saved-query-list">
+        {savedQueries.map((savedQuery) => (
+          <li key={savedQuery.id} className="saved-query">
+            <div className="saved-query-summary">
+              <div>
+                <strong>{savedQuery.name}</strong>
+                {savedQuery.visibility === 'shared' && (
+                  <span className="badge" title={`Shared with ${savedQuery.group}`}>👥 {savedQuery.group}</span>
+                )}
+                {!savedQuery.canEdit && <span className="badge">by {savedQuery.owner}</span>}
+                {savedQuery.description && <p className="saved-query-description">{savedQuery.description}</p>}
+              </div>
+              <div className="history-actions">
+                <button className="btn btn-small" onClick={() => run(savedQuery)} disabled={disabled}>
+                  Run
+                </button>
+                <button className="btn btn-small" onClick={() => onLoad(savedQuery.sql)}>
+                  Load
+                </button>
+                {savedQuery.canEdit && (
+                  <>
+                    <button className="btn btn-small" onClick={() => setEditing(savedQuery)} disabled={editing !== null}>
+                      Edit
+                    </button>
+                    <button className="btn btn-small" onClick={() => remove(savedQuery)}>
+                      Delete
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+            {running?.id === savedQuery.id && (
+              <ParameterForm
+                parameters={savedQuery.parameters}
+                disabled={disabled}
+                onSubmit={(values) => onRun(savedQuery, values)}
+                onCancel={() => setRunning(null)}
+              />
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default SavedQueriesPanel;
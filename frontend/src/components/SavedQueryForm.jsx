@@ -0,0 +1,146 @@
+import { useMemo, useState } from 'react';
+import { findPlaceholderNames } from '../utils/sqlPlaceholders';
+
+const PARAMETER_TYPES = [
+  'varchar', 'bigint', 'integer', 'smallint', 'tinyint', 'double', 'decimal', 'boolean', 'date', 'timestamp',
+];
+
+const emptyParameter = (name) => ({ name, type: 'varchar', label: '', required: true, default: '' });
+
+/**
+ * Create / edit form for a saved query. Parameter rows follow the `:name`
+ * placeholders found in the SQL, so adding a placeholder adds a definition.
+ */
+const SavedQueryForm = ({ initial, onSave, onCancel }) => {
+  const [name, setName] = useState(initial.name || '');
+  const [description, setDescription] = useState(initial.description || '');
+  const [sql, setSql] = useState(initial.sql || '');
+  const [visibility, setVisibility] = useState(initial.visibility || 'private');
+  const [group, setGroup] = useState(initial.group || '');
+  const [definitions, setDefinitions] = useState(() =>
+    Object.fromEntries((initial.parameters || []).map((p) => [p.name, { ...p, label: p.label || '', default: p.default ?? '' }]))
+  );
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const placeholderNames = useMemo(() => findPlaceholderNames(sql), [sql]);
+  const parameters = placeholderNames.map((placeholder) => definitions[placeholder] || emptyParameter(placeholder));
+
+  const updateParameter = (parameterName, changes) => {
+    setDefinitions((prev) => ({
+      ...prev,
+      [parameterName]: { ...(prev[parameterName] || emptyParameter(parameterName)), ...changes },
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    try {
+      await onSave({
+        name,
+        description: description || null,
+        sql,
+        visibility,
+        group: visibility === 'shared' ? group : null,
+        parameters: parameters.map((p) => ({
+          name: p.name,
+          type: p.type,
+          label: p.label || null,
+          required: p.required,
+          default: p.default === '' ? null : p.default,
+        })),
+      });
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="saved-query-form" onSubmit={handleSubmit}>
+      <label>
+        Name
+        <input value={name} onChange={(e) => setName(e.target.value)} required maxLength={200} />
+      </label>
+      <label>
+        Description
+        <input value={description} onChange={(e) => setDescription(e.target.value)} maxLength={2000} />
+      </label>
+      <label>
+        SQL <small>(use <code>:name</code> for parameters)</small>
+        <textarea value={sql} onChange={(e) => setSql(e.target.value)} rows={4} required />
+      </label>
+
+      {parameters.length > 0 && (
+        <table className="parameter-definitions">
+          <thead>
+            <tr>
+              <th>Parameter</th>
+              <th>Type</th>
+              <th>Label</th>
+              <th>Default</th>
+              <th>Required</th>
+            </tr>
+          </thead>
+          <tbody>
+            {parameters.map((p) => (
+              <tr key={p.name}>
+                <td><code>:{p.name}</code></td>
+                <td>
+                  <select value={p.type} onChange={(e) => updateParameter(p.name, { type: e.target.value })}>
+                    {PARAMETER_TYPES.map((type) => <option key={type} value={type}>{type}</option>)}
+                  </select>
+                </td>
+                <td>
+                  <input value={p.label} onChange={(e) => updateParameter(p.name, { label: e.target.value })} />
+                </td>
+                <td>
+                  <input value={p.default} onChange={(e) => updateParameter(p.name, { default: e.target.value })} />
+                </td>
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={p.required}
+                    onChange={(e) => updateParameter(p.name, { required: e.target.checked })}
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="saved-query-visibility">
+        <label>
+          Visibility
+          <select value={visibility} onChange={(e) => setVisibility(e.target.value)}>
+            <option value="private">Private</option>
+            <option value="shared">Shared with group</option>
+          </select>
+        </label>
+        {visibility === 'shared' && (
+          <label>
+            Group
+            <input value={group} onChange={(e) => setGroup(e.target.value)} required />
+          </label>
+        )}
+      </div>
+
+      {error && <p className="history-error">{error}</p>}
+
+      <div className="parameter-actions">
+        <button type="submit" className="btn btn-primary btn-compact" disabled={saving}>
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        <button type="button" className="btn btn-small" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default SavedQueryForm;
@@ -0,0 +1,153 @@
+import { useState } from 'react';
+
+const CRON_PRESETS = [
+  ['@hourly', 'Every hour'],
+  ['0 6 * * *', 'Every day at 06:00'],
+  ['0 6 * * MON-FRI', 'Weekdays at 06:00'],
+  ['0 6 * * MON', 'Mondays at 06:00'],
+  ['0 6 1 * *', 'First of the month at 06:00'],
+];
+
+/**
+ * Create / edit form for a schedule: what to run (SQL or a saved query with
+ * parameter values), when (a cron expression in the server's time zone), the
+ * snapshot format, and how failures are retried.
+ */
+const ScheduleForm = ({ initial, savedQueries, onSave, onCancel }) => {
+  const [name, setName] = useState(initial.name || '');
+  const [description, setDescription] = useState(initial.description || '');
+  const [source, setSource] = useState(initial.savedQueryId ? 'saved' : 'sql');
+  const [sql, setSql] = useState(initial.sql || '');
+  const [savedQueryId, setSavedQueryId] = useState(initial.savedQueryId || savedQueries[0]?.id || '');
+  const [values, setValues] = useState(initial.values || {});
+  const [cron, setCron] = useState(initial.cron || '0 6 * * *');
+  const [format, setFormat] = useState(initial.format || 'csv');
+  const [enabled, setEnabled] = useState(initial.enabled ?? true);
+  const [maxRetries, setMaxRetries] = useState(initial.maxRetries ?? 2);
+  const [retryDelaySeconds, setRetryDelaySeconds] = useState(initial.retryDelaySeconds ?? 60);
+  const [historySize, setHistorySize] = useState(initial.historySize ?? '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const savedQuery = savedQueries.find(({ id }) => id === savedQueryId);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    try {
+      await onSave({
+        name,
+        description: description || null,
+        ...(source === 'sql'
+          ? { sql }
+          : { savedQueryId, values }),
+        cron,
+        format,
+        enabled,
+        maxRetries: Number(maxRetries),
+        retryDelaySeconds: Number(retryDelaySeconds),
+        historySize: historySize === '' ? null : Number(historySize),
+      });
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="saved-query-form" onSubmit={handleSubmit}>
+      <label>
+        Name
+        <input value={name} onChange={(e) => setName(e.target.value)} required maxLength={200} />
+      </label>
+      <label>
+        Description
+        <input value={description} onChange={(e) => setDescription(e.target.value)} maxLength={2000} />
+      </label>
+
+      <label>
+        Runs
+        <select value={source} onChange={(e) => setSource(e.target.value)}>
+          <option value="sql">SQL</option>
+          <option value="saved" disabled={savedQueries.length === 0}>A saved query</option>
+        </select>
+      </label>
+      {source === 'sql' ? (
+        <label>
+          SQL
+          <textarea value={sql} onChange={(e) => setSql(e.target.value)} rows={4} required />
+        </label>
+      ) : (
+        <>
+          <label>
+            Saved query <small>(its current SQL is used at every run)</small>
+            <select value={savedQueryId} onChange={(e) => setSavedQueryId(e.target.value)} required>
+              {savedQueries.map((query) => <option key={query.id} value={query.id}>{query.name}</option>)}
+            </select>
+          </label>
+          {savedQuery?.parameters.map((parameter) => (
+            <label key={parameter.name}>
+              {parameter.label || parameter.name} <small>({parameter.type})</small>
+              <input
+                value={values[parameter.name] ?? ''}
+                onChange={(e) => setValues((prev) => ({ ...prev, [parameter.name]: e.target.value }))}
+                placeholder={parameter.default ?? ''}
+                required={parameter.required && parameter.default === null}
+              />
+            </label>
+          ))}
+        </>
+      )}
+
+      <label>
+        Cron expression <small>(minute hour day-of-month month day-of-week, server time)</small>
+        <input value={cron} onChange={(e) => setCron(e.target.value)} required list="cron-presets" />
+        <datalist id="cron-presets">
+          {CRON_PRESETS.map(([expression, label]) => <option key={expression} value={expression}>{label}</option>)}
+        </datalist>
+      </label>
+
+      <div className="saved-query-visibility">
+        <label>
+          Snapshot format
+          <select value={format} onChange={(e) => setFormat(e.target.value)}>
+            <option value="csv">CSV</option>
+            <option value="json">JSON</option>
+          </select>
+        </label>
+        <label>
+          Retries
+          <input type="number" min={0} max={5} value={maxRetries} onChange={(e) => setMaxRetries(e.target.value)} />
+        </label>
+        <label>
+          Retry delay (s)
+          <input type="number" min={0} max={3600} value={retryDelaySeconds} onChange={(e) => setRetryDelaySeconds(e.target.value)} />
+        </label>
+        <label>
+          Runs kept <small>(blank: server default)</small>
+          <input type="number" min={1} max={100} value={historySize} onChange={(e) => setHistorySize(e.target.value)} />
+        </label>
+      </div>
+
+      <label className="checkbox-label">
+        <input type="checkbox" checked={enabled} onChange={(e) => setEnabled(e.target.checked)} />
+        Enabled
+      </label>
+
+      {error && <p className="history-error">{error}</p>}
+
+      <div className="parameter-actions">
+        <button type="submit" className="btn btn-primary btn-compact" disabled={saving}>
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        <button type="button" className="btn btn-small" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ScheduleForm;
@@ -0,0 +1,281 @@
+import { useEffect, useState } from 'react';
+import {
+  listSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  runSchedule,
+  listScheduleRuns,
+  fetchSnapshot,
+} from '../api/schedulesApi';
+import { listSavedQueries } from '../api/savedQueriesApi';
+import ScheduleForm from './ScheduleForm';
+
+const REFRESH_INTERVAL_MS = 15000;
+const RUNNING_REFRESH_INTERVAL_MS = 3000;
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+
+const formatBytes = (bytes) => (bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`);
+
+// The fields a schedule is saved with, so it can be re-saved with changes
+const editableFields = (schedule) => ({
+  name: schedule.name,
+  description: schedule.description,
+  sql: schedule.sql,
+  savedQueryId: schedule.savedQueryId,
+  values: schedule.values,
+  cron: schedule.cron,
+  format: schedule.format,
+  enabled: schedule.enabled,
+  maxRetries: schedule.maxRetries,
+  retryDelaySeconds: schedule.retryDelaySeconds,
+  historySize: schedule.historySize,
+});
+
+const RunSummary = ({ run }) => (
+  <div className="history-meta">
+    <span>{formatTime(run.startedAt)}</span>
+    <span>{run.state}</span>
+    {run.state !== 'RUNNING' && <span>{run.rowCount} rows{run.truncated ? ' (truncated)' : ''}</span>}
+    {run.attempts > 1 && <span>{run.attempts} attempts</span>}
+    {run.trigger === 'manual' && <span>manual</span>}
+    {run.trinoQueryId && <code>{run.trinoQueryId}</code>}
+  </div>
+);
+
+/**
+ * Scheduled queries: when each runs next and how its last run went, with
+ * past runs' snapshots to download. Users' schedules run on their behalf once
+ * granted offline access with `grantOfflineAccess(scheduleId)` (null if the
+ * provider can't), which leaves the page for the provider and comes back with
+ * `delegation` ({ scheduleId, error }).
+ */
+const SchedulesPage = ({ getToken, grantOfflineAccess, delegation, currentSql }) => {
+  const [schedules, setSchedules] = useState([]);
+  const [savedQueries, setSavedQueries] = useState([]);
+  const [error, setError] = useState(delegation?.error ?? null);
+  const [editing, setEditing] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [runs, setRuns] = useState([]);
+
+  const reload = async () => {
+    try {
+      setSchedules(await listSchedules(await getToken()));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const reloadRuns = async (id) => {
+    try {
+      setRuns(await listScheduleRuns(id, await getToken()));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    reload();
+    getToken()
+      .then(listSavedQueries)
+      .then(setSavedQueries)
+      .catch((err) => setError(err.message));
+  }, []);
+
+  // Keep next run times and outcomes current; poll faster while something runs
+  const anyRunning = schedules.some((schedule) => schedule.running);
+  useEffect(() => {
+    const timer = setInterval(() => {
+      reload();
+      if (expanded) reloadRuns(expanded);
+    }, anyRunning ? RUNNING_REFRESH_INTERVAL_MS : REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [anyRunning, expanded]);
+
+  const grant = async (schedule) => {
+    try {
+      await grantOfflineAccess(schedule.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const save = async (fields) => {
+    const token = await getToken();
+    if (editing.id) {
+      await updateSchedule(editing.id, fields, token);
+      setEditing(null);
+      await reload();
+      return;
+    }
+
+    const created = await createSchedule(fields, token);
+    setEditing(null);
+    // A new schedule of the user's can't run until they let it
+    if (created.runAs === 'user' && !created.delegated && grantOfflineAccess) {
+      await grant(created);
+      return;
+    }
+    await reload();
+  };
+
+  // Apply an action to a schedule, then show its new state
+  const act = (action) => async (schedule) => {
+    try {
+      await action(schedule, await getToken());
+      await reload();
+      if (expanded === schedule.id) await reloadRuns(schedule.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const runNow = act((schedule, token) => runSchedule(schedule.id, token));
+
+  const toggleEnabled = act(async (schedule, token) => updateSchedule(
+    schedule.id,
+    { ...editableFields(schedule), enabled: !schedule.enabled },
+    token,
+  ));
+
+  const remove = async (schedule) => {
+    if (!window.confirm(`Delete schedule "${schedule.name}" and its snapshots?`)) return;
+    await act((target, token) => deleteSchedule(target.id, token))(schedule);
+  };
+
+  const toggleRuns = (schedule) => {
+    if (expanded === schedule.id) {
+      setExpanded(null);
+      return;
+    }
+    setExpanded(schedule.id);
+    setRuns([]);
+    reloadRuns(schedule.id);
+  };
+
+  const download = async (schedule, run) => {
+    try {
+      const blob = await fetchSnapshot(schedule.id, run.id, await getToken());
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${schedule.name}-${run.startedAt}.${run.snapshot.format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="query-section schedules-page">
+      <div className="saved-queries-header">
+        <h3>Scheduled Queries:</h3>
+        <button
+          className="btn btn-small"
+          onClick={() => setEditing({ sql: currentSql })}
+          disabled={editing !== null}
+        >
+          + New schedule
+        </button>
+      </div>
+
+      {error && <p className="history-error">{error}</p>}
+
+      {editing && (
+        <ScheduleForm
+          key={editing.id || 'new'}
+          initial={editing}
+          savedQueries={savedQueries}
+          onSave={save}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {schedules.length === 0 && !error && (
+        <p className="history-empty">No schedules yet. Schedule a query to have it run on its own and keep its results.</p>
+      )}
+
+      <ul className="saved-query-list">
+        {schedules.map((schedule) => (
+          <li key={schedule.id} className="saved-query">
+            <div className="saved-query-summary">
+              <div>
+                <strong>{schedule.name}</strong>
+                <span className="badge"><code>{schedule.cron}</code></span>
+                {!schedule.enabled && <span className="badge">paused</span>}
+                {schedule.runAs === 'service' && <span className="badge">service: {schedule.service}</span>}
+                {schedule.runAs === 'user' && !schedule.delegated && <span className="badge">needs offline access</span>}
+                {schedule.description && <p className="saved-query-description">{schedule.description}</p>}
+                <p className="schedule-next-run">
+                  Next run: {schedule.enabled ? formatTime(schedule.nextRunAt) : 'paused'}
+                  {schedule.running && ' · running now'}
+                </p>
+              </div>
+              <div className="history-actions">
+                {schedule.runAs === 'user' && grantOfflineAccess && (
+                  <button
+                    className="btn btn-small"
+                    onClick={() => grant(schedule)}
+                    title="Log in again to let this schedule run on your behalf"
+                  >
+                    {schedule.delegated ? 'Renew access' : 'Grant access'}
+                  </button>
+                )}
+                <button className="btn btn-small" onClick={() => runNow(schedule)} disabled={schedule.running}>
+                  Run now
+                </button>
+                <button className="btn btn-small" onClick={() => toggleEnabled(schedule)}>
+                  {schedule.enabled ? 'Pause' : 'Resume'}
+                </button>
+                <button className="btn btn-small" onClick={() => setEditing(schedule)} disabled={editing !== null}>
+                  Edit
+                </button>
+                <button className="btn btn-small" onClick={() => remove(schedule)}>
+                  Delete
+                </button>
+              </div>
+            </div>
+
+            {schedule.lastRun ? (
+              <div className={`history-entry history-${schedule.lastRun.state.toLowerCase()}`}>
+                <strong>Last run</strong>
+                <RunSummary run={schedule.lastRun} />
+                {schedule.lastRun.error && <p className="history-error">{schedule.lastRun.error}</p>}
+              </div>
+            ) : (
+              <p className="history-empty">Not run yet.</p>
+            )}
+
+            {schedule.runCount > 0 && (
+              <button className="btn btn-small" onClick={() => toggleRuns(schedule)}>
+                {expanded === schedule.id ? 'Hide runs' : `Show runs (${schedule.runCount})`}
+              </button>
+            )}
+            {expanded === schedule.id && (
+              <ul className="history-list">
+                {runs.map((run) => (
+                  <li key={run.id} className={`history-entry history-${run.state.toLowerCase()}`}>
+                    <RunSummary run={run} />
+                    {run.error && <p className="history-error">{run.error}</p>}
+                    {run.snapshot && (
+                      <div className="history-actions">
+                        <button className="btn btn-small" onClick={() => download(schedule, run)}>
+                          Download {run.snapshot.format.toUpperCase()} ({formatBytes(run.snapshot.bytes)})
+                        </button>
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default SchedulesPage;
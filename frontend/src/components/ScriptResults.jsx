@@ -0,0 +1,75 @@
+import ResultsTable from './ResultsTable';
+import QueryProgress from './QueryProgress';
+
+const HEADINGS = {
+  RUNNING: '⏳ Running Script...',
+  FINISHED: '✅ Script Finished',
+  FAILED: '❌ Script Failed',
+  CANCELED: '⏹️ Script Cancelled',
+};
+
+// First line of a statement, shortened to fit a panel header
+const summarize = (sql) => {
+  const [firstLine] = sql.split('\n');
+  return firstLine.length > 80 || sql.includes('\n') ? `${firstLine.slice(0, 80)}…` : firstLine;
+};
+
+/**
+ * Results of a script, one collapsible panel per statement with its state,
+ * progress while it runs, and its rows or error. `results` maps a
+ * statement's query id to its loaded `{ columns, data }`.
+ */
+const ScriptResults = ({ script, results }) => (
+  <div className="results-section script-results">
+    <h3>{HEADINGS[script.state] || script.state}</h3>
+    {script.session && (
+      <p className="row-count">
+        Session: {script.session.catalog}.{script.session.schema}
+        {Object.keys(script.session.properties).length > 0 && (
+          ` (${Object.entries(script.session.properties).map(([name, value]) => `${name}=${value}`).join(', ')})`
+        )}
+      </p>
+    )}
+
+    {script.statements.map((statement) => {
+      const { query } = statement;
+      const result = query && results[query.id];
+      return (
+        <details
+          key={statement.index}
+          className="script-statement"
+          open={statement.state === 'RUNNING' || statement.state === 'FAILED' || result?.data.length > 0}
+        >
+          <summary>
+            <span className="statement-index">#{statement.index + 1}</span>
+            <code>{summarize(statement.sql)}</code>
+            <span className={`query-state state-${statement.state.toLowerCase()}`}>{statement.state}</span>
+            {result && <span className="statement-rows">{result.data.length} rows</span>}
+          </summary>
+
+          <div className="script-statement-body">
+            <pre className="statement-sql">{statement.sql}</pre>
+            {statement.state === 'SKIPPED' && <p>Skipped because an earlier statement failed or the script was cancelled.</p>}
+            {query && !result && statement.state !== 'FAILED' && (
+              <QueryProgress stats={query.stats} infoUri={query.infoUri} complete={false} />
+            )}
+            {query?.error && (
+              <div className="error-box">
+                <strong>{query.error.error}</strong>: {query.error.message}
+                {query.error.location && (
+                  <span className="error-location">
+                    {' '}(line {query.error.location.line}, column {query.error.location.column} of this statement)
+                  </span>
+                )}
+              </div>
+            )}
+            {result && result.columns?.length > 0 && <ResultsTable columns={result.columns} rows={result.data} />}
+            {result && !result.columns?.length && <p>No data returned.</p>}
+          </div>
+        </details>
+      );
+    })}
+  </div>
+);
+
+export default ScriptResults;
@@ -0,0 +1,176 @@
+import { useEffect, useState } from 'react';
+import { listCatalogs, listSchemas } from '../api/metadataApi';
+import { getSessionProperties } from '../api/sessionApi';
+
+const TIME_ZONES = Intl.supportedValuesOf?.('timeZone') ?? [];
+const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const parseTags = (text) => text.split(',').map((tag) => tag.trim()).filter(Boolean);
+
+/**
+ * Session settings sent with each query: catalog and schema selectors, and a
+ * drawer for the session properties the backend allows, the time zone and
+ * client tags. `settings` has the request's shape ({ catalog, schema,
+ * sessionProperties, timeZone, clientTags }); an empty catalog means the
+ * backend's default catalog and schema.
+ */
+const SessionSettings = ({ getToken, settings, onChange, disabled }) => {
+  const [catalogs, setCatalogs] = useState([]);
+  const [schemas, setSchemas] = useState([]);
+  const [info, setInfo] = useState(null);
+  const [error, setError] = useState(null);
+  const [drawerOpen, setDrawerOpen] = useState(false);
+  const [tagsText, setTagsText] = useState(settings.clientTags.join(', '));
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const token = await getToken();
+        const [catalogItems, sessionInfo] = await Promise.all([listCatalogs(token), getSessionProperties(token)]);
+        setCatalogs(catalogItems.map(({ name }) => name));
+        setInfo(sessionInfo);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    load();
+  }, []);
+
+  useEffect(() => {
+    setSchemas([]);
+    if (!settings.catalog) return;
+
+    const load = async () => {
+      try {
+        const items = await listSchemas(settings.catalog, await getToken());
+        setSchemas(items.map(({ name }) => name));
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    load();
+  }, [settings.catalog]);
+
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  const setProperty = (name, value) => {
+    const sessionProperties = { ...settings.sessionProperties };
+    if (value === '') delete sessionProperties[name];
+    else sessionProperties[name] = value;
+    update({ sessionProperties });
+  };
+
+  const changeTags = (text) => {
+    setTagsText(text);
+    update({ clientTags: parseTags(text) });
+  };
+
+  const reset = () => {
+    setTagsText('');
+    onChange({ ...settings, sessionProperties: {}, timeZone: '', clientTags: [] });
+  };
+
+  const defaults = info?.defaults;
+  const changedCount = Object.keys(settings.sessionProperties).length
+    + (settings.timeZone ? 1 : 0)
+    + (settings.clientTags.length ? 1 : 0);
+
+  return (
+    <div className="session-settings">
+      <label>
+        Catalog
+        <select
+          value={settings.catalog}
+          onChange={(e) => update({ catalog: e.target.value, schema: '' })}
+          disabled={disabled}
+        >
+          <option value="">{defaults ? `Default (${defaults.catalog}.${defaults.schema})` : 'Default'}</option>
+          {catalogs.map((name) => <option key={name} value={name}>{name}</option>)}
+        </select>
+      </label>
+      <label>
+        Schema
+        <select
+          value={settings.schema}
+          onChange={(e) => update({ schema: e.target.value })}
+          disabled={disabled || !settings.catalog}
+        >
+          <option value="">{settings.catalog ? 'None' : '—'}</option>
+          {schemas.map((name) => <option key={name} value={name}>{name}</option>)}
+        </select>
+      </label>
+      <button className="btn btn-small" onClick={() => setDrawerOpen(true)} disabled={disabled}>
+        ⚙️ Session{changedCount > 0 && ` (${changedCount})`}
+      </button>
+      {error && <span className="session-error">{error}</span>}
+
+      {drawerOpen && (
+        <div className="session-drawer-backdrop" onClick={() => setDrawerOpen(false)}>
+          <aside className="session-drawer" onClick={(e) => e.stopPropagation()}>
+            <div className="session-drawer-header">
+              <h3>Session Settings</h3>
+              <button className="btn btn-small" onClick={() => setDrawerOpen(false)}>✕</button>
+            </div>
+
+            <h4>Session Properties</h4>
+            {info && info.properties.length === 0 && <p className="session-hint">No session properties may be set.</p>}
+            {info?.properties.map((property) => (
+              <label key={property.name} className="session-property" title={property.description}>
+                <span>
+                  <code>{property.name}</code> <span className="session-hint">{property.type}</span>
+                </span>
+                {property.type === 'boolean' ? (
+                  <select
+                    value={settings.sessionProperties[property.name] ?? ''}
+                    onChange={(e) => setProperty(property.name, e.target.value)}
+                  >
+                    <option value="">Default ({property.default})</option>
+                    <option value="true">true</option>
+                    <option value="false">false</option>
+                  </select>
+                ) : (
+                  <input
+                    type="text"
+                    value={settings.sessionProperties[property.name] ?? ''}
+                    placeholder={`Default: ${property.default}`}
+                    onChange={(e) => setProperty(property.name, e.target.value)}
+                  />
+                )}
+              </label>
+            ))}
+
+            <h4>Time Zone</h4>
+            <div className="session-time-zone">
+              <input
+                type="text"
+                list="session-time-zones"
+                value={settings.timeZone}
+                placeholder="Trino's default"
+                onChange={(e) => update({ timeZone: e.target.value })}
+              />
+              <datalist id="session-time-zones">
+                {TIME_ZONES.map((zone) => <option key={zone} value={zone} />)}
+              </datalist>
+              <button className="btn btn-small" onClick={() => update({ timeZone: BROWSER_TIME_ZONE })}>
+                Use mine ({BROWSER_TIME_ZONE})
+              </button>
+            </div>
+
+            <h4>Client Tags</h4>
+            <input
+              type="text"
+              value={tagsText}
+              placeholder="e.g. dashboard, team:finance"
+              onChange={(e) => changeTags(e.target.value)}
+            />
+            <p className="session-hint">Comma-separated; Trino's resource groups can select on them.</p>
+
+            <button className="btn btn-secondary" onClick={reset}>Reset to defaults</button>
+          </aside>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionSettings;
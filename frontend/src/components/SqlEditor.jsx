@@ -0,0 +1,84 @@
+import { forwardRef, useEffect, useRef } from 'react';
+
+// Offset of a 1-based line / column in `text`, clamped to the text
+const offsetOf = (text, { line, column }) => {
+  const lines = text.split('\n');
+  const index = Math.min(line, lines.length) - 1;
+  const lineStart = lines.slice(0, index).reduce((sum, current) => sum + current.length + 1, 0);
+  return lineStart + Math.min(Math.max(column - 1, 0), lines[index].length);
+};
+
+/**
+ * SQL textarea that can mark where a query failed. `errorLocation`
+ * (`{ line, column }`, 1-based, as reported by Trino) highlights that line
+ * and character on a backdrop behind the transparent textarea, and moves the
+ * cursor there. The ref is forwarded to the textarea.
+ */
+const SqlEditor = forwardRef(({ value, onChange, errorLocation, ...props }, ref) => {
+  const backdropRef = useRef(null);
+  const textareaRef = useRef(null);
+
+  const setRefs = (element) => {
+    textareaRef.current = element;
+    if (typeof ref === 'function') ref(element);
+    else if (ref) ref.current = element;
+  };
+
+  useEffect(() => {
+    const textarea = textareaRef.current;
+    if (!errorLocation || !textarea) return;
+    const offset = offsetOf(textarea.value, errorLocation);
+    textarea.focus();
+    textarea.setSelectionRange(offset, offset + 1);
+  }, [errorLocation]);
+
+  const syncScroll = (e) => {
+    if (backdropRef.current) {
+      backdropRef.current.scrollTop = e.target.scrollTop;
+    }
+  };
+
+  const renderBackdrop = () => {
+    const lines = value.split('\n');
+    const errorIndex = errorLocation ? Math.min(errorLocation.line, lines.length) - 1 : -1;
+
+    return lines.map((line, index) => {
+      const lineBreak = index < lines.length - 1 ? '\n' : '';
+      if (index !== errorIndex) return line + lineBreak;
+
+      const column = Math.min(Math.max(errorLocation.column - 1, 0), line.length);
+      return (
+        <span key={index}>
+          <mark className="sql-error-line">
+            {line.slice(0, column)}
+            <span className="sql-error-char">{line[column] || ' '}</span>
+            {line.slice(column + 1)}
+          </mark>
+          {lineBreak}
+        </span>
+      );
+    });
+  };
+
+  return (
+    <div className={`sql-editor${errorLocation ? ' has-error' : ''}`}>
+      <div className="sql-editor-backdrop" ref={backdropRef} aria-hidden="true">
+        {renderBackdrop()}
+        {/* Keeps a trailing empty line as tall as the textarea's */}
+        {'\n '}
+      </div>
+      <textarea
+        {...props}
+        ref={setRefs}
+        value={value}
+        onChange={onChange}
+        onScroll={syncScroll}
+        spellCheck={false}
+      />
+    </div>
+  );
+});
+
+SqlEditor.displayName = 'SqlEditor';
+
+export default SqlEditor;
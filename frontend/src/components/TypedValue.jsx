@@ -0,0 +1,63 @@
+import {
+  formatScalar,
+  getTypeArguments,
+  isNestedType,
+  isNumericType,
+  summarizeNested,
+} from '../utils/trinoTypes';
+
+/**
+ * Render a single Trino value according to its type signature.
+ * ARRAY, MAP and ROW values render as expandable trees of typed children.
+ */
+const TypedValue = ({ value, signature }) => {
+  if (value === null || value === undefined) {
+    return <span className="cell-null">NULL</span>;
+  }
+
+  if (!isNestedType(signature)) {
+    const className = isNumericType(signature) ? 'cell-number' : `cell-${signature.rawType}`;
+    return (
+      <span className={className} title={typeof value === 'string' ? value : undefined}>
+        {formatScalar(value, signature)}
+      </span>
+    );
+  }
+
+  const typeArguments = getTypeArguments(signature);
+  let entries;
+
+  switch (signature.rawType) {
+    case 'array':
+      entries = value.map((item, idx) => ({ key: idx, label: idx, value: item, signature: typeArguments[0]?.signature }));
+      break;
+    case 'map':
+      // Trino sends map keys as JSON object keys, so they are always strings here
+      entries = Object.entries(value).map(([key, item]) => ({ key, label: key, value: item, signature: typeArguments[1]?.signature }));
+      break;
+    default:
+      entries = value.map((item, idx) => ({
+        key: idx,
+        label: typeArguments[idx]?.name ?? `field${idx}`,
+        value: item,
+        signature: typeArguments[idx]?.signature,
+      }));
+      break;
+  }
+
+  return (
+    <details className="cell-nested">
+      <summary>{summarizeNested(value, signature)}</summary>
+      <ul>
+        {entries.map((entry) => (
+          <li key={entry.key}>
+            <span className="cell-nested-label">{entry.label}:</span>{' '}
+            <TypedValue value={entry.value} signature={entry.signature || { rawType: 'unknown', arguments: [] }} />
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+};
+
+export default TypedValue;
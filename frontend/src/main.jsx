@@ -6,7 +6,7 @@ import './index.css';
 
 console.log('🚀 Starting Trino OAuth Demo...');
 console.log('Environment:', {
-  provider: import.meta.env.VITE_OAUTH_PROVIDER || 'google',
+  provider: import.meta.env.VITE_OAUTH_PROVIDER || '(backend default)',
   backendUrl: import.meta.env.VITE_BACKEND_URL,
 });
 
@@ -0,0 +1,35 @@
+/**
+ * Names of `:name` placeholders in SQL, in order of first appearance.
+ * String literals, quoted identifiers and comments are skipped, mirroring
+ * how the backend binds parameters.
+ */
+export const findPlaceholderNames = (sql) => {
+  const names = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    if (ch === "'" || ch === '"') {
+      i += 1;
+      while (i < sql.length && !(sql[i] === ch && sql[i + 1] !== ch)) {
+        i += sql[i] === ch ? 2 : 1;
+      }
+      i += 1;
+    } else if (ch === '-' && next === '-') {
+      while (i < sql.length && sql[i] !== '\n') i += 1;
+    } else if (ch === '/' && next === '*') {
+      const close = sql.indexOf('*/', i + 2);
+      i = close === -1 ? sql.length : close + 2;
+    } else if (ch === ':' && /[A-Za-z_]/.test(next || '')) {
+      const [name] = /^[A-Za-z_]\w*/.exec(sql.slice(i + 1));
+      if (!names.includes(name)) names.push(name);
+      i += 1 + name.length;
+    } else {
+      i += 1;
+    }
+  }
+
+  return names;
+};
@@ -0,0 +1,93 @@
+const NUMERIC_TYPES = new Set(['tinyint', 'smallint', 'integer', 'bigint', 'real', 'double', 'decimal']);
+const NESTED_TYPES = new Set(['array', 'map', 'row']);
+
+/**
+ * Normalize a Trino column into a type signature, falling back to the raw
+ * type name when the server didn't send a structured signature
+ */
+export const getTypeSignature = (column) => {
+  if (column?.typeSignature) return column.typeSignature;
+  const rawType = (column?.type || 'unknown').split('(')[0].toLowerCase();
+  return { rawType, arguments: [] };
+};
+
+export const isNumericType = (signature) => NUMERIC_TYPES.has(signature.rawType);
+
+export const isNestedType = (signature) => NESTED_TYPES.has(signature.rawType);
+
+/**
+ * Child type signatures of a nested type.
+ * ARRAY has one element type, MAP has key and value types, ROW has named fields.
+ */
+export const getTypeArguments = (signature) =>
+  (signature.arguments || []).map((arg) => {
+    if (arg.kind === 'NAMED_TYPE') {
+      return { name: arg.value.fieldName?.name ?? null, signature: arg.value.typeSignature };
+    }
+    return { name: null, signature: arg.value };
+  });
+
+const dateFormatter = new Intl.DateTimeFormat(undefined, { dateStyle: 'medium' });
+const timestampFormatter = new Intl.DateTimeFormat(undefined, { dateStyle: 'medium', timeStyle: 'medium' });
+
+/**
+ * Parse Trino's `YYYY-MM-DD[ HH:MM:SS[.fff]]` into a local Date, or null
+ */
+const parseLocalDateTime = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?: (\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?)?$/.exec(value);
+  if (!match) return null;
+  const [, y, mo, d, h = 0, mi = 0, s = 0, frac = '0'] = match;
+  return new Date(y, mo - 1, d, h, mi, s, Number(frac.padEnd(3, '0').slice(0, 3)));
+};
+
+/**
+ * Format a scalar value for display based on its Trino type.
+ * Values Trino sends as strings (decimal, varbinary, uuid, ...) are shown as-is.
+ */
+export const formatScalar = (value, signature) => {
+  if (value === null || value === undefined) return 'NULL';
+
+  switch (signature.rawType) {
+    case 'tinyint':
+    case 'smallint':
+    case 'integer':
+    case 'bigint':
+      return typeof value === 'number' ? value.toLocaleString() : String(value);
+    case 'real':
+    case 'double':
+      // NaN and Infinity arrive as strings
+      return typeof value === 'number'
+        ? value.toLocaleString(undefined, { maximumFractionDigits: 15 })
+        : String(value);
+    case 'boolean':
+      return value ? 'true' : 'false';
+    case 'date': {
+      const date = parseLocalDateTime(value);
+      return date ? dateFormatter.format(date) : String(value);
+    }
+    case 'timestamp': {
+      const date = parseLocalDateTime(value);
+      return date ? timestampFormatter.format(date) : String(value);
+    }
+    case 'json':
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    default:
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+};
+
+/**
+ * Short summary shown on a collapsed nested value, e.g. `array(3)` or `row(a, b)`
+ */
+export const summarizeNested = (value, signature) => {
+  switch (signature.rawType) {
+    case 'array':
+      return `array(${value.length})`;
+    case 'map':
+      return `map(${Object.keys(value).length})`;
+    case 'row':
+      return `row(${getTypeArguments(signature).map((f, i) => f.name ?? `field${i}`).join(', ')})`;
+    default:
+      return signature.rawType;
+  }
+};
@@ -60,6 +60,32 @@ if [ ! -f /etc/trino/trino.jks ]; then
     rm /tmp/trino.crt
 fi
 
+# Fill in OAuth endpoints that aren't set explicitly from the issuer's OIDC discovery document
+discover_endpoint() {
+    echo "$OIDC_METADATA" | grep -o "\"$1\" *: *\"[^\"]*\"" | head -n 1 | sed 's/.*: *"\(.*\)"/\1/'
+}
+
+if [ -z "$OAUTH2_JWKS_URL" ] || [ -z "$OAUTH2_AUTHORIZATION_URL" ] || [ -z "$OAUTH2_TOKEN_URL" ] || [ -z "$OAUTH2_USERINFO_URL" ]; then
+    echo "Discovering OAuth endpoints from ${OAUTH2_ISSUER_URL}..."
+    OIDC_METADATA=$(curl -sf "${OAUTH2_ISSUER_URL%/}/.well-known/openid-configuration") || {
+        echo "OIDC discovery failed; set OAUTH2_JWKS_URL, OAUTH2_AUTHORIZATION_URL, OAUTH2_TOKEN_URL and OAUTH2_USERINFO_URL explicitly"
+        exit 1
+    }
+    export OAUTH2_JWKS_URL="${OAUTH2_JWKS_URL:-$(discover_endpoint jwks_uri)}"
+    export OAUTH2_AUTHORIZATION_URL="${OAUTH2_AUTHORIZATION_URL:-$(discover_endpoint authorization_endpoint)}"
+    export OAUTH2_TOKEN_URL="${OAUTH2_TOKEN_URL:-$(discover_endpoint token_endpoint)}"
+    export OAUTH2_USERINFO_URL="${OAUTH2_USERINFO_URL:-$(discover_endpoint userinfo_endpoint)}"
+fi
+
+# With token exchange the backend only sends tokens issued to the trino client, so
+# tokens for the public (frontend) client no longer need to be accepted
+if [ "$TRINO_TOKEN_MODE" = "exchange" ]; then
+    export TRINO_ADDITIONAL_AUDIENCES="${OAUTH2_TRINO_CLIENT_ID}"
+else
+    export TRINO_ADDITIONAL_AUDIENCES="${OAUTH2_PUBLIC_CLIENT_ID},${OAUTH2_TRINO_CLIENT_ID}"
+fi
+echo "Accepted token audiences: ${OAUTH2_TRINO_CLIENT_ID},${TRINO_ADDITIONAL_AUDIENCES}"
+
 # Substitute environment variables in rules.json
 if [ -f /etc/trino/rules.json ]; then
     echo "Substituting environment variables in rules.json..."